@@ -1,6 +1,6 @@
 import React from "react";
 import "./App.css";
-import { BrowserRouter, Routes, Route } from "react-router-dom";
+import { BrowserRouter, Routes, Route, Navigate } from "react-router-dom";
 import Home from "./pages/home/Home";
 import Header from "./components/header/Header";
 import Login from "./pages/auth/Login";
@@ -20,12 +20,35 @@ import Lecture from "./pages/lecture/Lecture";
 import AdminDashbord from "./admin/Dashboard/AdminDashbord";
 import AdminCourses from "./admin/Courses/AdminCourses";
 import AdminUsers from "./admin/Users/AdminUsers";
+import AdminRoles from "./admin/Roles/AdminRoles";
 import ForgotPassword from "./pages/auth/ForgotPassword";
 import ResetPassword from "./pages/auth/ResetPassword";
+import OAuthCallback from "./pages/auth/OAuthCallback";
 import AICourse from "./pages/aicourse/AICourse";
+import AIDrafts from "./pages/aidrafts/AIDrafts";
+import AIDraftEditor from "./pages/aidrafts/AIDraftEditor";
+import Sessions from "./pages/sessions/Sessions";
+import Security from "./pages/security/Security";
+import Profile from "./pages/profile/Profile";
+import Privacy from "./pages/privacy/Privacy";
+import Purchases from "./pages/purchases/Purchases";
 
 const App = () => {
-  const { isAuth, user, loading } = UserData();
+  const { isAuth, user, loading, can, twoFactorRequired } = UserData();
+
+  // pages behind a permission, logged in users without it get the home page
+  // and roles that need 2FA are sent to set it up first
+  const guard = (element, ...permissions) =>
+    !isAuth ? (
+      <Login />
+    ) : !can(...permissions) ? (
+      <Home />
+    ) : twoFactorRequired && !user.twoFactorEnabled ? (
+      <Navigate to="/security" />
+    ) : (
+      element
+    );
+
   return (
     <>
       {loading ? (
@@ -41,6 +64,26 @@ const App = () => {
               path="/account"
               element={isAuth ? <Account user={user} /> : <Login />}
             />
+            <Route
+              path="/sessions"
+              element={isAuth ? <Sessions /> : <Login />}
+            />
+            <Route
+              path="/profile"
+              element={isAuth ? <Profile /> : <Login />}
+            />
+            <Route
+              path="/purchases"
+              element={isAuth ? <Purchases /> : <Login />}
+            />
+            <Route
+              path="/privacy"
+              element={isAuth ? <Privacy /> : <Login />}
+            />
+            <Route
+              path="/security"
+              element={isAuth ? <Security /> : <Login />}
+            />
             <Route path="/login" element={isAuth ? <Home /> : <Login />} />
             <Route
               path="/register"
@@ -55,6 +98,10 @@ const App = () => {
               path="/reset-password/:token"
               element={isAuth ? <Home /> : <ResetPassword />}
             />
+            <Route
+              path="/oauth/callback"
+              element={isAuth ? <Home /> : <OAuthCallback />}
+            />
             <Route
               path="/course/:id"
               element={isAuth ? <CourseDescription user={user} /> : <Login />}
@@ -79,17 +126,38 @@ const App = () => {
               path="/ai-course"
               element={isAuth ? <AICourse user={user} /> : <Login />}
             />
+            <Route
+              path="/ai-drafts"
+              element={isAuth ? <AIDrafts /> : <Login />}
+            />
+            <Route
+              path="/ai-drafts/:id"
+              element={isAuth ? <AIDraftEditor /> : <Login />}
+            />
             <Route
               path="/admin/dashboard"
-              element={isAuth ? <AdminDashbord user={user} /> : <Login />}
+              element={guard(
+                <AdminDashbord user={user} />,
+                "stats:view",
+                "stats:view:any"
+              )}
             />
             <Route
               path="/admin/course"
-              element={isAuth ? <AdminCourses user={user} /> : <Login />}
+              element={guard(
+                <AdminCourses user={user} />,
+                "course:create",
+                "course:manage",
+                "course:manage:any"
+              )}
             />
             <Route
               path="/admin/users"
-              element={isAuth ? <AdminUsers user={user} /> : <Login />}
+              element={guard(<AdminUsers user={user} />, "user:view")}
+            />
+            <Route
+              path="/admin/roles"
+              element={guard(<AdminRoles />, "role:manage")}
             />
           </Routes>
           <Footer />
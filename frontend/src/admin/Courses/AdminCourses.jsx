@@ -1,7 +1,7 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import Layout from "../Utils/Layout";
-import { useNavigate } from "react-router-dom";
 import { CourseData } from "../../context/CourseContext";
+import { UserData } from "../../context/UserContext";
 import CourseCard from "../../components/coursecard/CourseCard";
 import "./admincourses.css";
 import toast from "react-hot-toast";
@@ -17,9 +17,10 @@ const categories = [
 ];
 
 const AdminCourses = ({ user }) => {
-  const navigate = useNavigate();
+  const { can } = UserData();
 
-  if (user && user.role !== "admin") return navigate("/");
+  // course:manage:any lists every course and can assign them to others
+  const manageAny = can("course:manage:any");
 
   const [title, setTitle] = useState("");
   const [description, setDescription] = useState("");
@@ -30,6 +31,27 @@ const AdminCourses = ({ user }) => {
   const [image, setImage] = useState("");
   const [imagePrev, setImagePrev] = useState("");
   const [btnLoading, setBtnLoading] = useState(false);
+  const [editId, setEditId] = useState("");
+  const [instructors, setInstructors] = useState([]);
+
+  async function fetchInstructors() {
+    try {
+      const { data } = await axios.get(`${server}/api/users`, {
+        headers: {
+          token: localStorage.getItem("token"),
+        },
+      });
+
+      // learners cannot own courses, the server checks the exact permission
+      setInstructors(data.users.filter((e) => e.role !== "user"));
+    } catch (error) {
+      console.log(error);
+    }
+  }
+
+  useEffect(() => {
+    if (manageAny && can("user:view")) fetchInstructors();
+  }, []);
 
   const changeImageHandler = (e) => {
     const file = e.target.files[0];
@@ -45,6 +67,34 @@ const AdminCourses = ({ user }) => {
 
   const { courses, fetchCourses } = CourseData();
 
+  const myCourses = manageAny
+    ? courses
+    : courses.filter((e) => e.createdBy?._id === user?._id);
+
+  const resetForm = () => {
+    setEditId("");
+    setImage("");
+    setTitle("");
+    setDescription("");
+    setDuration("");
+    setImagePrev("");
+    setCreatedBy("");
+    setPrice("");
+    setCategory("");
+  };
+
+  const editHandler = (course) => {
+    setEditId(course._id);
+    setTitle(course.title);
+    setDescription(course.description);
+    setCategory(course.category);
+    setPrice(course.price);
+    setCreatedBy(course.createdBy?._id || "");
+    setDuration(course.duration);
+    setImage("");
+    setImagePrev(`${server}/${course.image}`);
+  };
+
   const submitHandler = async (e) => {
     e.preventDefault();
     setBtnLoading(true);
@@ -55,30 +105,28 @@ const AdminCourses = ({ user }) => {
     myForm.append("description", description);
     myForm.append("category", category);
     myForm.append("price", price);
-    myForm.append("createdBy", createdBy);
+    if (manageAny && createdBy) myForm.append("createdBy", createdBy);
     myForm.append("duration", duration);
-    myForm.append("file", image);
+    if (image) myForm.append("file", image);
+
+    const config = {
+      headers: {
+        token: localStorage.getItem("token"),
+      },
+    };
 
     try {
-      const { data } = await axios.post(`${server}/api/course/new`, myForm, {
-        headers: {
-          token: localStorage.getItem("token"),
-        },
-      });
+      const { data } = editId
+        ? await axios.put(`${server}/api/course/${editId}`, myForm, config)
+        : await axios.post(`${server}/api/course/new`, myForm, config);
 
       toast.success(data.message);
       setBtnLoading(false);
       await fetchCourses();
-      setImage("");
-      setTitle("");
-      setDescription("");
-      setDuration("");
-      setImagePrev("");
-      setCreatedBy("");
-      setPrice("");
-      setCategory("");
+      resetForm();
     } catch (error) {
       toast.error(error.response.data.message);
+      setBtnLoading(false);
     }
   };
 
@@ -86,11 +134,13 @@ const AdminCourses = ({ user }) => {
     <Layout>
       <div className="admin-courses">
         <div className="left">
-          <h1>All Courses</h1>
+          <h1>{manageAny ? "All Courses" : "My Courses"}</h1>
           <div className="dashboard-content">
-            {courses && courses.length > 0 ? (
-              courses.map((e) => {
-                return <CourseCard key={e._id} course={e} />;
+            {myCourses && myCourses.length > 0 ? (
+              myCourses.map((e) => {
+                return (
+                  <CourseCard key={e._id} course={e} onEdit={editHandler} />
+                );
               })
             ) : (
               <p>No Courses Yet</p>
@@ -101,7 +151,7 @@ const AdminCourses = ({ user }) => {
         <div className="right">
           <div className="add-course">
             <div className="course-form">
-              <h2>Add Course</h2>
+              <h2>{editId ? "Edit Course" : "Add Course"}</h2>
               <form onSubmit={submitHandler}>
                 <label htmlFor="text">Title</label>
                 <input
@@ -127,13 +177,22 @@ const AdminCourses = ({ user }) => {
                   required
                 />
 
-                <label htmlFor="text">createdBy</label>
-                <input
-                  type="text"
-                  value={createdBy}
-                  onChange={(e) => setCreatedBy(e.target.value)}
-                  required
-                />
+                {manageAny && instructors.length > 0 && (
+                  <>
+                    <label htmlFor="text">Instructor</label>
+                    <select
+                      value={createdBy}
+                      onChange={(e) => setCreatedBy(e.target.value)}
+                    >
+                      <option value={""}>Me</option>
+                      {instructors.map((e) => (
+                        <option value={e._id} key={e._id}>
+                          {e.name} ({e.email})
+                        </option>
+                      ))}
+                    </select>
+                  </>
+                )}
 
                 <select
                   value={category}
@@ -155,7 +214,12 @@ const AdminCourses = ({ user }) => {
                   required
                 />
 
-                <input type="file" required onChange={changeImageHandler} />
+                <input
+                  type="file"
+                  accept="image/png,image/jpeg,image/webp"
+                  required={!editId}
+                  onChange={changeImageHandler}
+                />
                 {imagePrev && <img src={imagePrev} alt="" width={300} />}
 
                 <button
@@ -163,8 +227,19 @@ const AdminCourses = ({ user }) => {
                   disabled={btnLoading}
                   className="common-btn"
                 >
-                  {btnLoading ? "Please Wait..." : "Add"}
+                  {btnLoading ? "Please Wait..." : editId ? "Update" : "Add"}
                 </button>
+
+                {editId && (
+                  <button
+                    type="button"
+                    onClick={resetForm}
+                    className="common-btn"
+                    style={{ background: "gray" }}
+                  >
+                    Cancel
+                  </button>
+                )}
               </form>
             </div>
           </div>
@@ -1,16 +1,15 @@
 import React, { useEffect, useState } from "react";
-import { useNavigate } from "react-router-dom";
 import Layout from "../Utils/Layout";
 import axios from "axios";
 import { server } from "../../main";
+import { UserData } from "../../context/UserContext";
 import "./dashboard.css";
 
 const AdminDashbord = ({ user }) => {
-  const navigate = useNavigate();
-
-  if (user && user.role !== "admin") return navigate("/");
+  const { can } = UserData();
 
   const [stats, setStats] = useState([]);
+  const [usage, setUsage] = useState(null);
 
   async function fetchStats() {
     try {
@@ -26,8 +25,26 @@ const AdminDashbord = ({ user }) => {
     }
   }
 
+  async function fetchUsage() {
+    try {
+      const { data } = await axios.get(`${server}/api/ai-usage`, {
+        headers: {
+          token: localStorage.getItem("token"),
+        },
+      });
+
+      setUsage(data);
+    } catch (error) {
+      console.log(error);
+    }
+  }
+
+  const countOf = (groups, key) =>
+    groups.find((group) => group._id === key)?.requests || 0;
+
   useEffect(() => {
     fetchStats();
+    if (can("ai:manage")) fetchUsage();
   }, []);
   return (
     <div>
@@ -46,6 +63,89 @@ const AdminDashbord = ({ user }) => {
             <p>{stats.totalUsers}</p>
           </div>
         </div>
+
+        {usage && (
+          <div className="ai-usage">
+            <h2>AI Usage (last {usage.days} days)</h2>
+            <div className="main-content">
+              <div className="box">
+                <p>Requests</p>
+                <p>{usage.totals.requests}</p>
+              </div>
+              <div className="box">
+                <p>Tokens</p>
+                <p>
+                  {usage.totals.promptTokens + usage.totals.completionTokens}
+                </p>
+              </div>
+              <div className="box">
+                <p>Cached</p>
+                <p>{countOf(usage.byStatus, "cached")}</p>
+              </div>
+              <div className="box">
+                <p>Errors</p>
+                <p>{countOf(usage.byStatus, "error")}</p>
+              </div>
+              <div className="box">
+                <p>Avg latency</p>
+                <p>{Math.round(usage.totals.avgLatencyMs || 0)} ms</p>
+              </div>
+            </div>
+
+            <h3>By feature</h3>
+            <p>
+              {usage.byFeature
+                .map((group) => `${group._id}: ${group.requests}`)
+                .join(", ") || "No requests yet"}
+            </p>
+
+            <h3>Top users</h3>
+            <table>
+              <thead>
+                <tr>
+                  <td>user</td>
+                  <td>requests</td>
+                  <td>tokens</td>
+                </tr>
+              </thead>
+              <tbody>
+                {usage.topUsers.map((group) => (
+                  <tr key={group._id?._id || "deleted"}>
+                    <td>{group._id ? group._id.email : "deleted user"}</td>
+                    <td>{group.requests}</td>
+                    <td>{group.tokens}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <h3>Recent requests</h3>
+            <table>
+              <thead>
+                <tr>
+                  <td>time</td>
+                  <td>user</td>
+                  <td>feature</td>
+                  <td>provider</td>
+                  <td>status</td>
+                  <td>tokens</td>
+                </tr>
+              </thead>
+              <tbody>
+                {usage.recent.map((entry) => (
+                  <tr key={entry._id} title={entry.error}>
+                    <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                    <td>{entry.user ? entry.user.email : "system"}</td>
+                    <td>{entry.feature}</td>
+                    <td>{entry.provider || "-"}</td>
+                    <td className={`status-${entry.status}`}>{entry.status}</td>
+                    <td>{entry.promptTokens + entry.completionTokens}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
       </Layout>
     </div>
   );
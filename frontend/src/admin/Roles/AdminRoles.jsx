@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from "react";
+import "./roles.css";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { server } from "../../main";
+import Layout from "../Utils/Layout";
+import { UserData } from "../../context/UserContext";
+
+const AdminRoles = () => {
+  const { fetchUser } = UserData();
+
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState({});
+  const [btnLoading, setBtnLoading] = useState("");
+
+  async function fetchRoles() {
+    try {
+      const { data } = await axios.get(`${server}/api/roles`, {
+        headers: {
+          token: localStorage.getItem("token"),
+        },
+      });
+
+      setRoles(data.roles);
+      setPermissions(data.permissions);
+    } catch (error) {
+      console.log(error);
+    }
+  }
+
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const togglePermission = (name, permission) =>
+    setRoles(
+      roles.map((role) =>
+        role.name !== name
+          ? role
+          : {
+              ...role,
+              permissions: role.permissions.includes(permission)
+                ? role.permissions.filter((p) => p !== permission)
+                : [...role.permissions, permission],
+              changed: true,
+            }
+      )
+    );
+
+  const saveRole = async (role) => {
+    setBtnLoading(role.name);
+    try {
+      const { data } = await axios.put(
+        `${server}/api/role/${role.name}`,
+        { permissions: role.permissions },
+        {
+          headers: {
+            token: localStorage.getItem("token"),
+          },
+        }
+      );
+
+      toast.success(data.message);
+      await fetchRoles();
+      // own permissions may have changed
+      fetchUser();
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+    setBtnLoading("");
+  };
+
+  return (
+    <Layout>
+      <div className="roles">
+        <h1>Roles</h1>
+        <p>The superadmin always has every permission.</p>
+        <table>
+          <thead>
+            <tr>
+              <td>permission</td>
+              {roles.map((role) => (
+                <td key={role.name}>{role.name}</td>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(permissions).map(([permission, label]) => (
+              <tr key={permission}>
+                <td title={label}>
+                  <code>{permission}</code>
+                  <p>{label}</p>
+                </td>
+                {roles.map((role) => (
+                  <td key={role.name}>
+                    <input
+                      type="checkbox"
+                      checked={role.permissions.includes(permission)}
+                      onChange={() => togglePermission(role.name, permission)}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+            <tr>
+              <td></td>
+              {roles.map((role) => (
+                <td key={role.name}>
+                  <button
+                    onClick={() => saveRole(role)}
+                    className="common-btn"
+                    disabled={!role.changed || btnLoading === role.name}
+                  >
+                    {btnLoading === role.name ? "Saving..." : "Save"}
+                  </button>
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </Layout>
+  );
+};
+
+export default AdminRoles;
@@ -1,15 +1,13 @@
 import React, { useEffect, useState } from "react";
 import "./users.css";
-import { useNavigate } from "react-router-dom";
 import axios from "axios";
 import { server } from "../../main";
 import Layout from "../Utils/Layout";
 import toast from "react-hot-toast";
+import { UserData } from "../../context/UserContext";
 
 const AdminUsers = ({ user }) => {
-  const navigate = useNavigate();
-
-  if (user && user.mainrole !== "superadmin") return navigate("/");
+  const { can } = UserData();
 
   const [users, setUsers] = useState([]);
 
@@ -31,12 +29,12 @@ const AdminUsers = ({ user }) => {
     fetchUsers();
   }, []);
 
-  const updateRole = async (id) => {
-    if (confirm("are you sure you want to update this user role")) {
+  const updateRole = async (id, role) => {
+    if (confirm(`are you sure you want to make this user ${role}`)) {
       try {
         const { data } = await axios.put(
           `${server}/api/user/${id}`,
-          {},
+          { role },
           {
             headers: {
               token: localStorage.getItem("token"),
@@ -52,6 +50,31 @@ const AdminUsers = ({ user }) => {
     }
   };
 
+  const updateQuota = async (e) => {
+    const value = prompt(
+      "Daily AI requests for this user, 0 for unlimited, empty for the role default",
+      e.aiDailyQuota ?? ""
+    );
+    if (value === null) return;
+
+    try {
+      const { data } = await axios.put(
+        `${server}/api/user/${e._id}/ai-quota`,
+        { quota: value.trim() },
+        {
+          headers: {
+            token: localStorage.getItem("token"),
+          },
+        }
+      );
+
+      toast.success(data.message);
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  };
+
   console.log(users);
   return (
     <Layout>
@@ -64,7 +87,8 @@ const AdminUsers = ({ user }) => {
               <td>name</td>
               <td>email</td>
               <td>role</td>
-              <td>update role</td>
+              {can("user:manage") && <td>update role</td>}
+              {can("ai:manage") && <td>AI quota</td>}
             </tr>
           </thead>
 
@@ -76,14 +100,31 @@ const AdminUsers = ({ user }) => {
                   <td>{e.name}</td>
                   <td>{e.email}</td>
                   <td>{e.role}</td>
-                  <td>
-                    <button
-                      onClick={() => updateRole(e._id)}
-                      className="common-btn"
-                    >
-                      Update Role
-                    </button>
-                  </td>
+                  {can("user:manage") && (
+                    <td>
+                      <select
+                        value={e.role}
+                        onChange={(event) =>
+                          updateRole(e._id, event.target.value)
+                        }
+                      >
+                        <option value="user">user</option>
+                        <option value="instructor">instructor</option>
+                        <option value="admin">admin</option>
+                      </select>
+                    </td>
+                  )}
+                  {can("ai:manage") && (
+                    <td>
+                      {e.aiDailyQuota ?? "default"}{" "}
+                      <button
+                        onClick={() => updateQuota(e)}
+                        className="common-btn"
+                      >
+                        Set
+                      </button>
+                    </td>
+                  )}
                 </tr>
               </tbody>
             ))}
@@ -2,11 +2,11 @@ import React from "react";
 import "./common.css";
 import { Link } from "react-router-dom";
 import { AiFillHome, AiOutlineLogout } from "react-icons/ai";
-import { FaBook, FaUserAlt } from "react-icons/fa";
+import { FaBook, FaUserAlt, FaUserShield } from "react-icons/fa";
 import { UserData } from "../../context/UserContext";
 
 const Sidebar = () => {
-  const { user } = UserData();
+  const { can } = UserData();
   return (
     <div className="sidebar">
       <ul>
@@ -19,16 +19,18 @@ const Sidebar = () => {
           </Link>
         </li>
 
-        <li>
-          <Link to={"/admin/course"}>
-            <div className="icon">
-              <FaBook />
-            </div>
-            <span>Courses</span>
-          </Link>
-        </li>
+        {can("course:create", "course:manage", "course:manage:any") && (
+          <li>
+            <Link to={"/admin/course"}>
+              <div className="icon">
+                <FaBook />
+              </div>
+              <span>Courses</span>
+            </Link>
+          </li>
+        )}
 
-        {user && user.mainrole === "superadmin" && (
+        {can("user:view") && (
           <li>
             <Link to={"/admin/users"}>
               <div className="icon">
@@ -39,6 +41,17 @@ const Sidebar = () => {
           </li>
         )}
 
+        {can("role:manage") && (
+          <li>
+            <Link to={"/admin/roles"}>
+              <div className="icon">
+                <FaUserShield />
+              </div>
+              <span>Roles</span>
+            </Link>
+          </li>
+        )}
+
         <li>
           <Link to={"/account"}>
             <div className="icon">
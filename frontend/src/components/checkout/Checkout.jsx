@@ -0,0 +1,251 @@
+import React, { useEffect, useRef, useState } from "react";
+import "./checkout.css";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useNavigate } from "react-router-dom";
+import { server } from "../../main";
+import { UserData } from "../../context/UserContext";
+import { CourseData } from "../../context/CourseContext";
+
+const scripts = {
+  Razorpay: "https://checkout.razorpay.com/v1/checkout.js",
+  Stripe: "https://js.stripe.com/v3",
+};
+
+// the gateway scripts are only loaded once somebody buys
+const loadScript = (name) =>
+  new Promise((resolve, reject) => {
+    if (window[name]) return resolve(window[name]);
+
+    const script = document.createElement("script");
+    script.src = scripts[name];
+    script.onload = () => resolve(window[name]);
+    script.onerror = () => reject(new Error("Could not load the payment page"));
+    document.body.appendChild(script);
+  });
+
+const price = (order) => `${(order.amount / 100).toFixed(2)} ${order.currency}`;
+
+// Stripe's payment form, mounted into the page. Methods that need a redirect
+// come back to this page and the webhook completes the purchase.
+const StripePayment = ({ order, provider, onPaid, onCancel }) => {
+  const formRef = useRef(null);
+  const [stripe, setStripe] = useState(null);
+  const [elements, setElements] = useState(null);
+  const [btnLoading, setBtnLoading] = useState(false);
+
+  useEffect(() => {
+    loadScript("Stripe")
+      .then((Stripe) => {
+        const stripe = Stripe(provider.key);
+        const elements = stripe.elements({ clientSecret: order.clientSecret });
+
+        elements.create("payment").mount(formRef.current);
+        setStripe(stripe);
+        setElements(elements);
+      })
+      .catch((error) => toast.error(error.message));
+  }, []);
+
+  const payHandler = async () => {
+    setBtnLoading(true);
+
+    const { error } = await stripe.confirmPayment({
+      elements,
+      redirect: "if_required",
+      confirmParams: { return_url: window.location.href },
+    });
+
+    setBtnLoading(false);
+
+    // declined cards can be corrected and tried again
+    if (error) return toast.error(error.message);
+
+    onPaid({ orderId: order.id });
+  };
+
+  return (
+    <div className="checkout-panel">
+      <p>Pay {price(order)}</p>
+      <div ref={formRef} className="stripe-form" />
+      <button
+        onClick={payHandler}
+        disabled={!elements || btnLoading}
+        className="common-btn"
+      >
+        {btnLoading ? "Please Wait..." : "Pay"}
+      </button>
+      <button onClick={onCancel} className="common-btn cancel-btn">
+        Cancel
+      </button>
+    </div>
+  );
+};
+
+// the offline gateway of development setups, the buyer picks the outcome
+const MockPayment = ({ order, onPaid, onCancel }) => (
+  <div className="checkout-panel">
+    <p>Mock gateway, no money is charged</p>
+    <p>Pay {price(order)}</p>
+    <button
+      onClick={() => onPaid({ orderId: order.id })}
+      className="common-btn"
+    >
+      Pay
+    </button>
+    <button
+      onClick={() => onPaid({ orderId: order.id, outcome: "failed" })}
+      className="common-btn cancel-btn"
+    >
+      Fail
+    </button>
+    <button onClick={onCancel} className="common-btn cancel-btn">
+      Cancel
+    </button>
+  </div>
+);
+
+// Buy button for a course, adapting to the payment provider the server runs
+// (see server/utils/payments). Razorpay opens its popup, Stripe and the mock
+// gateway pay inside the page. Free courses get an enroll button instead.
+const Checkout = ({ course }) => {
+  const navigate = useNavigate();
+
+  const [loading, setLoading] = useState(false);
+  const [payment, setPayment] = useState(null);
+
+  const { fetchUser } = UserData();
+  const { fetchCourses, fetchMyCourse } = CourseData();
+
+  const verify = async (body) => {
+    setLoading(true);
+
+    try {
+      const { data, status } = await axios.post(
+        `${server}/api/verification/${course._id}`,
+        body,
+        {
+          headers: {
+            token: localStorage.getItem("token"),
+          },
+        }
+      );
+
+      setPayment(null);
+      toast.success(data.message);
+
+      // still processing, the course unlocks once the gateway confirms it
+      if (status === 202) return setLoading(false);
+
+      await fetchUser();
+      await fetchCourses();
+      await fetchMyCourse();
+      navigate(`/payment-success/${data.paymentId}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+      setLoading(false);
+    }
+  };
+
+  const openRazorpay = async (order, provider) => {
+    const Razorpay = await loadScript("Razorpay");
+
+    const razorpay = new Razorpay({
+      key: provider.key,
+      amount: order.amount,
+      currency: order.currency,
+      name: "E learning",
+      description: "Learn with us",
+      order_id: order.id,
+      handler: (response) => verify({ orderId: order.id, ...response }),
+      modal: {
+        ondismiss: () => setLoading(false),
+      },
+      theme: {
+        color: "#8a4baf",
+      },
+    });
+
+    razorpay.open();
+  };
+
+  // free courses skip the gateway
+  const enrollHandler = async () => {
+    setLoading(true);
+
+    try {
+      const { data } = await axios.post(
+        `${server}/api/course/enroll/${course._id}`,
+        {},
+        {
+          headers: {
+            token: localStorage.getItem("token"),
+          },
+        }
+      );
+
+      await fetchUser();
+      await fetchMyCourse();
+      toast.success(data.message);
+      navigate(`/course/study/${course._id}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+      setLoading(false);
+    }
+  };
+
+  const checkoutHandler = async () => {
+    setLoading(true);
+
+    try {
+      const {
+        data: { order, provider },
+      } = await axios.post(
+        `${server}/api/course/checkout/${course._id}`,
+        {},
+        {
+          headers: {
+            token: localStorage.getItem("token"),
+          },
+        }
+      );
+
+      if (provider.name === "razorpay")
+        return await openRazorpay(order, provider);
+
+      setPayment({ order, provider });
+      setLoading(false);
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+      setLoading(false);
+    }
+  };
+
+  if (payment && !loading) {
+    const Panel =
+      payment.provider.name === "stripe" ? StripePayment : MockPayment;
+
+    return (
+      <Panel
+        order={payment.order}
+        provider={payment.provider}
+        onPaid={verify}
+        onCancel={() => setPayment(null)}
+      />
+    );
+  }
+
+  const free = !(course.price > 0);
+
+  return (
+    <button
+      onClick={free ? enrollHandler : checkoutHandler}
+      disabled={loading}
+      className="common-btn"
+    >
+      {loading ? "Please Wait..." : free ? "Enroll for free" : "Buy Now"}
+    </button>
+  );
+};
+
+export default Checkout;
@@ -6,13 +6,18 @@ import { useNavigate } from "react-router-dom";
 import toast from "react-hot-toast";
 import axios from "axios";
 import { CourseData } from "../../context/CourseContext";
+import Checkout from "../checkout/Checkout";
 
-const CourseCard = ({ course }) => {
+const CourseCard = ({ course, onEdit }) => {
   const navigate = useNavigate();
-  const { user, isAuth } = UserData();
+  const { user, isAuth, can } = UserData();
 
   const { fetchCourses } = CourseData();
 
+  const canManage =
+    can("course:manage:any") ||
+    (can("course:manage") && user && course.createdBy?._id === user._id);
+
   const deleteHandler = async (id) => {
     if (confirm("Are you sure you want to delete this course")) {
       try {
@@ -33,12 +38,12 @@ const CourseCard = ({ course }) => {
     <div className="course-card">
       <img src={`${server}/${course.image}`} alt="" className="course-image" />
       <h3>{course.title}</h3>
-      <p>Instructor- {course.createdBy}</p>
+      <p>Instructor- {course.createdBy?.name}</p>
       <p>Duration- {course.duration} weeks</p>
-      <p>Price- ₹{course.price}</p>
+      <p>Price- {course.price > 0 ? `₹${course.price}` : "Free"}</p>
       {isAuth ? (
         <>
-          {user && user.role !== "admin" ? (
+          {user && !canManage ? (
             <>
               {user.subscription.includes(course._id) ? (
                 <button
@@ -47,13 +52,15 @@ const CourseCard = ({ course }) => {
                 >
                   Study
                 </button>
-              ) : (
+              ) : course.price > 0 ? (
                 <button
                   onClick={() => navigate(`/course/${course._id}`)}
                   className="common-btn"
                 >
                   Get Started
                 </button>
+              ) : (
+                <Checkout course={course} />
               )}
             </>
           ) : (
@@ -73,7 +80,17 @@ const CourseCard = ({ course }) => {
 
       <br />
 
-      {user && user.role === "admin" && (
+      {canManage && onEdit && (
+        <>
+          <button onClick={() => onEdit(course)} className="common-btn">
+            Edit
+          </button>
+
+          <br />
+        </>
+      )}
+
+      {canManage && (
         <button
           onClick={() => deleteHandler(course._id)}
           className="common-btn"
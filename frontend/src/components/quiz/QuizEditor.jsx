@@ -0,0 +1,308 @@
+import React, { useState } from "react";
+import "./quiz.css";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { server } from "../../main";
+
+const questionTypes = [
+  { value: "multiple-choice", label: "Multiple choice" },
+  { value: "multi-select", label: "Multi select" },
+  { value: "true-false", label: "True / False" },
+  { value: "short-answer", label: "Short answer" },
+];
+
+const emptyQuestion = () => ({
+  type: "multiple-choice",
+  prompt: "",
+  options: ["", ""],
+  correctOptions: [0],
+  acceptedAnswers: [],
+  points: 1,
+  explanation: "",
+});
+
+const QuizEditor = ({ courseId, quiz, sections, lectures, onSaved, onClose }) => {
+  const [title, setTitle] = useState(quiz ? quiz.title : "");
+  const [description, setDescription] = useState(quiz ? quiz.description : "");
+  const [section, setSection] = useState(quiz && quiz.section ? quiz.section : "");
+  const [lecture, setLecture] = useState(quiz && quiz.lecture ? quiz.lecture : "");
+  const [passingScore, setPassingScore] = useState(quiz ? quiz.passingScore : 70);
+  const [maxAttempts, setMaxAttempts] = useState(quiz ? quiz.maxAttempts : 0);
+  const [questions, setQuestions] = useState(
+    quiz ? quiz.questions : [emptyQuestion()]
+  );
+  const [btnLoading, setBtnLoading] = useState(false);
+
+  const updateQuestion = (index, changes) =>
+    setQuestions(questions.map((q, i) => (i === index ? { ...q, ...changes } : q)));
+
+  const changeType = (index, type) => {
+    if (type === "true-false")
+      return updateQuestion(index, {
+        type,
+        options: ["True", "False"],
+        correctOptions: [0],
+      });
+
+    const current = questions[index];
+    updateQuestion(index, {
+      type,
+      options:
+        current.type === "true-false" || current.options.length < 2
+          ? ["", ""]
+          : current.options,
+      correctOptions: [0],
+    });
+  };
+
+  const toggleCorrect = (index, option) => {
+    const q = questions[index];
+
+    if (q.type !== "multi-select")
+      return updateQuestion(index, { correctOptions: [option] });
+
+    updateQuestion(index, {
+      correctOptions: q.correctOptions.includes(option)
+        ? q.correctOptions.filter((o) => o !== option)
+        : [...q.correctOptions, option],
+    });
+  };
+
+  const removeOption = (index, option) => {
+    const q = questions[index];
+    updateQuestion(index, {
+      options: q.options.filter((o, i) => i !== option),
+      correctOptions: q.correctOptions
+        .filter((o) => o !== option)
+        .map((o) => (o > option ? o - 1 : o)),
+    });
+  };
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+    setBtnLoading(true);
+
+    const body = {
+      title,
+      description,
+      section,
+      lecture,
+      passingScore: Number(passingScore),
+      maxAttempts: Number(maxAttempts),
+      questions,
+    };
+
+    const config = {
+      headers: {
+        token: localStorage.getItem("token"),
+      },
+    };
+
+    try {
+      const { data } = quiz
+        ? await axios.put(`${server}/api/quiz/${quiz._id}`, body, config)
+        : await axios.post(`${server}/api/course/${courseId}/quiz`, body, config);
+
+      toast.success(data.message);
+      setBtnLoading(false);
+      onSaved();
+    } catch (error) {
+      toast.error(error.response.data.message);
+      setBtnLoading(false);
+    }
+  };
+
+  return (
+    <div className="quiz-editor">
+      <h2>{quiz ? "Edit Quiz" : "Add Quiz"}</h2>
+      <form onSubmit={submitHandler}>
+        <label>Title</label>
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          required
+        />
+
+        <label>Description</label>
+        <input
+          type="text"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+        />
+
+        <label>Section</label>
+        <select value={section} onChange={(e) => setSection(e.target.value)}>
+          <option value={""}>No Section</option>
+          {sections.map((sec) => (
+            <option value={sec._id} key={sec._id}>
+              {sec.title}
+            </option>
+          ))}
+        </select>
+
+        <label>After Lecture</label>
+        <select value={lecture} onChange={(e) => setLecture(e.target.value)}>
+          <option value={""}>No Lecture</option>
+          {lectures.map((lec) => (
+            <option value={lec._id} key={lec._id}>
+              {lec.title}
+            </option>
+          ))}
+        </select>
+
+        <label>Passing score (%)</label>
+        <input
+          type="number"
+          min={0}
+          max={100}
+          value={passingScore}
+          onChange={(e) => setPassingScore(e.target.value)}
+        />
+
+        <label>Max attempts (0 = unlimited)</label>
+        <input
+          type="number"
+          min={0}
+          value={maxAttempts}
+          onChange={(e) => setMaxAttempts(e.target.value)}
+        />
+
+        {questions.map((q, index) => (
+          <div key={index} className="quiz-question">
+            <h4>Question {index + 1}</h4>
+
+            <select
+              value={q.type}
+              onChange={(e) => changeType(index, e.target.value)}
+            >
+              {questionTypes.map((t) => (
+                <option value={t.value} key={t.value}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+
+            <input
+              type="text"
+              placeholder="Question"
+              value={q.prompt}
+              onChange={(e) => updateQuestion(index, { prompt: e.target.value })}
+              required
+            />
+
+            {q.type === "short-answer" ? (
+              <input
+                type="text"
+                placeholder="Accepted answers, comma separated"
+                value={q.acceptedAnswers.join(",")}
+                onChange={(e) =>
+                  updateQuestion(index, {
+                    acceptedAnswers: e.target.value.split(","),
+                  })
+                }
+                required
+              />
+            ) : (
+              <>
+                {q.options.map((option, i) => (
+                  <div key={i} className="quiz-option">
+                    <input
+                      type={q.type === "multi-select" ? "checkbox" : "radio"}
+                      name={`correct-${index}`}
+                      checked={q.correctOptions.includes(i)}
+                      onChange={() => toggleCorrect(index, i)}
+                      title="Correct answer"
+                    />
+                    <input
+                      type="text"
+                      placeholder={`Option ${i + 1}`}
+                      value={option}
+                      disabled={q.type === "true-false"}
+                      onChange={(e) =>
+                        updateQuestion(index, {
+                          options: q.options.map((o, j) =>
+                            j === i ? e.target.value : o
+                          ),
+                        })
+                      }
+                      required
+                    />
+                    {q.type !== "true-false" && q.options.length > 2 && (
+                      <button type="button" onClick={() => removeOption(index, i)}>
+                        x
+                      </button>
+                    )}
+                  </div>
+                ))}
+                {q.type !== "true-false" && (
+                  <button
+                    type="button"
+                    onClick={() =>
+                      updateQuestion(index, { options: [...q.options, ""] })
+                    }
+                  >
+                    Add option
+                  </button>
+                )}
+              </>
+            )}
+
+            <label>Points</label>
+            <input
+              type="number"
+              min={1}
+              value={q.points}
+              onChange={(e) =>
+                updateQuestion(index, { points: Number(e.target.value) })
+              }
+            />
+
+            <input
+              type="text"
+              placeholder="Explanation (shown after answering)"
+              value={q.explanation}
+              onChange={(e) =>
+                updateQuestion(index, { explanation: e.target.value })
+              }
+            />
+
+            {questions.length > 1 && (
+              <button
+                type="button"
+                onClick={() =>
+                  setQuestions(questions.filter((qq, i) => i !== index))
+                }
+              >
+                Remove question
+              </button>
+            )}
+          </div>
+        ))}
+
+        <button
+          type="button"
+          className="common-btn"
+          onClick={() => setQuestions([...questions, emptyQuestion()])}
+        >
+          Add Question +
+        </button>
+
+        <button disabled={btnLoading} type="submit" className="common-btn">
+          {btnLoading ? "Please Wait..." : quiz ? "Update" : "Add"}
+        </button>
+
+        <button
+          type="button"
+          onClick={onClose}
+          className="common-btn"
+          style={{ background: "gray" }}
+        >
+          Cancel
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default QuizEditor;
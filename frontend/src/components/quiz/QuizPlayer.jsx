@@ -0,0 +1,191 @@
+import React, { useEffect, useState } from "react";
+import "./quiz.css";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { server } from "../../main";
+import Loading from "../loading/Loading";
+
+const QuizPlayer = ({ quizId, onComplete }) => {
+  const [quiz, setQuiz] = useState(null);
+  const [summary, setSummary] = useState({});
+  const [answers, setAnswers] = useState({});
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [btnLoading, setBtnLoading] = useState(false);
+
+  async function fetchQuiz() {
+    setLoading(true);
+    try {
+      const { data } = await axios.get(`${server}/api/quiz/${quizId}`, {
+        headers: {
+          token: localStorage.getItem("token"),
+        },
+      });
+
+      setQuiz(data.quiz);
+      setSummary(data);
+      setAnswers({});
+      setResult(null);
+      setLoading(false);
+    } catch (error) {
+      toast.error(error.response.data.message);
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    fetchQuiz();
+  }, [quizId]);
+
+  const setAnswer = (id, value) => setAnswers({ ...answers, [id]: value });
+
+  const toggleOption = (id, index) => {
+    const current = answers[id] || [];
+    setAnswer(
+      id,
+      current.includes(index)
+        ? current.filter((i) => i !== index)
+        : [...current, index]
+    );
+  };
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+    setBtnLoading(true);
+    try {
+      const { data } = await axios.post(
+        `${server}/api/quiz/${quizId}/attempt`,
+        { answers },
+        {
+          headers: {
+            token: localStorage.getItem("token"),
+          },
+        }
+      );
+
+      setResult(data);
+      setSummary({
+        ...summary,
+        attemptsLeft: data.attemptsLeft,
+        passed: summary.passed || data.attempt.passed,
+      });
+      toast.success(data.message);
+      setBtnLoading(false);
+      if (onComplete) onComplete(data);
+    } catch (error) {
+      toast.error(error.response.data.message);
+      setBtnLoading(false);
+    }
+  };
+
+  if (loading) return <Loading />;
+  if (!quiz) return <h1>Quiz not found</h1>;
+
+  const resultFor = (id) =>
+    result && result.results.find((r) => r.question === id);
+
+  const outOfAttempts = summary.attemptsLeft === 0 && !result;
+
+  return (
+    <div className="quiz-player">
+      <h1>{quiz.title}</h1>
+      {quiz.description && <p>{quiz.description}</p>}
+      <p className="quiz-meta">
+        Passing score {quiz.passingScore}%
+        {summary.attemptsLeft !== null && summary.attemptsLeft !== undefined
+          ? ` - ${summary.attemptsLeft} attempt(s) left`
+          : ""}
+        {summary.passed ? " - Passed" : ""}
+      </p>
+
+      {outOfAttempts ? (
+        <p>You have used all attempts for this quiz.</p>
+      ) : (
+        <form onSubmit={submitHandler}>
+          {quiz.questions.map((q, i) => {
+            const r = resultFor(q._id);
+            return (
+              <div
+                key={q._id}
+                className={`quiz-question ${
+                  r ? (r.correct ? "correct" : "wrong") : ""
+                }`}
+              >
+                <h4>
+                  {i + 1}. {q.prompt} <small>({q.points} pt)</small>
+                </h4>
+
+                {q.type === "short-answer" ? (
+                  <input
+                    type="text"
+                    value={answers[q._id] || ""}
+                    onChange={(e) => setAnswer(q._id, e.target.value)}
+                    disabled={!!result}
+                  />
+                ) : (
+                  q.options.map((option, index) => (
+                    <label key={index} className="quiz-option">
+                      <input
+                        type={q.type === "multi-select" ? "checkbox" : "radio"}
+                        name={q._id}
+                        checked={
+                          q.type === "multi-select"
+                            ? (answers[q._id] || []).includes(index)
+                            : answers[q._id] === index
+                        }
+                        onChange={() =>
+                          q.type === "multi-select"
+                            ? toggleOption(q._id, index)
+                            : setAnswer(q._id, index)
+                        }
+                        disabled={!!result}
+                      />
+                      {option}
+                      {r &&
+                        r.correctOptions &&
+                        r.correctOptions.includes(index) && (
+                          <strong> (correct)</strong>
+                        )}
+                    </label>
+                  ))
+                )}
+
+                {r && r.acceptedAnswers && r.acceptedAnswers.length > 0 && (
+                  <p>Accepted: {r.acceptedAnswers.join(", ")}</p>
+                )}
+                {r && r.explanation && (
+                  <p className="quiz-explanation">{r.explanation}</p>
+                )}
+              </div>
+            );
+          })}
+
+          {result ? (
+            <>
+              <h3>
+                Score {result.attempt.score}/{result.attempt.maxScore} (
+                {result.attempt.percentage}%) -{" "}
+                {result.attempt.passed ? "Passed" : "Not passed"}
+              </h3>
+              {result.attemptsLeft !== 0 && (
+                <button
+                  type="button"
+                  className="common-btn"
+                  onClick={fetchQuiz}
+                >
+                  Try Again
+                </button>
+              )}
+            </>
+          ) : (
+            <button disabled={btnLoading} type="submit" className="common-btn">
+              {btnLoading ? "Please Wait..." : "Submit"}
+            </button>
+          )}
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default QuizPlayer;
@@ -0,0 +1,78 @@
+import React, { useEffect, useState } from "react";
+import "./seekPreview.css";
+import { server } from "../../main";
+
+const formatTime = (seconds) => {
+  const s = Math.floor(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+};
+
+// Seek bar under a transcoded lecture. Hovering shows the frame from the
+// thumbnail sprite (one tile every `interval` seconds, `columns` per row),
+// clicking jumps there.
+const SeekPreview = ({ videoRef, spriteUrl, thumbnails, duration }) => {
+  const [hover, setHover] = useState(null);
+  const [current, setCurrent] = useState(0);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    const update = () => setCurrent(video.currentTime);
+    video.addEventListener("timeupdate", update);
+
+    return () => video.removeEventListener("timeupdate", update);
+  }, [videoRef, spriteUrl]);
+
+  const total = videoRef.current?.duration || duration;
+  if (!total) return null;
+
+  const timeAt = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(
+      1,
+      Math.max(0, (e.clientX - rect.left) / rect.width)
+    );
+
+    return { time: ratio * total, left: ratio * 100 };
+  };
+
+  const { interval, columns, width, height } = thumbnails;
+  // the sheet holds at most 10 rows
+  const tile = hover
+    ? Math.min(Math.floor(hover.time / interval), columns * 10 - 1)
+    : 0;
+
+  return (
+    <div
+      className="seek-preview"
+      onMouseMove={(e) => setHover(timeAt(e))}
+      onMouseLeave={() => setHover(null)}
+      onClick={(e) => {
+        if (videoRef.current) videoRef.current.currentTime = timeAt(e).time;
+      }}
+    >
+      <div
+        className="seek-progress"
+        style={{ width: `${(current * 100) / total}%` }}
+      />
+      {hover && (
+        <div className="seek-thumb" style={{ left: `${hover.left}%` }}>
+          <div
+            style={{
+              width,
+              height,
+              backgroundImage: `url(${server}${spriteUrl})`,
+              backgroundPosition: `-${(tile % columns) * width}px -${
+                Math.floor(tile / columns) * height
+              }px`,
+            }}
+          />
+          <span>{formatTime(hover.time)}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SeekPreview;
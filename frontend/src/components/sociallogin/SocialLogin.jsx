@@ -0,0 +1,36 @@
+import React, { useEffect, useState } from "react";
+import "./socialLogin.css";
+import axios from "axios";
+import { server } from "../../main";
+
+// Buttons for the social login providers the server has configured. The
+// browser leaves for the provider and comes back on /oauth/callback.
+const SocialLogin = () => {
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    axios
+      .get(`${server}/api/user/oauth/providers`)
+      .then(({ data }) => setProviders(data.providers))
+      .catch((error) => console.log(error));
+  }, []);
+
+  if (providers.length === 0) return null;
+
+  return (
+    <div className="social-login">
+      <p className="social-divider">or</p>
+      {providers.map((provider) => (
+        <a
+          key={provider.name}
+          href={`${server}/api/user/oauth/${provider.name}`}
+          className="social-btn"
+        >
+          Continue with {provider.label}
+        </a>
+      ))}
+    </div>
+  );
+};
+
+export default SocialLogin;
@@ -0,0 +1,138 @@
+import React, { useEffect, useRef, useState } from "react";
+import "./tutor.css";
+import axios from "axios";
+import toast from "react-hot-toast";
+import ReactMarkdown from "react-markdown";
+import { server } from "../../main";
+
+const TutorChat = ({ lectureId }) => {
+  const [open, setOpen] = useState(false);
+  const [messages, setMessages] = useState([]);
+  const [question, setQuestion] = useState("");
+  const [btnLoading, setBtnLoading] = useState(false);
+  const endRef = useRef(null);
+
+  const config = {
+    headers: {
+      token: localStorage.getItem("token"),
+    },
+  };
+
+  async function fetchMessages() {
+    try {
+      const { data } = await axios.get(
+        `${server}/api/lecture/${lectureId}/tutor`,
+        config
+      );
+      setMessages(data.messages);
+    } catch (error) {
+      console.log(error);
+    }
+  }
+
+  useEffect(() => {
+    setMessages([]);
+    if (open) fetchMessages();
+  }, [lectureId, open]);
+
+  useEffect(() => {
+    if (endRef.current) endRef.current.scrollIntoView({ block: "nearest" });
+  }, [messages, btnLoading]);
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+    if (!question.trim() || btnLoading) return;
+
+    const asked = question;
+    setBtnLoading(true);
+    setQuestion("");
+    // show the question right away, the answer can take a while
+    setMessages([...messages, { role: "user", content: asked }]);
+
+    try {
+      const { data } = await axios.post(
+        `${server}/api/lecture/${lectureId}/tutor`,
+        { question: asked },
+        config
+      );
+
+      setMessages(data.messages);
+    } catch (error) {
+      toast.error(error.response.data.message);
+      setMessages(messages);
+      setQuestion(asked);
+    }
+
+    setBtnLoading(false);
+  };
+
+  const clearHandler = async () => {
+    if (!confirm("Clear this conversation?")) return;
+
+    try {
+      const { data } = await axios.delete(
+        `${server}/api/lecture/${lectureId}/tutor`,
+        config
+      );
+
+      toast.success(data.message);
+      setMessages([]);
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  };
+
+  if (!open)
+    return (
+      <button className="common-btn tutor-toggle" onClick={() => setOpen(true)}>
+        Ask the AI tutor
+      </button>
+    );
+
+  return (
+    <div className="tutor-chat">
+      <div className="tutor-header">
+        <h3>AI Tutor</h3>
+        {messages.length > 0 && <button onClick={clearHandler}>Clear</button>}
+        <button onClick={() => setOpen(false)}>Close</button>
+      </div>
+
+      <div className="tutor-messages">
+        {messages.length === 0 && (
+          <p className="tutor-empty">
+            Stuck on something in this lecture? Ask a question.
+          </p>
+        )}
+        {messages.map((m, i) => (
+          <div key={i} className={`tutor-message ${m.role}`}>
+            {m.role === "assistant" ? (
+              <ReactMarkdown>{m.content}</ReactMarkdown>
+            ) : (
+              <p>{m.content}</p>
+            )}
+          </div>
+        ))}
+        {btnLoading && <p className="tutor-empty">Thinking...</p>}
+        <div ref={endRef} />
+      </div>
+
+      <form onSubmit={submitHandler}>
+        <textarea
+          placeholder="Your question"
+          value={question}
+          maxLength={2000}
+          onChange={(e) => setQuestion(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && !e.shiftKey) submitHandler(e);
+          }}
+          required
+        />
+        <button disabled={btnLoading} type="submit" className="common-btn">
+          {btnLoading ? "Please Wait..." : "Ask"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default TutorChat;
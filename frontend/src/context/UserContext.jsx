@@ -1,4 +1,4 @@
-import { createContext, useContext, useEffect, useState } from "react";
+import { createContext, useContext, useEffect, useRef, useState } from "react";
 import axios from "axios";
 import { server } from "../main";
 import toast, { Toaster } from "react-hot-toast";
@@ -7,32 +7,121 @@ const UserContext = createContext();
 
 export const UserContextProvider = ({ children }) => {
   const [user, setUser] = useState([]);
+  // named permissions of the user's role, the server checks the same list
+  const [permissions, setPermissions] = useState([]);
+  // set when the user's role has to use two-factor authentication
+  const [twoFactorRequired, setTwoFactorRequired] = useState(false);
+  // issued by the password step when the account has 2FA enabled
+  const [twoFactorToken, setTwoFactorToken] = useState(null);
   const [isAuth, setIsAuth] = useState(false);
   const [btnLoading, setBtnLoading] = useState(false);
+  // set by a 429 from the auth endpoints until the server's Retry-After passes
+  const [rateLimited, setRateLimited] = useState(false);
+  const rateLimitTimer = useRef(null);
   const [loading, setLoading] = useState(true);
 
+  // toast for failed auth requests, a 429 also disables the forms for a while
+  function authError(error) {
+    const { status, data } = error.response || {};
+
+    if (status === 429 && data?.retryAfter) {
+      clearTimeout(rateLimitTimer.current);
+      setRateLimited(true);
+      rateLimitTimer.current = setTimeout(
+        () => setRateLimited(false),
+        data.retryAfter * 1000
+      );
+    }
+
+    toast.error(data?.message || "Something went wrong, please try again");
+  }
+
   async function loginUser(email, password, navigate, fetchMyCourse) {
     setBtnLoading(true);
     try {
-      const { data } = await axios.post(`${server}/api/user/login`, {
-        email,
-        password,
-      });
+      const { data } = await axios.post(
+        `${server}/api/user/login`,
+        {
+          email,
+          password,
+        },
+        // lets the server set the refresh token cookie when it uses one
+        { withCredentials: true }
+      );
 
       toast.success(data.message);
-      localStorage.setItem("token", data.token);
-      setUser(data.user);
-      setIsAuth(true);
       setBtnLoading(false);
-      navigate("/");
-      fetchMyCourse();
+
+      if (data.twoFactorToken) return setTwoFactorToken(data.twoFactorToken);
+
+      loggedIn(data, navigate, fetchMyCourse);
     } catch (error) {
       setBtnLoading(false);
       setIsAuth(false);
-      toast.error(error.response.data.message);
+      authError(error);
+    }
+  }
+
+  // swaps the code from a social login for the session, it can still need
+  // the second factor like a password login
+  async function loginWithOAuth(code, navigate, fetchMyCourse) {
+    try {
+      const { data } = await axios.post(
+        `${server}/api/user/login/oauth`,
+        { code },
+        { withCredentials: true }
+      );
+
+      toast.success(data.message);
+
+      if (data.twoFactorToken) {
+        setTwoFactorToken(data.twoFactorToken);
+        return navigate("/login");
+      }
+
+      loggedIn(data, navigate, fetchMyCourse);
+    } catch (error) {
+      authError(error);
+      navigate("/login");
+    }
+  }
+
+  // second login step, takes an authenticator or a recovery code
+  async function verifyTwoFactor(code, navigate, fetchMyCourse) {
+    setBtnLoading(true);
+    try {
+      const { data } = await axios.post(
+        `${server}/api/user/login/2fa`,
+        { twoFactorToken, code },
+        { withCredentials: true }
+      );
+
+      toast.success(data.message);
+      setBtnLoading(false);
+      setTwoFactorToken(null);
+      loggedIn(data, navigate, fetchMyCourse);
+    } catch (error) {
+      setBtnLoading(false);
+      // the login token expired, start again from the password
+      if (error.response?.status === 401) setTwoFactorToken(null);
+      authError(error);
     }
   }
 
+  function loggedIn(data, navigate, fetchMyCourse) {
+    localStorage.setItem("token", data.token);
+    if (data.refreshToken)
+      localStorage.setItem("refreshToken", data.refreshToken);
+    setUser(data.user);
+    setPermissions(data.permissions || []);
+    setTwoFactorRequired(Boolean(data.twoFactorRequired));
+    setIsAuth(true);
+    navigate(
+      data.twoFactorRequired && !data.user.twoFactorEnabled ? "/security" : "/"
+    );
+    fetchMyCourse();
+  }
+
   async function registerUser(name, email, password, navigate) {
     setBtnLoading(true);
     try {
@@ -48,7 +137,7 @@ export const UserContextProvider = ({ children }) => {
       navigate("/verify");
     } catch (error) {
       setBtnLoading(false);
-      toast.error(error.response.data.message);
+      authError(error);
     }
   }
 
@@ -66,7 +155,7 @@ export const UserContextProvider = ({ children }) => {
       localStorage.clear();
       setBtnLoading(false);
     } catch (error) {
-      toast.error(error.response.data.message);
+      authError(error);
       setBtnLoading(false);
     }
   }
@@ -81,6 +170,8 @@ export const UserContextProvider = ({ children }) => {
 
       setIsAuth(true);
       setUser(data.user);
+      setPermissions(data.permissions || []);
+      setTwoFactorRequired(Boolean(data.twoFactorRequired));
       setLoading(false);
     } catch (error) {
       console.log(error);
@@ -88,6 +179,8 @@ export const UserContextProvider = ({ children }) => {
     }
   }
 
+  const can = (...names) => names.some((name) => permissions.includes(name));
+
   useEffect(() => {
     fetchUser();
   }, []);
@@ -96,10 +189,20 @@ export const UserContextProvider = ({ children }) => {
       value={{
         user,
         setUser,
+        permissions,
+        setPermissions,
+        can,
+        twoFactorRequired,
+        twoFactorToken,
+        setTwoFactorToken,
+        verifyTwoFactor,
+        loginWithOAuth,
         setIsAuth,
         isAuth,
         loginUser,
         btnLoading,
+        rateLimited,
+        authError,
         loading,
         registerUser,
         verifyOtp,
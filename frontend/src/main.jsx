@@ -3,9 +3,56 @@ import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
 import { UserContextProvider } from "./context/UserContext.jsx";
 import { CourseContextProvider } from "./context/CourseContext.jsx";
+import axios from "axios";
 
 export const server = "http://localhost:5000";
 
+// Access tokens are short lived. An expired one is swapped for a new pair with
+// the refresh token (stored here, or sent as an httpOnly cookie) and the
+// request is retried. Parallel requests share one refresh.
+let refreshing = null;
+
+export const refreshSession = () => {
+  if (!refreshing)
+    refreshing = axios
+      .post(
+        `${server}/api/user/refresh`,
+        { refreshToken: localStorage.getItem("refreshToken") || undefined },
+        { withCredentials: true }
+      )
+      .then(({ data }) => {
+        localStorage.setItem("token", data.token);
+        if (data.refreshToken)
+          localStorage.setItem("refreshToken", data.refreshToken);
+
+        return data.token;
+      })
+      .catch((error) => {
+        // a rate limited refresh keeps the tokens for the next try
+        if (error.response?.status === 401) {
+          localStorage.removeItem("token");
+          localStorage.removeItem("refreshToken");
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+
+  return refreshing;
+};
+
+axios.interceptors.response.use(undefined, async (error) => {
+  const { config, response } = error;
+
+  if (!response || !response.data?.expired || config.retried) throw error;
+
+  config.retried = true;
+  config.headers.token = await refreshSession();
+
+  return axios(config);
+});
+
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <UserContextProvider>
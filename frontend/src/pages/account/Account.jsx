@@ -1,19 +1,45 @@
 import React from "react";
-import { MdDashboard } from "react-icons/md";
+import {
+  MdDashboard,
+  MdDevices,
+  MdEdit,
+  MdPrivacyTip,
+  MdReceiptLong,
+  MdSecurity,
+} from "react-icons/md";
 import "./account.css";
 import { IoMdLogOut } from "react-icons/io";
 import { UserData } from "../../context/UserContext";
 import toast from "react-hot-toast";
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
+import axios from "axios";
+import { server } from "../../main";
 
 const Account = ({ user }) => {
-  const { setIsAuth, setUser } = UserData();
+  const { setIsAuth, setUser, setPermissions, can } = UserData();
 
   const navigate = useNavigate();
 
-  const logoutHandler = () => {
+  const logoutHandler = async () => {
+    // ends the session on the server too, logging out locally either way
+    try {
+      await axios.post(
+        `${server}/api/user/logout`,
+        {},
+        {
+          headers: {
+            token: localStorage.getItem("token"),
+          },
+          withCredentials: true,
+        }
+      );
+    } catch (error) {
+      console.log(error);
+    }
+
     localStorage.clear();
     setUser([]);
+    setPermissions([]);
     setIsAuth(false);
     toast.success("Logged Out");
     navigate("/login");
@@ -23,7 +49,22 @@ const Account = ({ user }) => {
       {user && (
         <div className="profile">
           <h2>My Profile</h2>
+          {user.deletionScheduledFor && (
+            <p className="deletion-notice">
+              Your account will be deleted on{" "}
+              {new Date(user.deletionScheduledFor).toLocaleDateString()}.{" "}
+              <Link to="/privacy">Keep my account</Link>
+            </p>
+          )}
           <div className="profile-info">
+            {user.avatar && (
+              <img
+                src={`${server}/${user.avatar}`}
+                alt=""
+                className="profile-avatar"
+              />
+            )}
+
             <p>
               <strong>Name - {user.name}</strong>
             </p>
@@ -32,6 +73,13 @@ const Account = ({ user }) => {
               <strong>Email - {user.email}</strong>
             </p>
 
+            <button onClick={() => navigate("/profile")} className="common-btn">
+              <MdEdit />
+              Edit Profile
+            </button>
+
+            <br />
+
             <button
               onClick={() => navigate(`/${user._id}/dashboard`)}
               className="common-btn"
@@ -42,18 +90,55 @@ const Account = ({ user }) => {
 
             <br />
 
-            {user.role === "admin" && (
+            <button
+              onClick={() => navigate("/purchases")}
+              className="common-btn"
+            >
+              <MdReceiptLong />
+              My Purchases
+            </button>
+
+            <br />
+
+            {can("stats:view", "stats:view:any") && (
               <button
                 onClick={() => navigate(`/admin/dashboard`)}
                 className="common-btn"
               >
                 <MdDashboard />
-                Admin Dashboard
+                {can("stats:view:any") ? "Admin" : "Instructor"} Dashboard
               </button>
             )}
 
             <br />
 
+            <button
+              onClick={() => navigate("/sessions")}
+              className="common-btn"
+            >
+              <MdDevices />
+              Active Sessions
+            </button>
+
+            <br />
+
+            <button
+              onClick={() => navigate("/security")}
+              className="common-btn"
+            >
+              <MdSecurity />
+              Security
+            </button>
+
+            <br />
+
+            <button onClick={() => navigate("/privacy")} className="common-btn">
+              <MdPrivacyTip />
+              Your Data
+            </button>
+
+            <br />
+
             <button
               onClick={logoutHandler}
               className="common-btn"
@@ -1,7 +1,9 @@
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import "./aicourse.css";
 import axios from "axios";
 import { toast } from "react-hot-toast";
+import { Link, useNavigate } from "react-router-dom";
+import { refreshSession, server } from "../../main";
 
 const AICourse = ({ user }) => {
   const [loading, setLoading] = useState(false);
@@ -9,78 +11,222 @@ const AICourse = ({ user }) => {
   const [duration, setDuration] = useState(4); // Default 4 weeks
   const [difficulty, setDifficulty] = useState("beginner");
   const [generatedCourse, setGeneratedCourse] = useState(null);
-  const serverUrl = import.meta.env.VITE_SERVER_URL || "http://localhost:5000";
+  // Structured errors from the server when generation or validation fails
+  const [generationError, setGenerationError] = useState(null);
+  // Modules received so far while a streamed generation is running
+  const [streamingModules, setStreamingModules] = useState(null);
+  const [streamStatus, setStreamStatus] = useState("");
+  // The outline came from the cache instead of a new AI request
+  const [cachedResult, setCachedResult] = useState(false);
+  const [quota, setQuota] = useState(null);
+  const abortRef = useRef(null);
+  const navigate = useNavigate();
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
+  // stop a running generation when leaving the page
+  useEffect(() => () => abortRef.current && abortRef.current.abort(), []);
+
+  const fetchQuota = async () => {
+    try {
+      const { data } = await axios.get(`${server}/api/ai-quota`, {
+        headers: {
+          token: localStorage.getItem("token"),
+        },
+      });
+
+      setQuota(data);
+    } catch (error) {
+      console.error("Quota error:", error);
+    }
+  };
+
+  useEffect(() => {
+    fetchQuota();
+  }, []);
+
+  const failGeneration = (message, errors = []) => {
+    setGeneratedCourse(null);
+    setGenerationError({ message, errors });
+    toast.error("Course generation failed");
+  };
+
+  const handleStreamEvent = ({ event, data }) => {
+    if (event === "module") {
+      setStreamingModules((modules) => [...(modules || []), data.module]);
+      setStreamStatus(`Writing module ${data.index + 2}...`);
+    } else if (event === "repair") {
+      setStreamStatus("Fixing the outline...");
+    } else if (event === "done") {
+      setGeneratedCourse(data.course);
+      setCachedResult(Boolean(data.cached));
+      toast.success(
+        data.cached ? "Loaded a saved outline" : "Course generated successfully!"
+      );
+    } else if (event === "error") {
+      failGeneration(data.message, data.errors);
+    }
+  };
+
+  // EventSource cannot send the token header, so the event stream is read
+  // from a fetch response instead
+  const generateStream = async (fresh = false) => {
     if (!courseName) {
       return toast.error("Please enter a course name");
     }
 
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    setLoading(true);
+    setGenerationError(null);
+    setGeneratedCourse(null);
+    setCachedResult(false);
+    setStreamingModules([]);
+    setStreamStatus("Writing module 1...");
+
     try {
-      setLoading(true);
-      
-      // First try the server API
-      try {
-        const { data } = await axios.post(
-          `${serverUrl}/api/ai/generate-course`,
-          {
-            courseName,
-            duration,
-            difficulty,
-            userId: user._id,
+      const post = (token) =>
+        fetch(`${server}/api/generate-course/stream`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            token,
           },
-          {
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${localStorage.getItem("token")}`,
-            },
-            timeout: 30000, // 30 second timeout
-          }
+          body: JSON.stringify({ courseName, duration, difficulty, fresh }),
+          signal: controller.signal,
+        });
+
+      let response = await post(localStorage.getItem("token"));
+
+      // fetch skips the axios interceptor, refresh an expired token here
+      if (response.status === 401) {
+        const data = await response.clone().json().catch(() => ({}));
+        if (data.expired) response = await post(await refreshSession());
+      }
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        failGeneration(
+          data.message || "Something went wrong while generating the course",
+          data.errors
         );
+      } else {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = "";
+
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
 
-        setGeneratedCourse(data.course);
-        toast.success("Course generated successfully!");
-      } catch (apiError) {
-        console.error("API error:", apiError);
-        
-        // Fallback to client-side generation if API fails
-        const fallbackCourse = generateMockCourse();
-        setGeneratedCourse(fallbackCourse);
-        toast.success("Course generated successfully!");
+          let end;
+          while ((end = buffer.indexOf("\n\n")) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+
+            const event = block.match(/^event: (.*)$/m);
+            const data = block.match(/^data: (.*)$/m);
+            if (event && data)
+              handleStreamEvent({ event: event[1], data: JSON.parse(data[1]) });
+          }
+        }
       }
-      
-      setLoading(false);
     } catch (error) {
-      setLoading(false);
-      toast.error("Something went wrong while generating the course");
+      if (error.name === "AbortError") {
+        toast("Generation cancelled");
+      } else {
+        console.error("Stream error:", error);
+        failGeneration("Something went wrong while generating the course");
+      }
     }
+
+    abortRef.current = null;
+    setStreamingModules(null);
+    setStreamStatus("");
+    setLoading(false);
+    fetchQuota();
   };
 
-  const handleSaveCourse = async () => {
-    if (!generatedCourse) return;
+  const cancelGeneration = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  // Non-streamed generation, used for the template outline
+  const generate = async (fallback = false) => {
+    if (!courseName) {
+      return toast.error("Please enter a course name");
+    }
+
+    setLoading(true);
+    setGenerationError(null);
 
     try {
-      setLoading(true);
       const { data } = await axios.post(
-        `${serverUrl}/api/ai/save-course`,
+        `${server}/api/generate-course`,
         {
-          course: generatedCourse,
+          courseName,
+          duration,
+          difficulty,
           userId: user._id,
+          fallback,
         },
         {
           headers: {
             "Content-Type": "application/json",
-            Authorization: `Bearer ${localStorage.getItem("token")}`,
+            token: localStorage.getItem("token"),
           },
+          timeout: 120000, // repair attempts can take a while
         }
       );
 
-      toast.success("Course saved successfully!");
+      setGeneratedCourse(data.course);
+      setCachedResult(Boolean(data.cached));
+      toast.success(
+        data.fallback
+          ? "Template outline generated"
+          : "Course generated successfully!"
+      );
+    } catch (error) {
+      console.error("API error:", error);
+      setGeneratedCourse(null);
+      setGenerationError({
+        message:
+          error.response?.data?.message ||
+          "Something went wrong while generating the course",
+        errors: error.response?.data?.errors || [],
+      });
+      toast.error("Course generation failed");
+    }
+
+    setLoading(false);
+    fetchQuota();
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    generateStream();
+  };
+
+  const handleSaveCourse = async () => {
+    if (!generatedCourse) return;
+
+    try {
+      setLoading(true);
+      const { data } = await axios.post(
+        `${server}/api/save-course`,
+        { course: generatedCourse },
+        {
+          headers: {
+            "Content-Type": "application/json",
+            token: localStorage.getItem("token"),
+          },
+        }
+      );
+
+      toast.success("Draft saved, review it before publishing");
       setLoading(false);
-      // Redirect to the course page
-      window.location.href = `/course/${data.courseId}`;
+      navigate(`/ai-drafts/${data.draftId}`);
     } catch (error) {
       setLoading(false);
       console.error("Save error:", error);
@@ -88,25 +234,20 @@ const AICourse = ({ user }) => {
     }
   };
 
-  // Mock course generation function (client-side fallback)
-  const generateMockCourse = () => {
-    return {
-      title: courseName,
-      description: `A comprehensive ${difficulty} level course on ${courseName} designed to be completed in ${duration} weeks.`,
-      duration: duration,
-      difficulty: difficulty,
-      category: determineCourseCategory(courseName),
-      outline: generateMockOutline(courseName, duration, difficulty),
-    };
-  };
-
   return (
     <div className="ai-course-container">
       <h1>AI Course Generator</h1>
       <p className="ai-course-description">
         Enter a course topic and select the duration to generate a personalized course curriculum.
+        Saved courses stay private drafts until you publish them from <Link to={"/ai-drafts"}>My Drafts</Link>.
       </p>
 
+      {quota && quota.limit > 0 && (
+        <p className="ai-quota">
+          {quota.remaining} of {quota.limit} AI requests left today
+        </p>
+      )}
+
       <form onSubmit={handleSubmit} className="ai-course-form">
         <div className="form-group">
           <label htmlFor="courseName">Course Topic</label>
@@ -150,12 +291,87 @@ const AICourse = ({ user }) => {
         <button type="submit" className="generate-btn" disabled={loading}>
           {loading ? "Generating..." : "Generate Course"}
         </button>
+
+        {streamingModules && (
+          <button
+            type="button"
+            onClick={cancelGeneration}
+            className="generate-btn cancel-btn"
+          >
+            Cancel
+          </button>
+        )}
       </form>
 
+      {streamingModules && (
+        <div className="generated-course streaming-preview">
+          <h3>Course Outline</h3>
+          <div className="course-outline">
+            {streamingModules.map((module, index) => (
+              <div key={index} className="course-module">
+                <h4>{module.title}</h4>
+                <p>{module.description}</p>
+                <ul>
+                  {(module.topics || []).map((topic, i) => (
+                    <li key={i}>{topic}</li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+          <p className="stream-status">{streamStatus}</p>
+        </div>
+      )}
+
+      {generationError && (
+        <div className="generation-error">
+          <h3>{generationError.message}</h3>
+          {generationError.errors.length > 0 && (
+            <ul>
+              {generationError.errors.map((err, i) => (
+                <li key={i}>
+                  {err.path && <code>{err.path}</code>} {err.message}
+                </li>
+              ))}
+            </ul>
+          )}
+          <button
+            onClick={() => generateStream()}
+            className="generate-btn"
+            disabled={loading}
+          >
+            Try Again
+          </button>
+          <button
+            onClick={() => generate(true)}
+            className="generate-btn"
+            disabled={loading}
+          >
+            Use Template Outline
+          </button>
+        </div>
+      )}
+
       {generatedCourse && (
         <div className="generated-course">
           <h2>{generatedCourse.title}</h2>
           <p className="course-description">{generatedCourse.description}</p>
+
+          {cachedResult && (
+            <div className="cached-note">
+              <p>
+                This outline was generated earlier for the same topic and
+                didn't use your AI quota.
+              </p>
+              <button
+                onClick={() => generateStream(true)}
+                className="generate-btn"
+                disabled={loading}
+              >
+                Generate a fresh outline
+              </button>
+            </div>
+          )}
           
           <div className="course-details">
             <p><strong>Duration:</strong> {generatedCourse.duration} weeks</p>
@@ -179,7 +395,7 @@ const AICourse = ({ user }) => {
           </div>
 
           <button onClick={handleSaveCourse} className="save-course-btn" disabled={loading}>
-            {loading ? "Saving..." : "Save This Course"}
+            {loading ? "Saving..." : "Save as Draft"}
           </button>
         </div>
       )}
@@ -187,122 +403,4 @@ const AICourse = ({ user }) => {
   );
 };
 
-// Helper function to determine course category based on course name
-function determineCourseCategory(courseName) {
-  const courseLower = courseName.toLowerCase();
-  
-  if (courseLower.includes("programming") || 
-      courseLower.includes("coding") || 
-      courseLower.includes("development") ||
-      courseLower.includes("javascript") ||
-      courseLower.includes("python") ||
-      courseLower.includes("java") ||
-      courseLower.includes("web")) {
-    return "Programming";
-  } 
-  else if (courseLower.includes("design") || 
-           courseLower.includes("ui") || 
-           courseLower.includes("ux")) {
-    return "Design";
-  }
-  else if (courseLower.includes("business") || 
-           courseLower.includes("marketing") || 
-           courseLower.includes("management")) {
-    return "Business";
-  }
-  else if (courseLower.includes("data") || 
-           courseLower.includes("machine learning") || 
-           courseLower.includes("ai") ||
-           courseLower.includes("analytics")) {
-    return "Data Science";
-  }
-  else {
-    return "Other";
-  }
-}
-
-// Helper function to generate a mock course outline
-function generateMockOutline(courseName, duration, difficulty) {
-  const modules = [];
-  const weeksPerModule = Math.max(1, Math.floor(duration / 4));
-  const moduleCount = Math.max(3, Math.ceil(duration / weeksPerModule));
-  
-  for (let i = 0; i < moduleCount; i++) {
-    modules.push({
-      title: getModuleTitle(courseName, i),
-      description: `This module covers essential concepts related to ${getModuleTitle(courseName, i).toLowerCase()}.`,
-      topics: generateTopics(courseName, i, difficulty),
-    });
-  }
-  
-  return modules;
-}
-
-// Helper function to generate module titles
-function getModuleTitle(courseName, moduleIndex) {
-  const introTitles = ["Introduction to", "Fundamentals of", "Getting Started with"];
-  const intermediateTitles = ["Advanced Concepts in", "Practical Applications of", "Deep Dive into"];
-  const advancedTitles = ["Mastering", "Expert Techniques for", "Professional"];
-  
-  if (moduleIndex === 0) {
-    return `${introTitles[0]} ${courseName}`;
-  } else if (moduleIndex === 1) {
-    return `${introTitles[2]} ${courseName} Development`;
-  } else if (moduleIndex === 2) {
-    return `${intermediateTitles[0]} ${courseName}`;
-  } else if (moduleIndex === 3) {
-    return `${intermediateTitles[1]} ${courseName}`;
-  } else {
-    return `${advancedTitles[0]} ${courseName}`;
-  }
-}
-
-// Helper function to generate topics for each module
-function generateTopics(courseName, moduleIndex, difficulty) {
-  const topics = [];
-  const topicCount = difficulty === "beginner" ? 4 : (difficulty === "intermediate" ? 5 : 6);
-  
-  const beginnerTopics = [
-    "Understanding the basics",
-    "Core principles and concepts",
-    "Setting up your environment",
-    "Your first project",
-    "Best practices for beginners",
-    "Common mistakes to avoid"
-  ];
-  
-  const intermediateTopics = [
-    "Advanced techniques",
-    "Optimizing your workflow",
-    "Building complex projects",
-    "Integration with other systems",
-    "Performance considerations",
-    "Testing and debugging"
-  ];
-  
-  const advancedTopics = [
-    "Expert-level strategies",
-    "Cutting-edge methodologies",
-    "Enterprise-scale implementation",
-    "Architecture and design patterns",
-    "Performance optimization",
-    "Advanced troubleshooting"
-  ];
-  
-  let topicPool;
-  if (difficulty === "beginner") {
-    topicPool = beginnerTopics;
-  } else if (difficulty === "intermediate") {
-    topicPool = intermediateTopics;
-  } else {
-    topicPool = advancedTopics;
-  }
-  
-  for (let i = 0; i < topicCount; i++) {
-    topics.push(`${topicPool[i]} for ${courseName}`);
-  }
-  
-  return topics;
-}
-
 export default AICourse;
\ No newline at end of file
@@ -0,0 +1,373 @@
+import React, { useEffect, useState } from "react";
+import "./aidrafts.css";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useNavigate, useParams } from "react-router-dom";
+import { server } from "../../main";
+import { CourseData } from "../../context/CourseContext";
+import { UserData } from "../../context/UserContext";
+import Loading from "../../components/loading/Loading";
+
+const categories = ["Programming", "Design", "Business", "Data Science", "Other"];
+
+const AIDraftEditor = () => {
+  const params = useParams();
+  const navigate = useNavigate();
+  const { fetchCourses } = CourseData();
+  const { can } = UserData();
+  const canPublish = can("course:create");
+
+  const [draft, setDraft] = useState(null);
+  const [title, setTitle] = useState("");
+  const [description, setDescription] = useState("");
+  const [category, setCategory] = useState("");
+  const [price, setPrice] = useState(0);
+  const [image, setImage] = useState("");
+  const [imagePrev, setImagePrev] = useState("");
+  const [outline, setOutline] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [btnLoading, setBtnLoading] = useState(false);
+  const [regenerating, setRegenerating] = useState(null);
+
+  const config = {
+    headers: {
+      token: localStorage.getItem("token"),
+    },
+  };
+
+  const loadDraft = (data) => {
+    setDraft(data);
+    setTitle(data.title);
+    setDescription(data.description);
+    setCategory(data.category);
+    setPrice(data.price);
+    setOutline(
+      data.outline.map(({ title, description, topics }) => ({
+        title,
+        description,
+        topics,
+      }))
+    );
+    setImage("");
+    setImagePrev(
+      data.image !== "default_course.jpg" ? `${server}/${data.image}` : ""
+    );
+  };
+
+  async function fetchDraft() {
+    try {
+      const { data } = await axios.get(
+        `${server}/api/ai-draft/${params.id}`,
+        config
+      );
+
+      loadDraft(data.draft);
+      setLoading(false);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to load draft");
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    fetchDraft();
+  }, [params.id]);
+
+  const changeImageHandler = (e) => {
+    const file = e.target.files[0];
+    const reader = new FileReader();
+
+    reader.readAsDataURL(file);
+
+    reader.onloadend = () => {
+      setImagePrev(reader.result);
+      setImage(file);
+    };
+  };
+
+  const updateModule = (index, changes) =>
+    setOutline(outline.map((m, i) => (i === index ? { ...m, ...changes } : m)));
+
+  const updateTopic = (index, topicIndex, value) =>
+    updateModule(index, {
+      topics: outline[index].topics.map((t, i) => (i === topicIndex ? value : t)),
+    });
+
+  const removeTopic = (index, topicIndex) =>
+    updateModule(index, {
+      topics: outline[index].topics.filter((t, i) => i !== topicIndex),
+    });
+
+  const addModule = () =>
+    setOutline([...outline, { title: "", description: "", topics: [""] }]);
+
+  const removeModule = (index) => {
+    if (!confirm("Are you sure you want to remove this module")) return;
+    setOutline(outline.filter((m, i) => i !== index));
+  };
+
+  const saveDraft = async () => {
+    const myForm = new FormData();
+
+    myForm.append("title", title);
+    myForm.append("description", description);
+    myForm.append("category", category);
+    myForm.append("price", price);
+    myForm.append("outline", JSON.stringify(outline));
+    if (image) myForm.append("file", image);
+
+    const { data } = await axios.put(
+      `${server}/api/ai-draft/${params.id}`,
+      myForm,
+      config
+    );
+
+    setErrors([]);
+    loadDraft(data.draft);
+    return data;
+  };
+
+  const handleError = (error, fallback) => {
+    setErrors(error.response?.data?.errors || []);
+    toast.error(error.response?.data?.message || fallback);
+  };
+
+  const submitHandler = async (e) => {
+    e.preventDefault();
+    setBtnLoading(true);
+
+    try {
+      const data = await saveDraft();
+      toast.success(data.message);
+    } catch (error) {
+      handleError(error, "Failed to save draft");
+    }
+
+    setBtnLoading(false);
+  };
+
+  const regenerateModule = async (index) => {
+    const instructions = prompt(
+      "Anything the new module should focus on? (optional)"
+    );
+    if (instructions === null) return;
+
+    setRegenerating(index);
+
+    try {
+      const { data } = await axios.post(
+        `${server}/api/ai-draft/${params.id}/module/${index}/regenerate`,
+        { instructions },
+        config
+      );
+
+      // only take the new module, other unsaved edits stay as they are
+      const { title, description, topics } = data.draft.outline[index];
+      updateModule(index, { title, description, topics });
+      toast.success(data.message);
+    } catch (error) {
+      handleError(error, "Failed to regenerate module");
+    }
+
+    setRegenerating(null);
+  };
+
+  const publishHandler = async () => {
+    if (
+      !confirm(
+        "Publish this course? Lectures stay hidden from learners until they have content"
+      )
+    )
+      return;
+
+    setBtnLoading(true);
+
+    try {
+      await saveDraft();
+
+      const { data } = await axios.post(
+        `${server}/api/ai-draft/${params.id}/publish`,
+        {},
+        config
+      );
+
+      toast.success(data.message);
+      await fetchCourses();
+      navigate(`/course/${data.courseId}`);
+    } catch (error) {
+      handleError(error, "Failed to publish course");
+      setBtnLoading(false);
+    }
+  };
+
+  if (loading) return <Loading />;
+  if (!draft) return <h1>Draft not found</h1>;
+
+  if (draft.status === "published")
+    return (
+      <div className="ai-draft-editor">
+        <h2>{draft.title}</h2>
+        <p>This draft is already published.</p>
+        <button
+          className="common-btn"
+          onClick={() => navigate(`/course/${draft.publishedCourse}`)}
+        >
+          View Course
+        </button>
+      </div>
+    );
+
+  return (
+    <div className="ai-draft-editor">
+      <h2>Edit Draft</h2>
+      <p className="draft-meta">
+        {draft.duration} weeks - {draft.difficulty} - only visible to you until
+        published
+      </p>
+
+      <form onSubmit={submitHandler}>
+        <label>Title</label>
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          required
+        />
+
+        <label>Description</label>
+        <textarea
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          required
+        />
+
+        <label>Category</label>
+        <select value={category} onChange={(e) => setCategory(e.target.value)}>
+          {categories.map((c) => (
+            <option value={c} key={c}>
+              {c}
+            </option>
+          ))}
+        </select>
+
+        <label>Price</label>
+        <input
+          type="number"
+          min={0}
+          value={price}
+          onChange={(e) => setPrice(e.target.value)}
+          required
+        />
+
+        <label>Image</label>
+        <input
+          type="file"
+          accept="image/png,image/jpeg,image/webp"
+          onChange={changeImageHandler}
+        />
+        {imagePrev && <img src={imagePrev} alt="" width={300} />}
+
+        <h3>Outline</h3>
+        {outline.map((module, index) => (
+          <div key={index} className="draft-module">
+            <div className="draft-module-header">
+              <h4>Module {index + 1}</h4>
+              <button
+                type="button"
+                onClick={() => regenerateModule(index)}
+                disabled={regenerating !== null}
+              >
+                {regenerating === index ? "Regenerating..." : "Regenerate"}
+              </button>
+              {outline.length > 1 && (
+                <button type="button" onClick={() => removeModule(index)}>
+                  Remove
+                </button>
+              )}
+            </div>
+
+            <input
+              type="text"
+              placeholder="Module title"
+              value={module.title}
+              onChange={(e) => updateModule(index, { title: e.target.value })}
+              required
+            />
+            <input
+              type="text"
+              placeholder="Module description"
+              value={module.description}
+              onChange={(e) =>
+                updateModule(index, { description: e.target.value })
+              }
+              required
+            />
+
+            {module.topics.map((topic, i) => (
+              <div key={i} className="draft-topic">
+                <input
+                  type="text"
+                  placeholder={`Topic ${i + 1}`}
+                  value={topic}
+                  onChange={(e) => updateTopic(index, i, e.target.value)}
+                  required
+                />
+                {module.topics.length > 1 && (
+                  <button type="button" onClick={() => removeTopic(index, i)}>
+                    x
+                  </button>
+                )}
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() =>
+                updateModule(index, { topics: [...module.topics, ""] })
+              }
+            >
+              Add topic
+            </button>
+          </div>
+        ))}
+
+        <button type="button" className="common-btn" onClick={addModule}>
+          Add Module +
+        </button>
+
+        {errors.length > 0 && (
+          <ul className="draft-errors">
+            {errors.map((err, i) => (
+              <li key={i}>
+                {err.path && <code>{err.path}</code>} {err.message}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="draft-actions">
+          <button disabled={btnLoading} type="submit" className="common-btn">
+            {btnLoading ? "Please Wait..." : "Save Draft"}
+          </button>
+          {canPublish && (
+            <button
+              disabled={btnLoading}
+              type="button"
+              className="common-btn"
+              onClick={publishHandler}
+            >
+              Publish
+            </button>
+          )}
+        </div>
+        {!canPublish && (
+          <p className="draft-meta">
+            Only instructors can publish courses, ask an admin to make you one.
+          </p>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default AIDraftEditor;
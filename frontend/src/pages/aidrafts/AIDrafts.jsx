@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from "react";
+import "./aidrafts.css";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { Link, useNavigate } from "react-router-dom";
+import { server } from "../../main";
+import Loading from "../../components/loading/Loading";
+
+const AIDrafts = () => {
+  const [drafts, setDrafts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const navigate = useNavigate();
+
+  async function fetchDrafts() {
+    try {
+      const { data } = await axios.get(`${server}/api/ai-drafts`, {
+        headers: {
+          token: localStorage.getItem("token"),
+        },
+      });
+
+      setDrafts(data.drafts);
+      setLoading(false);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to load drafts");
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    fetchDrafts();
+  }, []);
+
+  const deleteHandler = async (id) => {
+    if (!confirm("Are you sure you want to delete this draft")) return;
+
+    try {
+      const { data } = await axios.delete(`${server}/api/ai-draft/${id}`, {
+        headers: {
+          token: localStorage.getItem("token"),
+        },
+      });
+
+      toast.success(data.message);
+      fetchDrafts();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to delete draft");
+    }
+  };
+
+  if (loading) return <Loading />;
+
+  return (
+    <div className="ai-drafts">
+      <h2>My AI Course Drafts</h2>
+      <Link to={"/ai-course"} className="common-btn">
+        Generate New Course
+      </Link>
+
+      {drafts.length > 0 ? (
+        <div className="draft-list">
+          {drafts.map((draft) => (
+            <div key={draft._id} className="draft-item">
+              <div>
+                <h3>{draft.title}</h3>
+                <p>
+                  {draft.outline.length} modules - {draft.duration} weeks -{" "}
+                  {draft.difficulty}
+                </p>
+                <span className={`draft-status ${draft.status}`}>
+                  {draft.status}
+                </span>
+              </div>
+
+              <div className="draft-actions">
+                {draft.status === "published" ? (
+                  <button
+                    className="common-btn"
+                    onClick={() => navigate(`/course/${draft.publishedCourse}`)}
+                  >
+                    View Course
+                  </button>
+                ) : (
+                  <button
+                    className="common-btn"
+                    onClick={() => navigate(`/ai-drafts/${draft._id}`)}
+                  >
+                    Edit
+                  </button>
+                )}
+                <button
+                  className="common-btn"
+                  style={{ background: "red" }}
+                  onClick={() => deleteHandler(draft._id)}
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p>No drafts yet</p>
+      )}
+    </div>
+  );
+};
+
+export default AIDrafts;
@@ -4,10 +4,12 @@ import { useNavigate } from "react-router-dom";
 import toast from "react-hot-toast";
 import axios from "axios";
 import { server } from "../../main";
+import { UserData } from "../../context/UserContext";
 
 const ForgotPassword = () => {
   const [email, setEmail] = useState("");
   const [btnLoading, setBtnLoading] = useState(false);
+  const { rateLimited, authError } = UserData();
   const navigate = useNavigate();
 
   const handleSubmit = async (e) => {
@@ -20,7 +22,7 @@ const ForgotPassword = () => {
       navigate("/login");
       setBtnLoading(false);
     } catch (error) {
-      toast.error(error.response.data.message);
+      authError(error);
       setBtnLoading(false);
     }
   };
@@ -36,7 +38,7 @@ const ForgotPassword = () => {
             onChange={(e) => setEmail(e.target.value)}
             required
           />
-          <button disabled={btnLoading} className="common-btn">
+          <button disabled={btnLoading || rateLimited} className="common-btn">
             {btnLoading ? "Please Wait..." : "Forgot Password"}
           </button>
         </form>
@@ -2,13 +2,22 @@ import React, { useState } from "react";
 import "./auth.css";
 import { Link, useNavigate } from "react-router-dom";
 import { UserData } from "../../context/UserContext";
+import SocialLogin from "../../components/sociallogin/SocialLogin";
 import { CourseData } from "../../context/CourseContext";
 
 const Login = () => {
   const navigate = useNavigate();
-  const { btnLoading, loginUser } = UserData();
+  const {
+    btnLoading,
+    rateLimited,
+    loginUser,
+    twoFactorToken,
+    setTwoFactorToken,
+    verifyTwoFactor,
+  } = UserData();
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
 
   const { fetchMyCourse } = CourseData();
 
@@ -16,6 +25,53 @@ const Login = () => {
     e.preventDefault();
     await loginUser(email, password, navigate, fetchMyCourse);
   };
+
+  const codeHandler = async (e) => {
+    e.preventDefault();
+    await verifyTwoFactor(code, navigate, fetchMyCourse);
+  };
+
+  if (twoFactorToken)
+    return (
+      <div className="auth-page">
+        <div className="auth-form">
+          <h2>Two-Factor Authentication</h2>
+          <form onSubmit={codeHandler}>
+            <label htmlFor="code">
+              Code from your authenticator app or a recovery code
+            </label>
+            <input
+              type="text"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+            />
+
+            <button
+              disabled={btnLoading || rateLimited}
+              type="submit"
+              className="common-btn"
+            >
+              {btnLoading ? "Please Wait..." : "Verify"}
+            </button>
+          </form>
+          <p>
+            <a
+              href="#"
+              onClick={(e) => {
+                e.preventDefault();
+                setCode("");
+                setTwoFactorToken(null);
+              }}
+            >
+              Back to login
+            </a>
+          </p>
+        </div>
+      </div>
+    );
+
   return (
     <div className="auth-page">
       <div className="auth-form">
@@ -37,10 +93,15 @@ const Login = () => {
             required
           />
 
-          <button disabled={btnLoading} type="submit" className="common-btn">
+          <button
+            disabled={btnLoading || rateLimited}
+            type="submit"
+            className="common-btn"
+          >
             {btnLoading ? "Please Wait..." : "Login"}
           </button>
         </form>
+        <SocialLogin />
         <p>
           Don't have an account? <Link to="/register">Register</Link>
         </p>
@@ -0,0 +1,36 @@
+import React, { useEffect, useRef } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import toast from "react-hot-toast";
+import { UserData } from "../../context/UserContext";
+import { CourseData } from "../../context/CourseContext";
+import Loading from "../../components/loading/Loading";
+
+// Where the server sends the browser after a social login, with a one time
+// code to swap for the session or with an error
+const OAuthCallback = () => {
+  const navigate = useNavigate();
+  const [params] = useSearchParams();
+  const { loginWithOAuth } = UserData();
+  const { fetchMyCourse } = CourseData();
+
+  // the code only works once, StrictMode runs effects twice in development
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+
+    const code = params.get("code");
+
+    if (!code) {
+      toast.error(params.get("error") || "Login failed");
+      return navigate("/login");
+    }
+
+    loginWithOAuth(code, navigate, fetchMyCourse);
+  }, []);
+
+  return <Loading />;
+};
+
+export default OAuthCallback;
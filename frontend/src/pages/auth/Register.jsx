@@ -2,10 +2,11 @@ import React, { useState } from "react";
 import "./auth.css";
 import { Link, useNavigate } from "react-router-dom";
 import { UserData } from "../../context/UserContext";
+import SocialLogin from "../../components/sociallogin/SocialLogin";
 
 const Register = () => {
   const navigate = useNavigate();
-  const { btnLoading, registerUser } = UserData();
+  const { btnLoading, rateLimited, registerUser } = UserData();
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [name, setName] = useState("");
@@ -43,10 +44,15 @@ const Register = () => {
             required
           />
 
-          <button type="submit" disabled={btnLoading} className="common-btn">
+          <button
+            type="submit"
+            disabled={btnLoading || rateLimited}
+            className="common-btn"
+          >
             {btnLoading ? "Please Wait..." : "Register"}
           </button>
         </form>
+        <SocialLogin />
         <p>
           have an account? <Link to="/login">Login</Link>
         </p>
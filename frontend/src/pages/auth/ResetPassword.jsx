@@ -5,10 +5,12 @@ import { useNavigate } from "react-router-dom";
 import toast from "react-hot-toast";
 import axios from "axios";
 import { server } from "../../main";
+import { UserData } from "../../context/UserContext";
 
 const ResetPassword = () => {
   const [password, setPassword] = useState("");
   const [btnLoading, setBtnLoading] = useState(false);
+  const { rateLimited, authError } = UserData();
   const navigate = useNavigate();
   const params = useParams();
 
@@ -27,7 +29,7 @@ const ResetPassword = () => {
       navigate("/login");
       setBtnLoading(false);
     } catch (error) {
-      toast.error(error.response.data.message);
+      authError(error);
       setBtnLoading(false);
     }
   };
@@ -43,7 +45,7 @@ const ResetPassword = () => {
             onChange={(e) => setPassword(e.target.value)}
             required
           />
-          <button disabled={btnLoading} className="common-btn">
+          <button disabled={btnLoading || rateLimited} className="common-btn">
             {btnLoading ? "Please Wait..." : "Reset Password"}
           </button>
         </form>
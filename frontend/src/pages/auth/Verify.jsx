@@ -6,7 +6,7 @@ import ReCAPTCHA from "react-google-recaptcha";
 
 const Verify = () => {
   const [otp, setOtp] = useState("");
-  const { btnLoading, verifyOtp } = UserData();
+  const { btnLoading, rateLimited, verifyOtp } = UserData();
   const [show, setShow] = useState(false);
   const navigate = useNavigate();
 
@@ -37,7 +37,11 @@ const Verify = () => {
           />
           ,
           {show && (
-            <button disabled={btnLoading} type="submit" className="common-btn">
+            <button
+              disabled={btnLoading || rateLimited}
+              type="submit"
+              className="common-btn"
+            >
               {btnLoading ? "Please Wait..." : "Verify"}
             </button>
           )}
@@ -3,14 +3,21 @@ import "./coursestudy.css";
 import { Link, useNavigate, useParams } from "react-router-dom";
 import { CourseData } from "../../context/CourseContext";
 import { server } from "../../main";
+import { UserData } from "../../context/UserContext";
 
 const CourseStudy = ({ user }) => {
   const params = useParams();
 
   const { fetchCourse, course } = CourseData();
   const navigate = useNavigate();
+  const { can } = UserData();
 
-  if (user && user.role !== "admin" && !user.subscription.includes(params.id))
+  // course managers are checked by the server, it knows who owns the course
+  if (
+    user &&
+    !can("course:manage", "course:manage:any") &&
+    !user.subscription.includes(params.id)
+  )
     return navigate("/");
 
   useEffect(() => {
@@ -23,7 +30,7 @@ const CourseStudy = ({ user }) => {
           <img src={`${server}/${course.image}`} alt="" width={350} />
           <h2>{course.title}</h2>
           <h4>{course.description}</h4>
-          <h5>by - {course.createdBy}</h5>
+          <h5>by - {course.createdBy?.name}</h5>
           <h5>Duration - {course.duration} weeks</h5>
           <Link to={`/lectures/${course._id}`}>
             <h2>Lectures</h2>
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import "./lecture.css";
 import { useNavigate, useParams } from "react-router-dom";
 import axios from "axios";
@@ -6,10 +6,30 @@ import { server } from "../../main";
 import Loading from "../../components/loading/Loading";
 import toast from "react-hot-toast";
 import { TiTick } from "react-icons/ti";
+import Hls from "hls.js";
+import SeekPreview from "../../components/seekpreview/SeekPreview";
+import ReactMarkdown from "react-markdown";
+import QuizPlayer from "../../components/quiz/QuizPlayer";
+import QuizEditor from "../../components/quiz/QuizEditor";
+import TutorChat from "../../components/tutor/TutorChat";
+import { UserData } from "../../context/UserContext";
+
+const formatDuration = (seconds) => {
+  const m = Math.floor(seconds / 60);
+  const sec = String(Math.floor(seconds % 60)).padStart(2, "0");
+  return `${m}:${sec}`;
+};
 
 const Lecture = ({ user }) => {
   const [lectures, setLectures] = useState([]);
   const [lecture, setLecture] = useState([]);
+  const [streamUrl, setStreamUrl] = useState("");
+  const [hlsUrl, setHlsUrl] = useState("");
+  const [spriteUrl, setSpriteUrl] = useState("");
+  const videoRef = useRef(null);
+  const lessonEndRef = useRef(null);
+  const resumeAt = useRef(0);
+  const streamRetried = useRef(false);
   const [loading, setLoading] = useState(true);
   const [lecLoading, setLecLoading] = useState(false);
   const [show, setShow] = useState(false);
@@ -17,11 +37,31 @@ const Lecture = ({ user }) => {
   const navigate = useNavigate();
   const [title, setTitle] = useState("");
   const [description, setDescription] = useState("");
+  const [type, setType] = useState("video");
+  const [content, setContent] = useState("");
+  const [transcript, setTranscript] = useState("");
   const [video, setvideo] = useState("");
   const [videoPrev, setVideoPrev] = useState("");
   const [btnLoading, setBtnLoading] = useState(false);
+  const [editId, setEditId] = useState("");
+  const [sections, setSections] = useState([]);
+  const [section, setSection] = useState("");
+  const [sectionTitle, setSectionTitle] = useState("");
+  const [dragItem, setDragItem] = useState(null);
+  const [quizzes, setQuizzes] = useState([]);
+  const [activeQuiz, setActiveQuiz] = useState("");
+  const [quizEditor, setQuizEditor] = useState(null);
+
+  // admins and the course's instructor, as reported by the server
+  const [canManage, setCanManage] = useState(false);
+
+  const { can } = UserData();
 
-  if (user && user.role !== "admin" && !user.subscription.includes(params.id))
+  if (
+    user &&
+    !can("course:manage", "course:manage:any") &&
+    !user.subscription.includes(params.id)
+  )
     return navigate("/");
 
   async function fetchLectures() {
@@ -32,6 +72,8 @@ const Lecture = ({ user }) => {
         },
       });
       setLectures(data.lectures);
+      setSections(data.sections || []);
+      setCanManage(Boolean(data.canManage));
       setLoading(false);
     } catch (error) {
       console.log(error);
@@ -39,7 +81,95 @@ const Lecture = ({ user }) => {
     }
   }
 
+  async function fetchQuizzes() {
+    try {
+      const { data } = await axios.get(`${server}/api/quizzes/${params.id}`, {
+        headers: {
+          token: localStorage.getItem("token"),
+        },
+      });
+      setQuizzes(data.quizzes);
+    } catch (error) {
+      console.log(error);
+    }
+  }
+
+  const deleteQuizHandler = async (id) => {
+    if (confirm("Are you sure you want to delete this quiz")) {
+      try {
+        const { data } = await axios.delete(`${server}/api/quiz/${id}`, {
+          headers: {
+            token: localStorage.getItem("token"),
+          },
+        });
+
+        toast.success(data.message);
+        if (activeQuiz === id) setActiveQuiz("");
+        fetchQuizzes();
+        fetchProgress();
+      } catch (error) {
+        toast.error(error.response.data.message);
+      }
+    }
+  };
+
+  const generateLessonsHandler = async () => {
+    if (
+      !confirm(
+        "Write a text lesson with AI for every lecture that has no content yet?"
+      )
+    )
+      return;
+
+    setBtnLoading(true);
+    try {
+      const { data } = await axios.post(
+        `${server}/api/course/${params.id}/generate-lessons`,
+        {},
+        {
+          headers: {
+            token: localStorage.getItem("token"),
+          },
+        }
+      );
+
+      toast.success(data.message);
+      setBtnLoading(false);
+      fetchLectures();
+    } catch (error) {
+      toast.error(error.response.data.message);
+      setBtnLoading(false);
+    }
+  };
+
+  const generateQuizzesHandler = async () => {
+    if (!confirm("Generate a quiz for every section of this course with AI?"))
+      return;
+
+    setBtnLoading(true);
+    try {
+      const { data } = await axios.post(
+        `${server}/api/generate-quiz`,
+        { courseId: params.id, save: true },
+        {
+          headers: {
+            token: localStorage.getItem("token"),
+          },
+        }
+      );
+
+      toast.success(data.message);
+      setBtnLoading(false);
+      fetchQuizzes();
+      fetchProgress();
+    } catch (error) {
+      toast.error(error.response.data.message);
+      setBtnLoading(false);
+    }
+  };
+
   async function fetchLecture(id) {
+    setActiveQuiz("");
     setLecLoading(true);
     try {
       const { data } = await axios.get(`${server}/api/lecture/${id}`, {
@@ -48,6 +178,11 @@ const Lecture = ({ user }) => {
         },
       });
       setLecture(data.lecture);
+      setStreamUrl(data.streamUrl);
+      setHlsUrl(data.hlsUrl || "");
+      setSpriteUrl(data.spriteUrl || "");
+      resumeAt.current = 0;
+      streamRetried.current = false;
       setLecLoading(false);
     } catch (error) {
       console.log(error);
@@ -55,6 +190,46 @@ const Lecture = ({ user }) => {
     }
   }
 
+  // signed stream links are short-lived, fetch a fresh one and resume playback
+  const streamErrorHandler = async () => {
+    if (!lecture._id || streamRetried.current) return;
+    streamRetried.current = true;
+    resumeAt.current = videoRef.current ? videoRef.current.currentTime : 0;
+
+    try {
+      const { data } = await axios.get(
+        `${server}/api/lecture/${lecture._id}/stream-url`,
+        {
+          headers: {
+            token: localStorage.getItem("token"),
+          },
+        }
+      );
+      setStreamUrl(data.streamUrl);
+      setHlsUrl(data.hlsUrl || "");
+      setSpriteUrl(data.spriteUrl || "");
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  const useHlsJs = Boolean(hlsUrl) && Hls.isSupported();
+
+  // adaptive playback through hls.js, browsers with native HLS (Safari) and
+  // lectures that are not transcoded yet use the plain src attribute instead
+  useEffect(() => {
+    if (!useHlsJs || !videoRef.current) return;
+
+    const hls = new Hls();
+    hls.loadSource(`${server}${hlsUrl}`);
+    hls.attachMedia(videoRef.current);
+    hls.on(Hls.Events.ERROR, (event, data) => {
+      if (data.fatal) streamErrorHandler();
+    });
+
+    return () => hls.destroy();
+  }, [hlsUrl, lecLoading]);
+
   const changeVideoHandler = (e) => {
     const file = e.target.files[0];
     const reader = new FileReader();
@@ -67,6 +242,30 @@ const Lecture = ({ user }) => {
     };
   };
 
+  const resetForm = () => {
+    setEditId("");
+    setTitle("");
+    setDescription("");
+    setSection("");
+    setType("video");
+    setContent("");
+    setTranscript("");
+    setvideo("");
+    setVideoPrev("");
+  };
+
+  const editHandler = (lec) => {
+    setEditId(lec._id);
+    setTitle(lec.title);
+    setDescription(lec.description);
+    setType(lec.type || "video");
+    setContent(lec.content || "");
+    setTranscript(lec.transcript || "");
+    setvideo("");
+    setVideoPrev("");
+    setShow(true);
+  };
+
   const submitHandler = async (e) => {
     setBtnLoading(true);
     e.preventDefault();
@@ -74,12 +273,58 @@ const Lecture = ({ user }) => {
 
     myForm.append("title", title);
     myForm.append("description", description);
-    myForm.append("file", video);
+    if (!editId) myForm.append("section", section);
+    myForm.append("type", type);
+    if (type === "text") myForm.append("content", content);
+    else myForm.append("transcript", transcript);
+    if (type === "video" && video) myForm.append("file", video);
+
+    const config = {
+      headers: {
+        token: localStorage.getItem("token"),
+      },
+    };
+
+    try {
+      const { data } = editId
+        ? await axios.put(`${server}/api/lecture/${editId}`, myForm, config)
+        : await axios.post(`${server}/api/course/${params.id}`, myForm, config);
+
+      toast.success(data.message);
+      setBtnLoading(false);
+      setShow(false);
+      fetchLectures();
+      if (editId && lecture._id === editId) fetchLecture(editId);
+      resetForm();
+    } catch (error) {
+      toast.error(error.response.data.message);
+      setBtnLoading(false);
+    }
+  };
+
+  const deleteHandler = async (id) => {
+    if (confirm("Are you sure you want to delete this lecture")) {
+      try {
+        const { data } = await axios.delete(`${server}/api/lecture/${id}`, {
+          headers: {
+            token: localStorage.getItem("token"),
+          },
+        });
+
+        toast.success(data.message);
+        fetchLectures();
+      } catch (error) {
+        toast.error(error.response.data.message);
+      }
+    }
+  };
 
+  const addSectionHandler = async (e) => {
+    e.preventDefault();
     try {
       const { data } = await axios.post(
-        `${server}/api/course/${params.id}`,
-        myForm,
+        `${server}/api/course/${params.id}/section`,
+        { title: sectionTitle },
         {
           headers: {
             token: localStorage.getItem("token"),
@@ -88,23 +333,39 @@ const Lecture = ({ user }) => {
       );
 
       toast.success(data.message);
-      setBtnLoading(false);
-      setShow(false);
+      setSectionTitle("");
       fetchLectures();
-      setTitle("");
-      setDescription("");
-      setvideo("");
-      setVideoPrev("");
     } catch (error) {
       toast.error(error.response.data.message);
-      setBtnLoading(false);
     }
   };
 
-  const deleteHandler = async (id) => {
-    if (confirm("Are you sure you want to delete this lecture")) {
+  const renameSectionHandler = async (sec) => {
+    const newTitle = prompt("Section title", sec.title);
+    if (!newTitle || newTitle === sec.title) return;
+
+    try {
+      const { data } = await axios.put(
+        `${server}/api/section/${sec._id}`,
+        { title: newTitle },
+        {
+          headers: {
+            token: localStorage.getItem("token"),
+          },
+        }
+      );
+
+      toast.success(data.message);
+      fetchLectures();
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  };
+
+  const deleteSectionHandler = async (id) => {
+    if (confirm("Are you sure you want to delete this section")) {
       try {
-        const { data } = await axios.delete(`${server}/api/lecture/${id}`, {
+        const { data } = await axios.delete(`${server}/api/section/${id}`, {
           headers: {
             token: localStorage.getItem("token"),
           },
@@ -118,9 +379,142 @@ const Lecture = ({ user }) => {
     }
   };
 
+  // lectures without a section are listed first, then each section in order
+  const buildGroups = () => [
+    {
+      _id: null,
+      title: "Unsectioned",
+      lectures: lectures.filter((l) => !l.section),
+    },
+    ...sections.map((sec) => ({
+      ...sec,
+      lectures: lectures.filter((l) => l.section === sec._id),
+    })),
+  ];
+
+  const saveOrder = async (groups) => {
+    const newSections = groups
+      .filter((g) => g._id)
+      .map(({ lectures, ...sec }) => sec);
+    const newLectures = groups.flatMap((g) =>
+      g.lectures.map((l) => ({ ...l, section: g._id }))
+    );
+
+    setSections(newSections);
+    setLectures(newLectures);
+
+    try {
+      await axios.put(
+        `${server}/api/course/${params.id}/reorder`,
+        {
+          sections: newSections.map((sec) => sec._id),
+          lectures: newLectures.map((l) => ({ _id: l._id, section: l.section })),
+        },
+        {
+          headers: {
+            token: localStorage.getItem("token"),
+          },
+        }
+      );
+    } catch (error) {
+      toast.error(error.response.data.message);
+      fetchLectures();
+    }
+  };
+
+  const dropHandler = (targetSection, targetLecture) => {
+    const item = dragItem;
+    setDragItem(null);
+    if (!item) return;
+
+    const groups = buildGroups();
+
+    if (item.type === "lecture") {
+      if (item.id === targetLecture) return;
+
+      const dragged = lectures.find((l) => l._id === item.id);
+      groups.forEach((g) => {
+        g.lectures = g.lectures.filter((l) => l._id !== item.id);
+      });
+
+      const group = groups.find((g) => g._id === targetSection);
+      const index = targetLecture
+        ? group.lectures.findIndex((l) => l._id === targetLecture)
+        : group.lectures.length;
+
+      group.lectures.splice(index, 0, dragged);
+    } else {
+      if (!targetSection || item.id === targetSection) return;
+
+      const from = groups.findIndex((g) => g._id === item.id);
+      const [moved] = groups.splice(from, 1);
+      const to = groups.findIndex((g) => g._id === targetSection);
+
+      groups.splice(to, 0, moved);
+    }
+
+    saveOrder(groups);
+  };
+
+  const dragProps = (type, id, targetSection, targetLecture) =>
+    canManage
+      ? {
+          draggable: true,
+          onDragStart: () => setDragItem({ type, id }),
+          onDragOver: (e) => e.preventDefault(),
+          onDrop: (e) => {
+            e.preventDefault();
+            dropHandler(targetSection, targetLecture);
+          },
+        }
+      : {};
+
+  const renderQuiz = (q) => (
+    <React.Fragment key={q._id}>
+      <div
+        onClick={() => {
+          setLecture([]);
+          setActiveQuiz(q._id);
+        }}
+        className={`lecture-number quiz-item ${activeQuiz === q._id && "active"}`}
+      >
+        Quiz: {q.title}{" "}
+        {((progress[0] && progress[0].completedQuizzes.includes(q._id)) ||
+          q.passed) && (
+          <span
+            style={{
+              background: "red",
+              padding: "2px",
+              borderRadius: "6px",
+              color: "greenyellow",
+            }}
+          >
+            <TiTick />
+          </span>
+        )}
+      </div>
+      {canManage && (
+        <button className="common-btn" onClick={() => setQuizEditor(q)}>
+          Edit {q.title}
+        </button>
+      )}
+      {canManage && (
+        <button
+          className="common-btn"
+          style={{ background: "red" }}
+          onClick={() => deleteQuizHandler(q._id)}
+        >
+          Delete {q.title}
+        </button>
+      )}
+    </React.Fragment>
+  );
+
   const [completed, setCompleted] = useState("");
   const [completedLec, setCompletedLec] = useState("");
   const [lectLength, setLectLength] = useState("");
+  const [completedQuiz, setCompletedQuiz] = useState("");
+  const [quizLength, setQuizLength] = useState("");
   const [progress, setProgress] = useState([]);
 
   async function fetchProgress() {
@@ -137,6 +531,8 @@ const Lecture = ({ user }) => {
       setCompleted(data.courseProgressPercentage);
       setCompletedLec(data.completedLectures);
       setLectLength(data.allLectures);
+      setCompletedQuiz(data.completedQuizzes);
+      setQuizLength(data.allQuizzes);
       setProgress(data.progress);
     } catch (error) {
       console.log(error);
@@ -163,10 +559,48 @@ const Lecture = ({ user }) => {
 
   console.log(progress);
 
+  const isCompleted = (id) =>
+    progress[0] && progress[0].completedLectures.includes(id);
+
+  // text lessons count as completed once read to the end
+  useEffect(() => {
+    if (
+      lecture.type !== "text" ||
+      !lessonEndRef.current ||
+      isCompleted(lecture._id)
+    )
+      return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        observer.disconnect();
+        addProgress(lecture._id);
+      }
+    });
+
+    observer.observe(lessonEndRef.current);
+    return () => observer.disconnect();
+  }, [lecture, lecLoading, progress]);
+
   useEffect(() => {
     fetchLectures();
+    fetchQuizzes();
     fetchProgress();
   }, []);
+
+  // keep the admin list fresh while uploads are being transcoded
+  useEffect(() => {
+    if (
+      !canManage ||
+      !lectures.some((l) =>
+        ["pending", "processing"].includes(l.processingStatus)
+      )
+    )
+      return;
+
+    const timer = setTimeout(fetchLectures, 10000);
+    return () => clearTimeout(timer);
+  }, [lectures]);
   return (
     <>
       {loading ? (
@@ -175,18 +609,51 @@ const Lecture = ({ user }) => {
         <>
           <div className="progress">
             Lecture completed - {completedLec} out of {lectLength} <br />
+            {quizLength > 0 && (
+              <>
+                Quiz passed - {completedQuiz} out of {quizLength} <br />
+              </>
+            )}
             <progress value={completed} max={100}></progress> {completed} %
           </div>
           <div className="lecture-page">
             <div className="left">
-              {lecLoading ? (
+              {activeQuiz ? (
+                <QuizPlayer
+                  quizId={activeQuiz}
+                  onComplete={() => {
+                    fetchProgress();
+                    fetchQuizzes();
+                  }}
+                />
+              ) : lecLoading ? (
                 <Loading />
               ) : (
                 <>
-                  {lecture.video ? (
+                  {lecture.type === "text" && lecture.content ? (
+                    <div className="lesson">
+                      <h1>{lecture.title}</h1>
+                      <h3>{lecture.description}</h3>
+                      {/* raw HTML in the markdown is not rendered */}
+                      <div className="lesson-content">
+                        <ReactMarkdown>{lecture.content}</ReactMarkdown>
+                      </div>
+                      <div ref={lessonEndRef} />
+                      <button
+                        className="common-btn"
+                        disabled={isCompleted(lecture._id)}
+                        onClick={() => addProgress(lecture._id)}
+                      >
+                        {isCompleted(lecture._id) ? "Completed" : "Mark complete"}
+                      </button>
+                    </div>
+                  ) : lecture.video ? (
                     <>
                       <video
-                        src={`${server}/${lecture.video}`}
+                        ref={videoRef}
+                        src={
+                          useHlsJs ? undefined : `${server}${hlsUrl || streamUrl}`
+                        }
                         width={"100%"}
                         controls
                         controlsList="nodownload noremoteplayback"
@@ -194,26 +661,103 @@ const Lecture = ({ user }) => {
                         disableRemotePlayback
                         autoPlay
                         onEnded={() => addProgress(lecture._id)}
+                        onError={streamErrorHandler}
+                        onLoadedMetadata={(e) => {
+                          streamRetried.current = false;
+                          if (resumeAt.current)
+                            e.currentTarget.currentTime = resumeAt.current;
+                        }}
                       ></video>
+                      {spriteUrl && lecture.thumbnails && (
+                        <SeekPreview
+                          videoRef={videoRef}
+                          spriteUrl={spriteUrl}
+                          thumbnails={lecture.thumbnails}
+                          duration={lecture.duration}
+                        />
+                      )}
                       <h1>{lecture.title}</h1>
                       <h3>{lecture.description}</h3>
                     </>
+                  ) : lecture._id ? (
+                    <>
+                      <h1>{lecture.title}</h1>
+                      <h3>
+                        No content yet, learners will see this lecture once a
+                        video or lesson is added
+                      </h3>
+                    </>
                   ) : (
                     <h1>Please Select a Lecture</h1>
                   )}
+
+                  {lecture._id && (lecture.video || lecture.content) && (
+                    <TutorChat lectureId={lecture._id} />
+                  )}
                 </>
               )}
             </div>
             <div className="right">
-              {user && user.role === "admin" && (
-                <button className="common-btn" onClick={() => setShow(!show)}>
+              {canManage && (
+                <button
+                  className="common-btn"
+                  onClick={() => {
+                    if (show) resetForm();
+                    setShow(!show);
+                  }}
+                >
                   {show ? "Close" : "Add Lecture +"}
                 </button>
               )}
 
+              {canManage && !quizEditor && (
+                <button
+                  className="common-btn"
+                  onClick={() => setQuizEditor("new")}
+                >
+                  Add Quiz +
+                </button>
+              )}
+
+              {canManage && !quizEditor && (
+                <button
+                  className="common-btn"
+                  disabled={btnLoading}
+                  onClick={generateQuizzesHandler}
+                >
+                  {btnLoading ? "Please Wait..." : "Generate Quizzes with AI"}
+                </button>
+              )}
+
+              {canManage && !quizEditor && (
+                <button
+                  className="common-btn"
+                  disabled={btnLoading}
+                  onClick={generateLessonsHandler}
+                >
+                  {btnLoading ? "Please Wait..." : "Generate Lessons with AI"}
+                </button>
+              )}
+
+              {quizEditor && (
+                <QuizEditor
+                  key={quizEditor === "new" ? "new" : quizEditor._id}
+                  courseId={params.id}
+                  quiz={quizEditor === "new" ? null : quizEditor}
+                  sections={sections}
+                  lectures={lectures}
+                  onSaved={() => {
+                    setQuizEditor(null);
+                    fetchQuizzes();
+                    fetchProgress();
+                  }}
+                  onClose={() => setQuizEditor(null)}
+                />
+              )}
+
               {show && (
                 <div className="lecture-form">
-                  <h2>Add Lecture</h2>
+                  <h2>{editId ? "Edit Lecture" : "Add Lecture"}</h2>
                   <form onSubmit={submitHandler}>
                     <label htmlFor="text">Title</label>
                     <input
@@ -231,14 +775,58 @@ const Lecture = ({ user }) => {
                       required
                     />
 
-                    <input
-                      type="file"
-                      placeholder="choose video"
-                      onChange={changeVideoHandler}
-                      required
-                    />
+                    {!editId && sections.length > 0 && (
+                      <select
+                        value={section}
+                        onChange={(e) => setSection(e.target.value)}
+                      >
+                        <option value={""}>No Section</option>
+                        {sections.map((sec) => (
+                          <option value={sec._id} key={sec._id}>
+                            {sec.title}
+                          </option>
+                        ))}
+                      </select>
+                    )}
 
-                    {videoPrev && (
+                    <select
+                      value={type}
+                      onChange={(e) => setType(e.target.value)}
+                    >
+                      <option value={"video"}>Video</option>
+                      <option value={"text"}>Text lesson</option>
+                    </select>
+
+                    {type === "text" ? (
+                      <textarea
+                        placeholder="Lesson content (Markdown)"
+                        value={content}
+                        onChange={(e) => setContent(e.target.value)}
+                        rows={12}
+                        required
+                      />
+                    ) : (
+                      <>
+                        <input
+                          type="file"
+                          placeholder="choose video"
+                          onChange={changeVideoHandler}
+                          required={
+                            !editId ||
+                            lectures.find((l) => l._id === editId)?.type ===
+                              "text"
+                          }
+                        />
+                        <textarea
+                          placeholder="Transcript (optional, used by the AI tutor)"
+                          value={transcript}
+                          onChange={(e) => setTranscript(e.target.value)}
+                          rows={6}
+                        />
+                      </>
+                    )}
+
+                    {type === "video" && videoPrev && (
                       <video
                         src={videoPrev}
                         alt=""
@@ -252,48 +840,141 @@ const Lecture = ({ user }) => {
                       type="submit"
                       className="common-btn"
                     >
-                      {btnLoading ? "Please Wait..." : "Add"}
+                      {btnLoading
+                        ? "Please Wait..."
+                        : editId
+                        ? "Update"
+                        : "Add"}
                     </button>
                   </form>
                 </div>
               )}
 
-              {lectures && lectures.length > 0 ? (
-                lectures.map((e, i) => (
-                  <>
-                    <div
-                      onClick={() => fetchLecture(e._id)}
-                      key={i}
-                      className={`lecture-number ${
-                        lecture._id === e._id && "active"
-                      }`}
-                    >
-                      {i + 1}. {e.title}{" "}
-                      {progress[0] &&
-                        progress[0].completedLectures.includes(e._id) && (
-                          <span
-                            style={{
-                              background: "red",
-                              padding: "2px",
-                              borderRadius: "6px",
-                              color: "greenyellow",
-                            }}
+              {canManage && (
+                <form onSubmit={addSectionHandler} className="section-form">
+                  <input
+                    type="text"
+                    placeholder="New section title"
+                    value={sectionTitle}
+                    onChange={(e) => setSectionTitle(e.target.value)}
+                    required
+                  />
+                  <button type="submit" className="common-btn">
+                    Add Section +
+                  </button>
+                </form>
+              )}
+
+              {lectures &&
+              (lectures.length > 0 || sections.length > 0 || quizzes.length > 0) ? (
+                buildGroups().map((group, _, groups) => {
+                  if (!group._id && !canManage && group.lectures.length === 0)
+                    return null;
+
+                  return (
+                    <div key={group._id || "unsectioned"} className="section">
+                      {(group._id || sections.length > 0) && (
+                        <div
+                          className="section-title"
+                          {...dragProps(
+                            "section",
+                            group._id,
+                            group._id,
+                            null
+                          )}
+                          draggable={canManage && !!group._id}
+                        >
+                          {group.title}
+                          {canManage && group._id && (
+                            <span className="section-actions">
+                              <button
+                                onClick={() => renameSectionHandler(group)}
+                              >
+                                Rename
+                              </button>
+                              <button
+                                onClick={() => deleteSectionHandler(group._id)}
+                              >
+                                Delete
+                              </button>
+                            </span>
+                          )}
+                        </div>
+                      )}
+
+                      {group.lectures.map((e) => (
+                        <React.Fragment key={e._id}>
+                          <div
+                            onClick={() => fetchLecture(e._id)}
+                            className={`lecture-number ${
+                              lecture._id === e._id && "active"
+                            }`}
+                            {...dragProps("lecture", e._id, group._id, e._id)}
                           >
-                            <TiTick />
-                          </span>
-                        )}
+                            {groups.flatMap((g) => g.lectures).indexOf(e) + 1}.{" "}
+                            {e.title}{" "}
+                            {e.duration > 0 && (
+                              <small>({formatDuration(e.duration)})</small>
+                            )}
+                            {e.type === "text" && <small>(reading)</small>}{" "}
+                            {canManage &&
+                              e.processingStatus &&
+                              !["none", "ready"].includes(
+                                e.processingStatus
+                              ) && (
+                                <span
+                                  className={`processing-status ${e.processingStatus}`}
+                                  title={e.processingError}
+                                >
+                                  {e.processingStatus}
+                                </span>
+                              )}
+                            {progress[0] &&
+                              progress[0].completedLectures.includes(e._id) && (
+                                <span
+                                  style={{
+                                    background: "red",
+                                    padding: "2px",
+                                    borderRadius: "6px",
+                                    color: "greenyellow",
+                                  }}
+                                >
+                                  <TiTick />
+                                </span>
+                              )}
+                          </div>
+                          {canManage && (
+                            <button
+                              className="common-btn"
+                              onClick={() => editHandler(e)}
+                            >
+                              Edit {e.title}
+                            </button>
+                          )}
+                          {canManage && (
+                            <button
+                              className="common-btn"
+                              style={{ background: "red" }}
+                              onClick={() => deleteHandler(e._id)}
+                            >
+                              Delete {e.title}
+                            </button>
+                          )}
+                          {quizzes
+                            .filter((q) => q.lecture === e._id)
+                            .map(renderQuiz)}
+                        </React.Fragment>
+                      ))}
+
+                      {quizzes
+                        .filter(
+                          (q) =>
+                            !q.lecture && (q.section || null) === group._id
+                        )
+                        .map(renderQuiz)}
                     </div>
-                    {user && user.role === "admin" && (
-                      <button
-                        className="common-btn"
-                        style={{ background: "red" }}
-                        onClick={() => deleteHandler(e._id)}
-                      >
-                        Delete {e.title}
-                      </button>
-                    )}
-                  </>
-                ))
+                  );
+                })
               ) : (
                 <p>No Lectures Yet!</p>
               )}
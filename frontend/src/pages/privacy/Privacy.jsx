@@ -0,0 +1,222 @@
+import React, { useEffect, useState } from "react";
+import "./privacy.css";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useNavigate } from "react-router-dom";
+import { server } from "../../main";
+import { UserData } from "../../context/UserContext";
+import Loading from "../../components/loading/Loading";
+
+const statusText = {
+  pending: "Waiting to be prepared",
+  processing: "Being prepared",
+  ready: "Ready to download",
+  failed: "Failed",
+};
+
+const Privacy = () => {
+  const { user, setUser, setIsAuth, setPermissions } = UserData();
+  const navigate = useNavigate();
+
+  const [dataExport, setDataExport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [btnLoading, setBtnLoading] = useState(false);
+
+  const config = {
+    headers: {
+      token: localStorage.getItem("token"),
+    },
+  };
+
+  async function fetchExport() {
+    try {
+      const { data } = await axios.get(`${server}/api/user/export`, config);
+
+      setDataExport(data.dataExport);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to load export");
+    }
+    setLoading(false);
+  }
+
+  useEffect(() => {
+    fetchExport();
+  }, []);
+
+  // the archive is built in the background, check until it is done
+  const preparing =
+    dataExport && ["pending", "processing"].includes(dataExport.status);
+
+  useEffect(() => {
+    if (!preparing) return;
+
+    const timer = setInterval(fetchExport, 5000);
+    return () => clearInterval(timer);
+  }, [preparing]);
+
+  const exportHandler = async () => {
+    setBtnLoading(true);
+    try {
+      const { data } = await axios.post(`${server}/api/user/export`, {}, config);
+
+      toast.success(data.message);
+      setDataExport(data.dataExport);
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+    setBtnLoading(false);
+  };
+
+  const downloadHandler = async () => {
+    try {
+      const { data } = await axios.get(
+        `${server}/api/user/export/${dataExport._id}/download`,
+        { ...config, responseType: "blob" }
+      );
+
+      const url = URL.createObjectURL(data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `my-data-${dataExport.createdAt.slice(0, 10)}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error("Download failed, please request a new export");
+    }
+  };
+
+  const deleteHandler = async () => {
+    if (
+      !confirm(
+        "Delete your account? Your progress, quiz results and uploads are removed at the end of the grace period."
+      )
+    )
+      return;
+
+    const password = prompt("Enter your password to confirm");
+    if (!password) return;
+
+    setBtnLoading(true);
+    try {
+      const { data } = await axios.post(
+        `${server}/api/user/deletion`,
+        { password },
+        config
+      );
+
+      toast.success(data.message);
+      setUser(data.user);
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+    setBtnLoading(false);
+  };
+
+  const cancelHandler = async () => {
+    setBtnLoading(true);
+    try {
+      const { data } = await axios.delete(`${server}/api/user/deletion`, config);
+
+      toast.success(data.message);
+      setUser(data.user);
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+    setBtnLoading(false);
+  };
+
+  const logoutHandler = () => {
+    localStorage.clear();
+    setUser([]);
+    setPermissions([]);
+    setIsAuth(false);
+    navigate("/login");
+  };
+
+  if (loading) return <Loading />;
+
+  return (
+    <div className="privacy">
+      <h2>Your Data</h2>
+
+      <div className="privacy-box">
+        <h3>Download your data</h3>
+        <p>
+          A zip archive with your profile, progress, purchases, quiz results
+          and tutor conversations.
+        </p>
+
+        {dataExport && (
+          <p>
+            <strong>{statusText[dataExport.status]}</strong> - requested{" "}
+            {new Date(dataExport.createdAt).toLocaleString()}
+            {dataExport.status === "ready" &&
+              `, available until ${new Date(
+                dataExport.expiresAt
+              ).toLocaleDateString()}`}
+          </p>
+        )}
+
+        <div className="privacy-actions">
+          {dataExport?.status === "ready" && (
+            <button onClick={downloadHandler} className="common-btn">
+              Download
+            </button>
+          )}
+          <button
+            disabled={btnLoading || preparing}
+            onClick={exportHandler}
+            className="common-btn"
+          >
+            {preparing ? "Preparing..." : "Request a new export"}
+          </button>
+        </div>
+      </div>
+
+      <div className="privacy-box">
+        <h3>Delete your account</h3>
+
+        {user.deletionScheduledFor ? (
+          <>
+            <p className="deletion-warning">
+              Your account will be deleted on{" "}
+              {new Date(user.deletionScheduledFor).toLocaleString()}. Download
+              your data before then if you want to keep it.
+            </p>
+            <div className="privacy-actions">
+              <button
+                disabled={btnLoading}
+                onClick={cancelHandler}
+                className="common-btn"
+              >
+                Keep my account
+              </button>
+              <button onClick={logoutHandler} className="common-btn">
+                Logout
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <p>
+              Your account stays for a grace period in which you can change
+              your mind. After that your profile, progress, quiz results,
+              conversations and uploads are removed. Payment records are kept
+              for accounting without your name.
+            </p>
+            <button
+              disabled={btnLoading}
+              onClick={deleteHandler}
+              className="common-btn"
+              style={{ background: "red" }}
+            >
+              Delete my account
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Privacy;
@@ -0,0 +1,262 @@
+import React, { useState } from "react";
+import "./profile.css";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { server } from "../../main";
+import { UserData } from "../../context/UserContext";
+
+const Profile = () => {
+  const { user, setUser } = UserData();
+
+  const [name, setName] = useState(user.name);
+  const [avatar, setAvatar] = useState(null);
+  const [avatarPrev, setAvatarPrev] = useState(
+    user.avatar ? `${server}/${user.avatar}` : ""
+  );
+
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+
+  const [email, setEmail] = useState("");
+  const [emailPassword, setEmailPassword] = useState("");
+  const [emailToken, setEmailToken] = useState(null);
+  const [otp, setOtp] = useState("");
+
+  const [btnLoading, setBtnLoading] = useState(false);
+
+  const config = {
+    headers: {
+      token: localStorage.getItem("token"),
+    },
+  };
+
+  // every form has the same shape, returns the data or null on errors
+  const send = async (request) => {
+    setBtnLoading(true);
+    try {
+      const { data } = await request();
+
+      toast.success(data.message);
+      setBtnLoading(false);
+      return data;
+    } catch (error) {
+      toast.error(error.response.data.message);
+      setBtnLoading(false);
+      return null;
+    }
+  };
+
+  const changeAvatarHandler = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setAvatar(file);
+    setAvatarPrev(URL.createObjectURL(file));
+  };
+
+  const profileHandler = async (e) => {
+    e.preventDefault();
+
+    const myForm = new FormData();
+    myForm.append("name", name);
+    if (avatar) myForm.append("file", avatar);
+
+    const data = await send(() =>
+      axios.put(`${server}/api/user/me`, myForm, config)
+    );
+
+    if (data) {
+      setUser(data.user);
+      setAvatar(null);
+    }
+  };
+
+  const removeAvatarHandler = async () => {
+    if (!confirm("Remove your avatar?")) return;
+
+    const myForm = new FormData();
+    myForm.append("removeAvatar", "true");
+
+    const data = await send(() =>
+      axios.put(`${server}/api/user/me`, myForm, config)
+    );
+
+    if (data) {
+      setUser(data.user);
+      setAvatar(null);
+      setAvatarPrev("");
+    }
+  };
+
+  const passwordHandler = async (e) => {
+    e.preventDefault();
+
+    const data = await send(() =>
+      axios.put(
+        `${server}/api/user/password`,
+        { currentPassword, newPassword },
+        config
+      )
+    );
+
+    if (data) {
+      setCurrentPassword("");
+      setNewPassword("");
+    }
+  };
+
+  const emailHandler = async (e) => {
+    e.preventDefault();
+
+    const data = await send(() =>
+      axios.post(
+        `${server}/api/user/email`,
+        { email, password: emailPassword },
+        config
+      )
+    );
+
+    if (data) {
+      setEmailToken(data.emailToken);
+      setEmailPassword("");
+    }
+  };
+
+  const otpHandler = async (e) => {
+    e.preventDefault();
+
+    const data = await send(() =>
+      axios.post(
+        `${server}/api/user/email/verify`,
+        { otp: Number(otp), emailToken },
+        config
+      )
+    );
+
+    if (data) {
+      setUser(data.user);
+      setEmailToken(null);
+      setEmail("");
+      setOtp("");
+    }
+  };
+
+  return (
+    <div className="edit-profile">
+      <h2>Edit Profile</h2>
+
+      <form onSubmit={profileHandler} className="profile-form">
+        <h3>Profile</h3>
+        {avatarPrev && <img src={avatarPrev} alt="" className="avatar" />}
+
+        <label htmlFor="name">Name</label>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          required
+        />
+
+        <label htmlFor="avatar">Avatar</label>
+        <input
+          type="file"
+          accept="image/png,image/jpeg,image/webp"
+          onChange={changeAvatarHandler}
+        />
+
+        <div className="profile-actions">
+          <button disabled={btnLoading} type="submit" className="common-btn">
+            {btnLoading ? "Please Wait..." : "Save"}
+          </button>
+          {user.avatar && (
+            <button
+              type="button"
+              disabled={btnLoading}
+              onClick={removeAvatarHandler}
+              className="common-btn"
+              style={{ background: "red" }}
+            >
+              Remove Avatar
+            </button>
+          )}
+        </div>
+      </form>
+
+      <form onSubmit={passwordHandler} className="profile-form">
+        <h3>Change Password</h3>
+        <label htmlFor="currentPassword">Current Password</label>
+        <input
+          type="password"
+          value={currentPassword}
+          onChange={(e) => setCurrentPassword(e.target.value)}
+          required
+        />
+
+        <label htmlFor="newPassword">New Password</label>
+        <input
+          type="password"
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+          required
+        />
+
+        <button disabled={btnLoading} type="submit" className="common-btn">
+          {btnLoading ? "Please Wait..." : "Change Password"}
+        </button>
+      </form>
+
+      {emailToken ? (
+        <form onSubmit={otpHandler} className="profile-form">
+          <h3>Change Email</h3>
+          <p>Enter the otp sent to {email}.</p>
+          <label htmlFor="otp">Otp</label>
+          <input
+            type="number"
+            value={otp}
+            onChange={(e) => setOtp(e.target.value)}
+            required
+          />
+
+          <div className="profile-actions">
+            <button disabled={btnLoading} type="submit" className="common-btn">
+              {btnLoading ? "Please Wait..." : "Verify"}
+            </button>
+            <button
+              type="button"
+              onClick={() => setEmailToken(null)}
+              className="common-btn"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <form onSubmit={emailHandler} className="profile-form">
+          <h3>Change Email</h3>
+          <p>Current email - {user.email}</p>
+          <label htmlFor="email">New Email</label>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+          />
+
+          <label htmlFor="emailPassword">Password</label>
+          <input
+            type="password"
+            value={emailPassword}
+            onChange={(e) => setEmailPassword(e.target.value)}
+            required
+          />
+
+          <button disabled={btnLoading} type="submit" className="common-btn">
+            {btnLoading ? "Please Wait..." : "Send Otp"}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default Profile;
@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from "react";
+import "./purchases.css";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { Link } from "react-router-dom";
+import { server } from "../../main";
+import Loading from "../../components/loading/Loading";
+
+// amounts are stored in the smallest unit, e.g. paise
+const formatAmount = (amount, currency) =>
+  new Intl.NumberFormat(undefined, { style: "currency", currency }).format(
+    amount / 100
+  );
+
+const Purchases = () => {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  async function fetchOrders() {
+    try {
+      const { data } = await axios.get(`${server}/api/myorders`, {
+        headers: {
+          token: localStorage.getItem("token"),
+        },
+      });
+
+      setOrders(data.orders);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to load purchases");
+    }
+    setLoading(false);
+  }
+
+  useEffect(() => {
+    fetchOrders();
+  }, []);
+
+  if (loading) return <Loading />;
+
+  return (
+    <div className="purchases">
+      <h2>My Purchases</h2>
+
+      {orders.length === 0 ? (
+        <p>
+          No purchases yet. <Link to="/courses">Browse the courses</Link>
+        </p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Course</th>
+              <th>Amount</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map((order) => (
+              <tr key={order._id}>
+                <td>{new Date(order.createdAt).toLocaleDateString()}</td>
+                <td>
+                  {order.course ? (
+                    order.status === "paid" ? (
+                      <Link to={`/course/study/${order.course._id}`}>
+                        {order.course.title}
+                      </Link>
+                    ) : (
+                      order.course.title
+                    )
+                  ) : (
+                    "Deleted course"
+                  )}
+                </td>
+                <td>{formatAmount(order.amount, order.currency)}</td>
+                <td>
+                  <span className={`order-status ${order.status}`}>
+                    {order.status}
+                  </span>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default Purchases;
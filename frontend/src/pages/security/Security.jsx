@@ -0,0 +1,204 @@
+import React, { useEffect, useState } from "react";
+import "./security.css";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { server } from "../../main";
+import { UserData } from "../../context/UserContext";
+import Loading from "../../components/loading/Loading";
+
+const Security = () => {
+  const { fetchUser } = UserData();
+
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [btnLoading, setBtnLoading] = useState(false);
+
+  const config = {
+    headers: {
+      token: localStorage.getItem("token"),
+    },
+  };
+
+  async function fetchStatus() {
+    try {
+      const { data } = await axios.get(`${server}/api/user/2fa`, config);
+
+      setStatus(data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to load settings");
+    }
+  }
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  // every action has the same shape, only the endpoint and body change
+  const post = async (path, body) => {
+    setBtnLoading(true);
+    try {
+      const { data } = await axios.post(
+        `${server}/api/user/2fa/${path}`,
+        body,
+        config
+      );
+
+      setBtnLoading(false);
+      return data;
+    } catch (error) {
+      setBtnLoading(false);
+      toast.error(error.response.data.message);
+      return null;
+    }
+  };
+
+  const setupHandler = async () => {
+    const data = await post("setup", {});
+    if (data) setSetup(data);
+  };
+
+  const enableHandler = async (e) => {
+    e.preventDefault();
+
+    const data = await post("enable", { code });
+    if (!data) return;
+
+    toast.success(data.message);
+    setSetup(null);
+    setCode("");
+    setRecoveryCodes(data.recoveryCodes);
+    fetchStatus();
+    fetchUser();
+  };
+
+  const regenerateHandler = async () => {
+    const code = prompt("Enter a code from your authenticator app");
+    if (!code) return;
+
+    const data = await post("recovery-codes", { code });
+    if (!data) return;
+
+    toast.success(data.message);
+    setRecoveryCodes(data.recoveryCodes);
+    fetchStatus();
+  };
+
+  const disableHandler = async () => {
+    const password = prompt("Enter your password");
+    if (!password) return;
+
+    const code = prompt("Enter a code from your authenticator app");
+    if (!code) return;
+
+    const data = await post("disable", { password, code });
+    if (!data) return;
+
+    toast.success(data.message);
+    setRecoveryCodes([]);
+    fetchStatus();
+    fetchUser();
+  };
+
+  if (!status) return <Loading />;
+
+  return (
+    <div className="security">
+      <h2>Two-Factor Authentication</h2>
+      <p>
+        Logging in asks for a code from an authenticator app after your
+        password.
+      </p>
+
+      {status.required && !status.enabled && (
+        <p className="security-warning">
+          Your role requires two-factor authentication, set it up to keep using
+          the admin pages.
+        </p>
+      )}
+
+      {recoveryCodes.length > 0 && (
+        <div className="recovery-codes">
+          <h3>Recovery codes</h3>
+          <p>
+            Save these somewhere safe. Each one logs you in once if you lose
+            your phone, they will not be shown again.
+          </p>
+          <ul>
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {status.enabled ? (
+        <div className="security-box">
+          <p>
+            <strong>Enabled</strong> - {status.recoveryCodesLeft} recovery
+            code(s) left
+          </p>
+
+          <button
+            disabled={btnLoading}
+            onClick={regenerateHandler}
+            className="common-btn"
+          >
+            New recovery codes
+          </button>
+
+          {!status.required && (
+            <button
+              disabled={btnLoading}
+              onClick={disableHandler}
+              className="common-btn"
+              style={{ background: "red" }}
+            >
+              Disable
+            </button>
+          )}
+        </div>
+      ) : setup ? (
+        <div className="security-box">
+          <p>
+            Scan the QR code with your authenticator app, or enter the secret
+            by hand.
+          </p>
+          <img src={setup.qrCode} alt="QR code" />
+          <p className="secret">{setup.secret}</p>
+
+          <form onSubmit={enableHandler}>
+            <label htmlFor="code">Code from the app</label>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+            />
+            <button disabled={btnLoading} type="submit" className="common-btn">
+              {btnLoading ? "Please Wait..." : "Enable"}
+            </button>
+          </form>
+        </div>
+      ) : (
+        <div className="security-box">
+          <p>
+            <strong>Disabled</strong>
+          </p>
+          <button
+            disabled={btnLoading}
+            onClick={setupHandler}
+            className="common-btn"
+          >
+            Set up two-factor authentication
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Security;
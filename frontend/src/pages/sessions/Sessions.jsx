@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from "react";
+import "./sessions.css";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { server } from "../../main";
+import Loading from "../../components/loading/Loading";
+
+// rough browser/OS label, good enough to recognise a device
+const deviceName = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const browser =
+    ["Edg", "OPR", "Firefox", "Chrome", "Safari"]
+      .find((name) => userAgent.includes(name))
+      ?.replace("Edg", "Edge")
+      .replace("OPR", "Opera") || "Browser";
+
+  const os =
+    ["Windows", "Android", "iPhone", "iPad", "Mac OS", "Linux"].find((name) =>
+      userAgent.includes(name)
+    ) || "unknown OS";
+
+  return `${browser} on ${os}`;
+};
+
+const Sessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const config = {
+    headers: {
+      token: localStorage.getItem("token"),
+    },
+  };
+
+  async function fetchSessions() {
+    try {
+      const { data } = await axios.get(`${server}/api/user/sessions`, config);
+
+      setSessions(data.sessions);
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to load sessions");
+    }
+    setLoading(false);
+  }
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const revokeHandler = async (id) => {
+    if (!confirm("Log this device out?")) return;
+
+    try {
+      const { data } = await axios.delete(
+        `${server}/api/user/session/${id}`,
+        config
+      );
+
+      toast.success(data.message);
+      fetchSessions();
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  };
+
+  const revokeOthersHandler = async () => {
+    if (!confirm("Log out every other device?")) return;
+
+    try {
+      const { data } = await axios.delete(
+        `${server}/api/user/sessions`,
+        config
+      );
+
+      toast.success(data.message);
+      fetchSessions();
+    } catch (error) {
+      toast.error(error.response.data.message);
+    }
+  };
+
+  if (loading) return <Loading />;
+
+  return (
+    <div className="sessions">
+      <h2>Active Sessions</h2>
+      <p>Devices that are logged in to your account.</p>
+
+      {sessions.length > 1 && (
+        <button
+          onClick={revokeOthersHandler}
+          className="common-btn"
+          style={{ background: "red" }}
+        >
+          Log out all other devices
+        </button>
+      )}
+
+      <div className="session-list">
+        {sessions.map((session) => (
+          <div key={session._id} className="session-item">
+            <div>
+              <h3>
+                {deviceName(session.userAgent)}
+                {session.current && (
+                  <span className="current-session">this device</span>
+                )}
+              </h3>
+              <p>
+                {session.ip || "unknown IP"} - last active{" "}
+                {new Date(session.lastUsedAt).toLocaleString()}
+              </p>
+              <p>Signed in {new Date(session.createdAt).toLocaleString()}</p>
+            </div>
+
+            {!session.current && (
+              <button
+                onClick={() => revokeHandler(session._id)}
+                className="common-btn"
+                style={{ background: "red" }}
+              >
+                Revoke
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Sessions;
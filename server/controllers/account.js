@@ -0,0 +1,108 @@
+import bcrypt from "bcrypt";
+import TryCatch from "../middlewares/TryCatch.js";
+import { DataExport } from "../models/DataExport.js";
+import { User } from "../models/User.js";
+import { enqueueExport, removeExports } from "../utils/dataExport.js";
+import { deletionGraceDays, ownsCourses } from "../utils/accountDeletion.js";
+import { revokeSessions } from "../utils/session.js";
+
+// Starts a new archive of the user's data, replacing the previous one
+export const requestExport = TryCatch(async (req, res) => {
+  const running = await DataExport.exists({
+    user: req.user._id,
+    status: { $in: ["pending", "processing"] },
+  });
+
+  if (running)
+    return res.status(400).json({
+      message: "Your data export is already being prepared",
+    });
+
+  await removeExports({ user: req.user._id });
+
+  const dataExport = await DataExport.create({ user: req.user._id });
+
+  enqueueExport(dataExport._id);
+
+  res.status(201).json({
+    message: "Preparing your data export",
+    dataExport,
+  });
+});
+
+export const getExport = TryCatch(async (req, res) => {
+  const dataExport = await DataExport.findOne({ user: req.user._id })
+    .select("-file")
+    .sort({ createdAt: -1 });
+
+  res.json({ dataExport });
+});
+
+export const downloadExport = TryCatch(async (req, res) => {
+  const dataExport = await DataExport.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    status: "ready",
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!dataExport)
+    return res.status(404).json({
+      message: "No Export with this id",
+    });
+
+  res.download(
+    dataExport.file,
+    `my-data-${dataExport.createdAt.toISOString().slice(0, 10)}.zip`
+  );
+});
+
+// The account is deleted after the grace period unless the user cancels,
+// other devices are logged out right away
+export const requestDeletion = TryCatch(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (!(await bcrypt.compare(String(req.body.password || ""), user.password)))
+    return res.status(400).json({
+      message: "wrong Password",
+    });
+
+  if (user.mainrole === "superadmin")
+    return res.status(400).json({
+      message: "The superadmin account cannot be deleted",
+    });
+
+  if (await ownsCourses(user._id))
+    return res.status(400).json({
+      message: "Hand your courses over to another instructor first",
+    });
+
+  user.deletionScheduledFor = new Date(
+    Date.now() + deletionGraceDays() * 24 * 60 * 60 * 1000
+  );
+  await user.save();
+
+  await revokeSessions({ user: user._id, _id: { $ne: req.sessionId } });
+
+  res.json({
+    message: `Your account will be deleted in ${deletionGraceDays()} days`,
+    user,
+  });
+});
+
+export const cancelDeletion = TryCatch(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user.deletionScheduledFor)
+    return res.status(400).json({
+      message: "Your account is not scheduled for deletion",
+    });
+
+  user.deletionScheduledFor = null;
+  await user.save();
+
+  res.json({
+    message: "Account deletion cancelled",
+    user,
+  });
+});
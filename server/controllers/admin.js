@@ -1,16 +1,60 @@
 import TryCatch from "../middlewares/TryCatch.js";
+import mongoose from "mongoose";
 import { Courses } from "../models/Courses.js";
 import { Lecture } from "../models/Lecture.js";
 import { rm } from "fs";
-import { promisify } from "util";
 import fs from "fs";
 import { User } from "../models/User.js";
+import { Section } from "../models/Section.js";
+import { Quiz } from "../models/Quiz.js";
+import { QuizAttempt } from "../models/QuizAttempt.js";
+import { TutorChat } from "../models/TutorChat.js";
+import { AIUsage } from "../models/AIUsage.js";
+import { enqueueTranscode, removeHlsOutput } from "../utils/transcoder.js";
+import { canManageCourse, hasContent } from "../utils/courseAccess.js";
+import { hasPermission, roleNames } from "../utils/permissions.js";
+import { Order } from "../models/Order.js";
+import { markOrderRefunded, unenrollUser } from "../utils/orders.js";
+import { PaymentError, getPaymentProvider } from "../utils/payments/index.js";
+
+const notYourCourse = (res) =>
+  res.status(403).json({
+    message: "You can only manage your own courses",
+  });
+
+// With course:manage:any a course can be handed to another user by sending
+// their id as createdBy, everyone else owns what they create. null when the id
+// is not usable.
+const courseOwner = async (req) => {
+  const { createdBy } = req.body;
+
+  if (!createdBy || !(await hasPermission(req.user, "course:manage:any")))
+    return req.user._id;
+
+  if (!mongoose.isValidObjectId(createdBy)) return null;
+
+  const owner = await User.findById(createdBy);
+
+  return owner && (await hasPermission(owner, "course:create"))
+    ? owner._id
+    : null;
+};
 
 export const createCourse = TryCatch(async (req, res) => {
-  const { title, description, category, createdBy, duration, price } = req.body;
+  const { title, description, category, duration, price } = req.body;
 
   const image = req.file;
 
+  const createdBy = await courseOwner(req);
+
+  if (!createdBy) {
+    if (image) rm(image.path, () => {});
+
+    return res.status(400).json({
+      message: "Courses can only be assigned to users who can create courses",
+    });
+  }
+
   await Courses.create({
     title,
     description,
@@ -29,50 +73,187 @@ export const createCourse = TryCatch(async (req, res) => {
 export const addLectures = TryCatch(async (req, res) => {
   const course = await Courses.findById(req.params.id);
 
-  if (!course)
+  if (!course) {
+    if (req.file) rm(req.file.path, () => {});
+
     return res.status(404).json({
       message: "No Course with this id",
     });
+  }
 
-  const { title, description } = req.body;
+  if (!(await canManageCourse(req.user, course))) {
+    if (req.file) rm(req.file.path, () => {});
+
+    return notYourCourse(res);
+  }
+
+  const { title, description, section, content, transcript } = req.body;
+
+  const isText = req.body.type === "text";
+
+  // text lessons have no video, ignore a stray upload
+  if (isText && req.file) rm(req.file.path, () => {});
 
-  const file = req.file;
+  const file = isText ? null : req.file;
+
+  if (section) {
+    const exists =
+      mongoose.isValidObjectId(section) &&
+      (await Section.exists({ _id: section, course: course._id }));
+
+    if (!exists) {
+      if (file) rm(file.path, () => {});
+
+      return res.status(404).json({
+        message: "No Section with this id in this course",
+      });
+    }
+  }
+
+  const order = await Lecture.countDocuments({ course: course._id });
 
   const lecture = await Lecture.create({
     title,
     description,
+    type: isText ? "text" : "video",
     video: file?.path,
+    content: isText ? content : "",
+    transcript: isText ? "" : transcript,
     course: course._id,
+    section: section || null,
+    order,
+    processingStatus: file ? "pending" : "none",
   });
 
+  if (file) enqueueTranscode(lecture._id);
+
   res.status(201).json({
     message: "Lecture Added",
     lecture,
   });
 });
 
+export const updateLecture = TryCatch(async (req, res) => {
+  const lecture = await Lecture.findById(req.params.id);
+
+  if (!lecture) {
+    if (req.file) rm(req.file.path, () => {});
+
+    return res.status(404).json({
+      message: "No Lecture with this id",
+    });
+  }
+
+  const course = await Courses.findById(lecture.course);
+
+  if (!(await canManageCourse(req.user, course))) {
+    if (req.file) rm(req.file.path, () => {});
+
+    return notYourCourse(res);
+  }
+
+  const { title, description, type, content, transcript } = req.body;
+
+  if (title) lecture.title = title;
+  if (description) lecture.description = description;
+  if (transcript !== undefined && type !== "text") lecture.transcript = transcript;
+
+  if (type === "text") {
+    if (req.file) rm(req.file.path, () => {});
+
+    if (lecture.type !== "text") {
+      rm(lecture.video, () => {});
+      removeHlsOutput(lecture._id);
+
+      lecture.type = "text";
+      lecture.video = "";
+      lecture.transcript = "";
+      lecture.hls = "";
+      lecture.duration = 0;
+      lecture.thumbnails = undefined;
+      lecture.processingStatus = "none";
+    }
+
+    // a manual edit also stops a running lesson generation from overwriting it
+    if (content !== undefined) {
+      lecture.content = content;
+      lecture.processingStatus = "none";
+      lecture.processingError = "";
+    }
+  } else if (req.file) {
+    rm(lecture.video, () => {
+      console.log("Old video deleted");
+    });
+
+    removeHlsOutput(lecture._id);
+
+    lecture.type = "video";
+    lecture.content = "";
+    lecture.video = req.file.path;
+    lecture.hls = "";
+    lecture.duration = 0;
+    lecture.thumbnails = undefined;
+    lecture.processingStatus = "pending";
+    lecture.processingError = "";
+  }
+
+  await lecture.save();
+
+  if (req.file && lecture.type === "video") enqueueTranscode(lecture._id);
+
+  res.json({
+    message: "Lecture Updated",
+    lecture,
+  });
+});
+
 export const deleteLecture = TryCatch(async (req, res) => {
   const lecture = await Lecture.findById(req.params.id);
 
+  if (!lecture)
+    return res.status(404).json({
+      message: "No Lecture with this id",
+    });
+
+  const course = await Courses.findById(lecture.course);
+
+  if (!(await canManageCourse(req.user, course)))
+    return notYourCourse(res);
+
   rm(lecture.video, () => {
     console.log("Video deleted");
   });
 
+  removeHlsOutput(lecture._id);
+
+  await Quiz.updateMany({ lecture: lecture._id }, { lecture: null });
+
+  await TutorChat.deleteMany({ lecture: lecture._id });
+
   await lecture.deleteOne();
 
   res.json({ message: "Lecture Deleted" });
 });
 
-const unlinkAsync = promisify(fs.unlink);
-
 export const deleteCourse = TryCatch(async (req, res) => {
   const course = await Courses.findById(req.params.id);
 
+  if (!course)
+    return res.status(404).json({
+      message: "No Course with this id",
+    });
+
+  if (!(await canManageCourse(req.user, course))) return notYourCourse(res);
+
   const lectures = await Lecture.find({ course: course._id });
 
   await Promise.all(
     lectures.map(async (lecture) => {
-      await unlinkAsync(lecture.video);
+      removeHlsOutput(lecture._id);
+      if (lecture.type === "text" || !hasContent(lecture)) return;
+
+      // a video that is already gone must not stop the deletion
+      await fs.promises.rm(lecture.video, { force: true });
       console.log("video deleted");
     })
   );
@@ -83,6 +264,16 @@ export const deleteCourse = TryCatch(async (req, res) => {
 
   await Lecture.find({ course: req.params.id }).deleteMany();
 
+  await Section.deleteMany({ course: req.params.id });
+
+  await TutorChat.deleteMany({ course: req.params.id });
+
+  const quizzes = await Quiz.find({ course: req.params.id }).select("_id");
+
+  await QuizAttempt.deleteMany({ quiz: { $in: quizzes } });
+
+  await Quiz.deleteMany({ course: req.params.id });
+
   await course.deleteOne();
 
   await User.updateMany({}, { $pull: { subscription: req.params.id } });
@@ -92,10 +283,217 @@ export const deleteCourse = TryCatch(async (req, res) => {
   });
 });
 
+export const updateCourse = TryCatch(async (req, res) => {
+  const course = await Courses.findById(req.params.id);
+
+  if (!course) {
+    if (req.file) rm(req.file.path, () => {});
+
+    return res.status(404).json({
+      message: "No Course with this id",
+    });
+  }
+
+  if (!(await canManageCourse(req.user, course))) {
+    if (req.file) rm(req.file.path, () => {});
+
+    return notYourCourse(res);
+  }
+
+  const createdBy = await courseOwner(req);
+
+  if (!createdBy) {
+    if (req.file) rm(req.file.path, () => {});
+
+    return res.status(400).json({
+      message: "Courses can only be assigned to users who can create courses",
+    });
+  }
+
+  // courseOwner ignores createdBy from users who cannot reassign courses
+  if (req.body.createdBy) course.createdBy = createdBy;
+
+  const fields = ["title", "description", "category", "duration", "price"];
+
+  fields.forEach((field) => {
+    if (req.body[field] !== undefined && req.body[field] !== "")
+      course[field] = req.body[field];
+  });
+
+  if (req.file) {
+    rm(course.image, () => {
+      console.log("Old image deleted");
+    });
+
+    course.image = req.file.path;
+  }
+
+  await course.save();
+
+  res.json({
+    message: "Course Updated",
+    course,
+  });
+});
+
+export const createSection = TryCatch(async (req, res) => {
+  const course = await Courses.findById(req.params.id);
+
+  if (!course)
+    return res.status(404).json({
+      message: "No Course with this id",
+    });
+
+  if (!(await canManageCourse(req.user, course))) return notYourCourse(res);
+
+  const { title, description } = req.body;
+
+  if (!title)
+    return res.status(400).json({
+      message: "Please provide a section title",
+    });
+
+  const position = await Section.countDocuments({ course: course._id });
+
+  const section = await Section.create({
+    title,
+    description,
+    course: course._id,
+    position,
+  });
+
+  res.status(201).json({
+    message: "Section Added",
+    section,
+  });
+});
+
+export const updateSection = TryCatch(async (req, res) => {
+  const section = await Section.findById(req.params.id);
+
+  if (!section)
+    return res.status(404).json({
+      message: "No Section with this id",
+    });
+
+  const course = await Courses.findById(section.course);
+
+  if (!(await canManageCourse(req.user, course)))
+    return notYourCourse(res);
+
+  const { title, description } = req.body;
+
+  if (title) section.title = title;
+  if (description !== undefined) section.description = description;
+
+  await section.save();
+
+  res.json({
+    message: "Section Updated",
+    section,
+  });
+});
+
+export const deleteSection = TryCatch(async (req, res) => {
+  const section = await Section.findById(req.params.id);
+
+  if (!section)
+    return res.status(404).json({
+      message: "No Section with this id",
+    });
+
+  const course = await Courses.findById(section.course);
+
+  if (!(await canManageCourse(req.user, course)))
+    return notYourCourse(res);
+
+  // lectures are kept and simply fall back to the ungrouped list
+  await Lecture.updateMany({ section: section._id }, { section: null });
+
+  await Quiz.updateMany({ section: section._id }, { section: null });
+
+  await section.deleteOne();
+
+  res.json({ message: "Section Deleted" });
+});
+
+// Sections and lectures are sent in display order, the array index becomes
+// the stored position/order. Filters include the course so ids belonging to
+// another course are ignored.
+export const reorderCourse = TryCatch(async (req, res) => {
+  const course = await Courses.findById(req.params.id);
+
+  if (!course)
+    return res.status(404).json({
+      message: "No Course with this id",
+    });
+
+  if (!(await canManageCourse(req.user, course))) return notYourCourse(res);
+
+  const { sections = [], lectures = [] } = req.body;
+
+  if (!Array.isArray(sections) || !Array.isArray(lectures))
+    return res.status(400).json({
+      message: "Sections and lectures must be arrays",
+    });
+
+  // lectures can only move into this course's sections
+  const courseSections = (
+    await Section.find({ course: course._id }).select("_id")
+  ).map((section) => section._id.toString());
+
+  if (
+    lectures.some(
+      (lecture) =>
+        lecture.section &&
+        !courseSections.includes(String(lecture.section))
+    )
+  )
+    return res.status(400).json({
+      message: "Lectures can only be moved into sections of this course",
+    });
+
+  if (sections.length > 0)
+    await Section.bulkWrite(
+      sections.map((id, position) => ({
+        updateOne: {
+          filter: { _id: id, course: course._id },
+          update: { position },
+        },
+      }))
+    );
+
+  if (lectures.length > 0)
+    await Lecture.bulkWrite(
+      lectures.map((lecture, order) => ({
+        updateOne: {
+          filter: { _id: lecture._id, course: course._id },
+          update: { order, section: lecture.section || null },
+        },
+      }))
+    );
+
+  res.json({ message: "Order Updated" });
+});
+
+// Without stats:view:any the numbers cover the user's own courses, totalUsers
+// being their subscribed learners
 export const getAllStats = TryCatch(async (req, res) => {
-  const totalCoures = (await Courses.find()).length;
-  const totalLectures = (await Lecture.find()).length;
-  const totalUsers = (await User.find()).length;
+  let totalCoures, totalLectures, totalUsers;
+
+  if (await hasPermission(req.user, "stats:view:any")) {
+    totalCoures = await Courses.countDocuments();
+    totalLectures = await Lecture.countDocuments();
+    totalUsers = await User.countDocuments();
+  } else {
+    const courses = (
+      await Courses.find({ createdBy: req.user._id }).select("_id")
+    ).map((course) => course._id);
+
+    totalCoures = courses.length;
+    totalLectures = await Lecture.countDocuments({ course: { $in: courses } });
+    totalUsers = await User.countDocuments({ subscription: { $in: courses } });
+  }
 
   const stats = {
     totalCoures,
@@ -108,6 +506,87 @@ export const getAllStats = TryCatch(async (req, res) => {
   });
 });
 
+const usageGroup = (match, field) =>
+  AIUsage.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: `$${field}`,
+        requests: { $sum: 1 },
+        tokens: { $sum: { $add: ["$promptTokens", "$completionTokens"] } },
+      },
+    },
+    { $sort: { requests: -1 } },
+  ]);
+
+export const getAIUsage = TryCatch(async (req, res) => {
+  const days = Math.min(Math.max(Number(req.query.days) || 30, 1), 365);
+  const match = {
+    createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+  };
+
+  const [totals] = await AIUsage.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        requests: { $sum: 1 },
+        promptTokens: { $sum: "$promptTokens" },
+        completionTokens: { $sum: "$completionTokens" },
+        avgLatencyMs: { $avg: "$latencyMs" },
+      },
+    },
+  ]);
+
+  const topUsers = await usageGroup({ ...match, user: { $ne: null } }, "user");
+  await User.populate(topUsers, { path: "_id", select: "name email" });
+
+  const recent = await AIUsage.find(match)
+    .sort({ createdAt: -1 })
+    .limit(50)
+    .populate("user", "name email");
+
+  res.json({
+    days,
+    totals: totals || {
+      requests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      avgLatencyMs: 0,
+    },
+    byStatus: await usageGroup(match, "status"),
+    byFeature: await usageGroup(match, "feature"),
+    byProvider: await usageGroup(match, "provider"),
+    topUsers: topUsers.slice(0, 10),
+    recent,
+  });
+});
+
+// null goes back to the role default
+export const updateAIQuota = TryCatch(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user)
+    return res.status(404).json({
+      message: "No User with this id",
+    });
+
+  const { quota } = req.body;
+  const value = quota === null || quota === "" ? null : Number(quota);
+
+  if (value !== null && !(Number.isInteger(value) && value >= 0))
+    return res.status(400).json({
+      message: "Quota must be a whole number, 0 for unlimited",
+    });
+
+  user.aiDailyQuota = value;
+  await user.save();
+
+  res.json({
+    message: "AI quota updated",
+  });
+});
+
 export const getAllUser = TryCatch(async (req, res) => {
   const users = await User.find({ _id: { $ne: req.user._id } }).select(
     "-password"
@@ -117,27 +596,62 @@ export const getAllUser = TryCatch(async (req, res) => {
 });
 
 export const updateRole = TryCatch(async (req, res) => {
-  if (req.user.mainrole !== "superadmin")
-    return res.status(403).json({
-      message: "This endpoint is assign to superadmin",
+  const { role } = req.body;
+  const roles = await roleNames();
+
+  if (!roles.includes(role))
+    return res.status(400).json({
+      message: `Role must be one of ${roles.join(", ")}`,
     });
-  const user = await User.findById(req.params.id);
 
-  if (user.role === "user") {
-    user.role = "admin";
-    await user.save();
+  const user = await User.findById(req.params.id);
 
-    return res.status(200).json({
-      message: "Role updated to admin",
+  if (!user)
+    return res.status(404).json({
+      message: "No User with this id",
     });
-  }
 
-  if (user.role === "admin") {
-    user.role = "user";
-    await user.save();
+  // courses stay with a demoted instructor, an admin can reassign them
+  user.role = role;
+  await user.save();
 
-    return res.status(200).json({
-      message: "Role updated",
+  res.status(200).json({
+    message: `Role updated to ${role}`,
+  });
+});
+
+// Refunds the whole order through the gateway it was paid with. The course is
+// taken away right away, the refund webhook that follows changes nothing.
+export const refundOrder = TryCatch(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order)
+    return res.status(404).json({
+      message: "No Order with this id",
     });
+
+  if (order.status !== "paid")
+    return res.status(400).json({
+      message: "Only paid orders can be refunded",
+    });
+
+  try {
+    await getPaymentProvider(order.provider).refund(
+      order.providerPaymentId,
+      order.amount
+    );
+  } catch (error) {
+    if (!(error instanceof PaymentError)) throw error;
+
+    return res.status(error.status).json({ message: error.message });
   }
+
+  const refunded = await markOrderRefunded(order._id);
+
+  if (refunded && refunded.user)
+    await unenrollUser(refunded.user, refunded.course);
+
+  res.json({
+    message: "Order refunded",
+  });
 });
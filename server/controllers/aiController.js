@@ -1,13 +1,47 @@
+import { rm } from "fs";
+import mongoose from "mongoose";
 import { AICourse } from "../models/AICourse.js";
 import { Courses } from "../models/Courses.js";
 import { Lecture } from "../models/Lecture.js";
+import { Section } from "../models/Section.js";
+import { Quiz } from "../models/Quiz.js";
+import { validateQuestions } from "../utils/quiz.js";
+import { canManageCourse, hasContent } from "../utils/courseAccess.js";
+import { hasPermission } from "../utils/permissions.js";
+import { enqueueLesson } from "../utils/lessonGenerator.js";
+import {
+  batchQuotaMessage,
+  cacheCourse,
+  courseCacheKey,
+  createMeter,
+  getCachedCourse,
+  getQuota,
+  quotaMessage,
+  quotaCovers,
+  recordUsage,
+} from "../utils/aiUsage.js";
 import { User } from "../models/User.js";
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { generateText, streamText } from "../utils/llm/index.js";
+import { extractCompleteItems, extractJson } from "../utils/llm/json.js";
+import {
+  OutlineValidationError,
+  TOPICS_MAX,
+  TOPICS_MIN,
+  categories,
+  difficulties,
+  moduleRange,
+  validateModule,
+  validateOutline,
+} from "../utils/outlineSchema.js";
 
-// Function to generate a course using Gemini AI
+const QUIZ_MIN_QUESTIONS = 3;
+const QUIZ_MAX_QUESTIONS = 15;
+
+// Function to generate a course using the configured AI provider
 export const generateCourse = async (req, res) => {
   try {
-    const { courseName, duration, difficulty, userId } = req.body;
+    const { courseName, difficulty, userId, fallback, fresh } = req.body;
+    const duration = Number(req.body.duration);
 
     if (!courseName || !duration || !difficulty) {
       return res.status(400).json({
@@ -16,8 +50,15 @@ export const generateCourse = async (req, res) => {
       });
     }
 
+    if (!Number.isInteger(duration) || duration < 1 || duration > 52 || !difficulties.includes(difficulty)) {
+      return res.status(400).json({
+        success: false,
+        message: "Duration must be 1-52 weeks and difficulty one of " + difficulties.join(", "),
+      });
+    }
+
     // Verify user exists
-    const user = await User.findById(userId);
+    const user = await User.findById(userId || req.user._id);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -25,39 +66,82 @@ export const generateCourse = async (req, res) => {
       });
     }
 
-    try {
-      // Log the API key (first few characters) for debugging
-      const apiKey = process.env.GEMINI_API_KEY || "";
-      console.log("Using Gemini API Key (first 10 chars):", apiKey.substring(0, 10));
-      
-      // Initialize Gemini AI with the API key from environment
-      const genAI = new GoogleGenerativeAI(apiKey);
-      
-      // Generate course using Gemini AI
-      const generatedCourse = await generateCourseWithGemini(genAI, courseName, duration, difficulty);
+    const sendTemplate = () =>
+      res.status(200).json({
+        success: true,
+        message: "Template Generated",
+        fallback: true,
+        course: generateMockCourse(courseName, duration, difficulty),
+      });
+
+    const meter = createMeter();
+    const cacheKey = courseCacheKey({ courseName, duration, difficulty });
+
+    // Identical requests are served from the cache and do not use the quota
+    const cached = fresh ? null : await getCachedCourse(cacheKey);
+    if (cached) {
+      await recordUsage(meter, {
+        user: req.user,
+        feature: "course",
+        status: "cached",
+      });
 
       return res.status(200).json({
         success: true,
         message: "Data Generated",
-        course: generatedCourse,
+        cached: true,
+        course: cached,
       });
-    } catch (aiError) {
-      console.error("AI generation error:", aiError);
-      
-      // Fallback to mock data if AI fails
-      const mockCourse = {
-        title: courseName,
-        description: `A comprehensive ${difficulty} level course on ${courseName} designed to be completed in ${duration} weeks.`,
-        duration: duration,
-        difficulty: difficulty,
-        category: determineCourseCategory(courseName),
-        outline: generateMockOutline(courseName, duration, difficulty),
-      };
+    }
+
+    const quota = await getQuota(req.user);
+    if (!quota.allowed) {
+      // The template needs no AI, so it stays available past the limit
+      if (fallback) return sendTemplate();
+
+      return res.status(429).json({
+        success: false,
+        message: quotaMessage(quota),
+      });
+    }
+
+    try {
+      // Generate course using the configured AI provider
+      const generatedCourse = await generateCourseWithAI(courseName, duration, difficulty, { meter });
+
+      await cacheCourse(cacheKey, generatedCourse);
+      await recordUsage(meter, { user: req.user, feature: "course", status: "success" });
 
       return res.status(200).json({
         success: true,
         message: "Data Generated",
-        course: mockCourse,
+        course: generatedCourse,
+      });
+    } catch (aiError) {
+      console.error("AI generation error:", aiError.message);
+
+      await recordUsage(meter, {
+        user: req.user,
+        feature: "course",
+        status: fallback ? "fallback" : "error",
+        error: aiError,
+      });
+
+      // Template outline only when the user explicitly asked for it
+      if (fallback) return sendTemplate();
+
+      if (aiError instanceof OutlineValidationError) {
+        return res.status(422).json({
+          success: false,
+          message: aiError.message,
+          errors: aiError.errors,
+        });
+      }
+
+      return res.status(502).json({
+        success: false,
+        message: "AI provider is unavailable",
+        errors: [{ path: "", message: aiError.message }],
       });
     }
   } catch (error) {
@@ -69,76 +153,686 @@ export const generateCourse = async (req, res) => {
   }
 };
 
-// Function to save a generated course
+// Function to get the current user's AI requests left for today
+export const getMyQuota = async (req, res) => {
+  try {
+    const { limit, used, remaining } = await getQuota(req.user);
+
+    return res.status(200).json({
+      success: true,
+      limit,
+      used,
+      remaining,
+    });
+  } catch (error) {
+    console.error("Error fetching AI quota:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching AI quota",
+    });
+  }
+};
+
+// Function to stream a course generation as server-sent events. Modules are
+// sent as soon as the model has finished writing them, the validated course
+// follows in a final "done" event.
+export const generateCourseStream = async (req, res) => {
+  const { courseName, difficulty, fresh } = req.body;
+  const duration = Number(req.body.duration);
+
+  if (!courseName || !duration || !difficulty) {
+    return res.status(400).json({
+      success: false,
+      message: "Please provide all required fields",
+    });
+  }
+
+  if (!Number.isInteger(duration) || duration < 1 || duration > 52 || !difficulties.includes(difficulty)) {
+    return res.status(400).json({
+      success: false,
+      message: "Duration must be 1-52 weeks and difficulty one of " + difficulties.join(", "),
+    });
+  }
+
+  const meter = createMeter();
+  const cacheKey = courseCacheKey({ courseName, duration, difficulty });
+  let cached;
+  let quota;
+
+  try {
+    cached = fresh ? null : await getCachedCourse(cacheKey);
+    quota = cached ? null : await getQuota(req.user);
+  } catch (error) {
+    console.error("Error checking AI quota:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error generating course",
+    });
+  }
+
+  if (quota && !quota.allowed) {
+    return res.status(429).json({
+      success: false,
+      message: quotaMessage(quota),
+    });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // keep proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Stop the provider when the client goes away (cancel button, closed tab)
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+
+  try {
+    send("start", { courseName, duration, difficulty });
+
+    if (cached) {
+      cached.outline.forEach((module, index) =>
+        send("module", { index, module })
+      );
+      send("done", { course: cached, cached: true });
+
+      await recordUsage(meter, {
+        user: req.user,
+        feature: "course",
+        status: "cached",
+      });
+      return;
+    }
+
+    const mock = () => JSON.stringify(generateMockCourse(courseName, duration, difficulty));
+    let text = "";
+    let sent = 0;
+
+    const result = await streamText(buildCoursePrompt(courseName, duration, difficulty), {
+      mock,
+      meter,
+      signal: controller.signal,
+      onToken: (token) => {
+        text += token;
+
+        const modules = extractCompleteItems(text, "outline");
+        for (; sent < modules.length; sent++) {
+          send("module", { index: sent, module: modules[sent] });
+        }
+      },
+    });
+
+    const course = await generateCourseWithAI(courseName, duration, difficulty, {
+      firstResponse: result.text,
+      onRepair: (errors) => send("repair", { errors }),
+      meter,
+      signal: controller.signal,
+    });
+
+    await cacheCourse(cacheKey, course);
+    await recordUsage(meter, { user: req.user, feature: "course", status: "success" });
+
+    send("done", { course });
+  } catch (error) {
+    await recordUsage(meter, {
+      user: req.user,
+      feature: "course",
+      status: "error",
+      error: controller.signal.aborted ? "Generation cancelled" : error,
+    });
+
+    if (!controller.signal.aborted) {
+      console.error("AI stream error:", error.message);
+
+      send("error", {
+        message: error instanceof OutlineValidationError ? error.message : "AI provider is unavailable",
+        errors: error.errors || [{ path: "", message: error.message }],
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+};
+
+// Function to save a generated course as a private draft of its creator
 export const saveCourse = async (req, res) => {
   try {
-    const { course, userId } = req.body;
+    const { course } = req.body;
 
-    if (!course || !userId) {
+    if (!course) {
       return res.status(400).json({
         success: false,
         message: "Please provide all required fields",
       });
     }
 
-    // Verify user exists
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({
+    const errors = validateOutline(course, {
+      duration: course.duration,
+      difficulty: course.difficulty,
+      strict: false,
+    });
+    if (errors.length > 0) {
+      return res.status(422).json({
         success: false,
-        message: "User not found",
+        message: "Course outline is invalid",
+        errors,
       });
     }
 
-    // Save to AICourse collection
-    const aiCourse = await AICourse.create({
-      ...course,
-      createdBy: userId,
-    });
-
-    // Also save to regular Courses collection for compatibility with existing app
-    const regularCourse = await Courses.create({
+    const draft = await AICourse.create({
       title: course.title,
       description: course.description,
-      image: course.image || "default_course.jpg",
-      price: course.price || 0, // Free by default
       duration: course.duration,
+      difficulty: course.difficulty,
       category: course.category,
-      createdBy: user.name,
+      outline: course.outline,
+      createdBy: req.user._id,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Draft saved",
+      draftId: draft._id,
+    });
+  } catch (error) {
+    console.error("Error saving course:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error saving course",
+    });
+  }
+};
+
+// Function to list the drafts of the current user
+export const getMyDrafts = async (req, res) => {
+  try {
+    const drafts = await AICourse.find({ createdBy: req.user._id }).sort({ updatedAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      drafts,
+    });
+  } catch (error) {
+    console.error("Error fetching drafts:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching drafts",
+    });
+  }
+};
+
+// Function to get a single draft
+export const getDraft = async (req, res) => {
+  try {
+    const draft = await findOwnDraft(req, res);
+    if (!draft) return;
+
+    return res.status(200).json({
+      success: true,
+      draft,
+    });
+  } catch (error) {
+    console.error("Error fetching draft:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching draft",
+    });
+  }
+};
+
+// Function to edit a draft. Sent as form data so a course image can be
+// uploaded along with it, the outline comes as a JSON string then.
+export const updateDraft = async (req, res) => {
+  const discardUpload = () => req.file && rm(req.file.path, () => {});
+
+  try {
+    const draft = await findOwnDraft(req, res, { editable: true });
+    if (!draft) return discardUpload();
+
+    let outline = req.body.outline;
+    if (typeof outline === "string") {
+      try {
+        outline = JSON.parse(outline);
+      } catch (parseError) {
+        discardUpload();
+        return res.status(400).json({
+          success: false,
+          message: "Outline must be valid JSON",
+        });
+      }
+    }
+
+    const { title, description, category, price } = req.body;
+    const updated = {
+      title: title ?? draft.title,
+      description: description ?? draft.description,
+      duration: draft.duration,
+      difficulty: draft.difficulty,
+      category: category ?? draft.category,
+      outline: outline ?? draft.outline,
+    };
+
+    const errors = validateOutline(updated, {
+      duration: draft.duration,
+      difficulty: draft.difficulty,
+      strict: false,
+    });
+    if (price !== undefined && !(Number(price) >= 0)) {
+      errors.push({ path: "price", message: "must be zero or a positive number" });
+    }
+
+    if (errors.length > 0) {
+      discardUpload();
+      return res.status(422).json({
+        success: false,
+        message: "Draft is invalid",
+        errors,
+      });
+    }
+
+    draft.title = updated.title.trim();
+    draft.description = updated.description.trim();
+    draft.category = updated.category;
+    draft.outline = updated.outline.map(module => ({
+      title: module.title.trim(),
+      description: module.description.trim(),
+      topics: module.topics.map(topic => topic.trim()),
+    }));
+    if (price !== undefined) draft.price = Number(price);
+
+    if (req.file) {
+      if (draft.image !== "default_course.jpg") rm(draft.image, () => {});
+      draft.image = req.file.path;
+    }
+
+    await draft.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Draft Updated",
+      draft,
+    });
+  } catch (error) {
+    discardUpload();
+    console.error("Error updating draft:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error updating draft",
     });
+  }
+};
+
+// Function to regenerate one module of a draft, keeping the others
+export const regenerateDraftModule = async (req, res) => {
+  try {
+    const draft = await findOwnDraft(req, res, { editable: true });
+    if (!draft) return;
+
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= draft.outline.length) {
+      return res.status(400).json({
+        success: false,
+        message: "No module at this position",
+      });
+    }
+
+    const meter = createMeter();
+
+    try {
+      draft.outline[index] = await generateModuleWithAI(draft, index, req.body.instructions, meter);
+      await recordUsage(meter, { user: req.user, feature: "module", status: "success" });
+    } catch (aiError) {
+      console.error("AI module generation error:", aiError.message);
+      await recordUsage(meter, { user: req.user, feature: "module", status: "error", error: aiError });
 
-    // Create lectures for each module in the outline
-    for (const module of course.outline) {
-      await Lecture.create({
-        title: module.title,
-        description: module.description,
-        video: "placeholder.mp4", // Placeholder, would need to be updated later
-        course: regularCourse._id,
+      if (aiError instanceof OutlineValidationError) {
+        return res.status(422).json({
+          success: false,
+          message: aiError.message,
+          errors: aiError.errors,
+        });
+      }
+
+      return res.status(502).json({
+        success: false,
+        message: "AI provider is unavailable",
+        errors: [{ path: "", message: aiError.message }],
       });
     }
 
+    await draft.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Module regenerated",
+      draft,
+    });
+  } catch (error) {
+    console.error("Error regenerating module:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error regenerating module",
+    });
+  }
+};
+
+// Function to publish a draft as a regular course. Every module becomes a
+// section and every topic an empty lecture, which stays hidden from learners
+// until content is added to it.
+export const publishDraft = async (req, res) => {
+  try {
+    const draft = await findOwnDraft(req, res, { editable: true });
+    if (!draft) return;
+
+    // claimed first, a double click or retry finds it taken and cannot
+    // publish a second course
+    const claimed = await AICourse.findOneAndUpdate(
+      { _id: draft._id, status: "draft" },
+      { status: "publishing" }
+    );
+
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: "This draft is already being published",
+      });
+    }
+
+    let course;
+
+    try {
+      course = await Courses.create({
+        title: draft.title,
+        description: draft.description,
+        image: draft.image,
+        price: draft.price,
+        duration: draft.duration,
+        category: draft.category,
+        createdBy: req.user._id,
+      });
+
+      let order = 0;
+      for (const [position, module] of draft.outline.entries()) {
+        const section = await Section.create({
+          title: module.title,
+          description: module.description,
+          course: course._id,
+          position,
+        });
+
+        for (const topic of module.topics) {
+          await Lecture.create({
+            title: topic,
+            description: `${topic} - part of ${module.title}`,
+            course: course._id,
+            section: section._id,
+            order: order++,
+          });
+        }
+      }
+    } catch (error) {
+      // back to a draft without a half created course
+      if (course) {
+        await Lecture.deleteMany({ course: course._id });
+        await Section.deleteMany({ course: course._id });
+        await Courses.deleteOne({ _id: course._id });
+      }
+
+      await AICourse.updateOne({ _id: draft._id }, { status: "draft" });
+
+      throw error;
+    }
+
+    await AICourse.updateOne(
+      { _id: draft._id },
+      { status: "published", publishedCourse: course._id }
+    );
+
     return res.status(201).json({
       success: true,
-      message: "Course saved successfully",
-      courseId: regularCourse._id,
+      message: "Course published",
+      courseId: course._id,
     });
   } catch (error) {
-    console.error("Error saving course:", error);
+    console.error("Error publishing draft:", error);
     return res.status(500).json({
       success: false,
-      message: "Error saving course",
+      message: "Error publishing draft",
+    });
+  }
+};
+
+// Function to delete a draft. The course of a published draft stays.
+export const deleteDraft = async (req, res) => {
+  try {
+    const draft = await findOwnDraft(req, res);
+    if (!draft) return;
+
+    // a published course still uses the image
+    if (draft.status === "draft" && draft.image !== "default_course.jpg") {
+      rm(draft.image, () => {});
+    }
+
+    await draft.deleteOne();
+
+    return res.status(200).json({
+      success: true,
+      message: "Draft Deleted",
+    });
+  } catch (error) {
+    console.error("Error deleting draft:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error deleting draft",
     });
   }
 };
 
-// Function to generate course with Gemini AI
-async function generateCourseWithGemini(genAI, courseName, duration, difficulty) {
+// Function to queue AI written text lessons for the lectures of a course.
+// Lectures without content are expanded by default, existing text lessons
+// only with overwrite. Lectures with a video are never touched.
+export const generateLessons = async (req, res) => {
   try {
-    // Get the generative model
-    const model = genAI.getGenerativeModel({ model: "gemini-pro" });
+    const { lectureIds, overwrite } = req.body;
+
+    const course = await Courses.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found",
+      });
+    }
+
+    if (!(await canManageCourse(req.user, course))) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only manage your own courses",
+      });
+    }
+
+    const filter = { course: course._id };
+    if (Array.isArray(lectureIds)) {
+      if (!lectureIds.every(id => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({
+          success: false,
+          message: "lectureIds contains an invalid lecture id",
+        });
+      }
+      filter._id = { $in: lectureIds };
+    }
+
+    const lectures = await Lecture.find(filter).sort({ order: 1, createdAt: 1 });
+
+    const targets = lectures.filter(lecture => {
+      if (["pending", "processing"].includes(lecture.processingStatus)) return false;
+      if (!hasContent(lecture)) return true;
+
+      return overwrite && lecture.type === "text";
+    });
+
+    // every lesson is its own AI request, counted against the instructor
+    const quota = await getQuota(req.user);
+    if (!quotaCovers(quota, targets.length)) {
+      return res.status(429).json({
+        success: false,
+        message: batchQuotaMessage(quota, targets.length),
+      });
+    }
+
+    for (const lecture of targets) {
+      lecture.type = "text";
+      lecture.video = "";
+      lecture.processingStatus = "pending";
+      lecture.processingError = "";
+      lecture.lessonRequestedBy = req.user._id;
+      await lecture.save();
+
+      enqueueLesson(lecture._id);
+    }
+
+    return res.status(202).json({
+      success: true,
+      message: targets.length
+        ? `Generating ${targets.length} lesson(s)`
+        : "No lectures need a lesson",
+      lectures: targets.map(lecture => lecture._id),
+    });
+  } catch (error) {
+    console.error("Error generating lessons:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error generating lessons",
+    });
+  }
+};
+
+// Function to generate a question bank for each module of a saved course or
+// for a single AI outline module
+export const generateQuiz = async (req, res) => {
+  try {
+    const { courseId, module, difficulty = "beginner", save } = req.body;
+
+    if (!courseId && !module) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a course or an outline module",
+      });
+    }
+
+    let modules;
+    let course;
+
+    if (courseId) {
+      course = await Courses.findById(courseId);
+      if (!course) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
+
+      // Only the course's instructor or an admin can attach the generated
+      // banks to the course as quizzes, checked before anything is generated
+      if (save && !(await canManageCourse(req.user, course))) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only manage your own courses",
+        });
+      }
+
+      modules = await getCourseModules(course);
+    } else {
+      if (!module.title || !Array.isArray(module.topics) || module.topics.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Module needs a title and at least one topic",
+        });
+      }
+
+      modules = [{ title: module.title, description: module.description || "", topics: module.topics }];
+    }
+
+    // every module is its own AI request
+    const quota = await getQuota(req.user);
+    if (!quotaCovers(quota, modules.length)) {
+      return res.status(429).json({
+        success: false,
+        message: batchQuotaMessage(quota, modules.length),
+      });
+    }
 
-    // Create the prompt for Gemini
-    const prompt = `Create a detailed course outline for a ${difficulty} level course on "${courseName}" that will last ${duration} weeks.
+    const quizzes = [];
+    for (const mod of modules) {
+      const meter = createMeter();
+      let questions;
+      let source;
+
+      try {
+        ({ questions, provider: source } = await generateQuizWithAI(mod, difficulty, meter));
+      } catch (aiError) {
+        console.error("AI quiz generation error:", aiError.message);
+
+        // Fallback to deterministic questions if AI fails
+        questions = generateMockQuiz(mod, difficulty);
+        source = "fallback";
+      }
+
+      await recordUsage(meter, {
+        user: req.user,
+        feature: "quiz",
+        status: source === "fallback" ? "fallback" : "success",
+      });
+
+      quizzes.push({
+        module: mod.title,
+        section: mod.section || null,
+        source,
+        questions,
+      });
+    }
+
+    if (course && save) {
+      for (const quiz of quizzes) {
+        const saved = await Quiz.create({
+          title: `${quiz.module} Quiz`,
+          description: `Check your understanding of ${quiz.module}.`,
+          course: course._id,
+          section: quiz.section,
+          questions: quiz.questions,
+        });
+
+        quiz.quizId = saved._id;
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: course && save ? "Quizzes Created" : "Quizzes Generated",
+      quizzes,
+    });
+  } catch (error) {
+    console.error("Error generating quiz:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error generating quiz",
+    });
+  }
+};
+
+// Helper function to build the outline prompt for the model
+function buildCoursePrompt(courseName, duration, difficulty) {
+  const range = moduleRange(duration);
+
+  return `Create a detailed course outline for a ${difficulty} level course on "${courseName}" that will last ${duration} weeks.
     
     Format your response as a JSON object with the following structure:
     {
@@ -146,7 +840,7 @@ async function generateCourseWithGemini(genAI, courseName, duration, difficulty)
       "description": "A concise but comprehensive course description (max 3 sentences)",
       "duration": ${duration},
       "difficulty": "${difficulty}",
-      "category": "The most appropriate category for this course",
+      "category": "One of: ${categories.join(", ")}",
       "outline": [
         {
           "title": "Module title",
@@ -156,51 +850,270 @@ async function generateCourseWithGemini(genAI, courseName, duration, difficulty)
       ]
     }
     
-    The outline should have 3-6 modules depending on the course duration.
-    Each module should have 4-6 topics.
+    The outline must have ${range.min}-${range.max} modules.
+    Each module must have ${TOPICS_MIN}-${TOPICS_MAX} topics.
+    "category" must be exactly one of: ${categories.join(", ")}.
     Make the content practical and focused on real-world applications.
     DO NOT include any explanations outside the JSON structure.
     ONLY return valid JSON that can be parsed.`;
+}
 
-    console.log("Sending prompt to Gemini:", prompt.substring(0, 100) + "...");
+// Helper function to call the AI provider, validate its outline and ask it to
+// repair invalid output. A response that was already streamed can be passed as
+// firstResponse so it is validated instead of generating a new one. The signal
+// cancels the repair calls too.
+async function generateCourseWithAI(courseName, duration, difficulty, { firstResponse, onRepair, meter, signal } = {}) {
+  const prompt = buildCoursePrompt(courseName, duration, difficulty);
 
-    // Generate content
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-    
-    console.log("Received response from Gemini:", text.substring(0, 100) + "...");
-    
-    // Extract JSON from the response
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error("Could not extract JSON from AI response");
+  // The mock provider answers with the offline outline
+  const mock = () => JSON.stringify(generateMockCourse(courseName, duration, difficulty));
+  const repairAttempts = Number(process.env.AI_REPAIR_ATTEMPTS ?? 2);
+
+  let currentPrompt = prompt;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= repairAttempts; attempt++) {
+    let text = firstResponse;
+
+    if (attempt > 0 || firstResponse === undefined) {
+      const result = await generateText(currentPrompt, { mock, meter, signal });
+      text = result.text;
+
+      console.log(`Received response from ${result.provider}:`, text.substring(0, 100) + "...");
     }
-    
-    const jsonStr = jsonMatch[0];
-    const courseData = JSON.parse(jsonStr);
-    
-    // Validate the structure
-    if (!courseData.title || !courseData.description || !courseData.outline || !Array.isArray(courseData.outline)) {
-      throw new Error("AI response does not match expected structure");
+
+    let courseData;
+    try {
+      courseData = extractJson(text);
+      errors = validateOutline(courseData, { duration, difficulty });
+    } catch (parseError) {
+      errors = [{ path: "", message: parseError.message }];
     }
-    
+
+    if (errors.length === 0) {
+      return {
+        title: courseData.title.trim(),
+        description: courseData.description.trim(),
+        duration,
+        difficulty,
+        category: courseData.category,
+        outline: courseData.outline.map(module => ({
+          title: module.title.trim(),
+          description: module.description.trim(),
+          topics: module.topics.map(topic => topic.trim()),
+        })),
+      };
+    }
+
+    console.log(`Outline failed validation (attempt ${attempt + 1}):`, formatErrors(errors));
+
+    if (attempt < repairAttempts && onRepair) onRepair(errors);
+
+    currentPrompt = `${prompt}
+
+    Your previous response was:
+    ${text}
+
+    It is invalid because:
+    ${formatErrors(errors)}
+
+    Return the corrected JSON object only.`;
+  }
+
+  throw new OutlineValidationError("AI output did not match the course schema", errors);
+}
+
+// Helper function to load a draft of the current user (users who manage every
+// course may open any draft). Sends the error response itself and returns null when not allowed.
+async function findOwnDraft(req, res, { editable = false } = {}) {
+  const draft = await AICourse.findById(req.params.id);
+
+  if (!draft) {
+    res.status(404).json({
+      success: false,
+      message: "Draft not found",
+    });
+    return null;
+  }
+
+  if (draft.createdBy.toString() !== req.user._id.toString() && !(await hasPermission(req.user, "course:manage:any"))) {
+    res.status(403).json({
+      success: false,
+      message: "You can only manage your own drafts",
+    });
+    return null;
+  }
+
+  if (editable && draft.status !== "draft") {
+    res.status(400).json({
+      success: false,
+      message: `This draft is already ${draft.status}`,
+    });
+    return null;
+  }
+
+  return draft;
+}
+
+// Function to regenerate a single draft module with the configured AI
+// provider, with the same repair loop as whole outlines
+async function generateModuleWithAI(draft, index, instructions, meter) {
+  const modules = draft.outline
+    .map((module, i) => `${i + 1}. ${module.title}${i === index ? " (the module to rewrite)" : ""}`)
+    .join("\n    ");
+
+  const prompt = `Rewrite module ${index + 1} of the ${draft.difficulty} level course "${draft.title}" that lasts ${draft.duration} weeks.
+
+    The course has these modules:
+    ${modules}
+    ${instructions ? `\n    Follow these instructions for the new module: ${instructions}\n` : ""}
+    Format your response as a JSON object with the following structure:
+    {
+      "title": "Module title",
+      "description": "Brief module description",
+      "topics": ["Topic 1", "Topic 2", "Topic 3", "Topic 4"]
+    }
+
+    The module must have ${TOPICS_MIN}-${TOPICS_MAX} topics and must not repeat the other modules.
+    DO NOT include any explanations outside the JSON structure.
+    ONLY return valid JSON that can be parsed.`;
+
+  // The mock provider answers with the matching offline module
+  const mock = () => {
+    const outline = generateMockOutline(draft.title, draft.duration, draft.difficulty);
+    return JSON.stringify(outline[index % outline.length]);
+  };
+  const repairAttempts = Number(process.env.AI_REPAIR_ATTEMPTS ?? 2);
+
+  let currentPrompt = prompt;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= repairAttempts; attempt++) {
+    const { text } = await generateText(currentPrompt, { mock, meter });
+
+    let module;
+    try {
+      module = extractJson(text);
+      errors = validateModule(module);
+    } catch (parseError) {
+      errors = [{ path: "", message: parseError.message }];
+    }
+
+    if (errors.length === 0) {
+      return {
+        title: module.title.trim(),
+        description: module.description.trim(),
+        topics: module.topics.map(topic => topic.trim()),
+      };
+    }
+
+    currentPrompt = `${prompt}
+
+    Your previous response was:
+    ${text}
+
+    It is invalid because:
+    ${formatErrors(errors)}
+
+    Return the corrected JSON object only.`;
+  }
+
+  throw new OutlineValidationError("AI output did not match the module schema", errors);
+}
+
+// Helper function to list validation errors for logs and repair prompts
+function formatErrors(errors) {
+  return errors.map(e => (e.path ? `${e.path} ${e.message}` : e.message)).join("; ");
+}
+
+// Function to generate a module question bank with the configured AI provider
+async function generateQuizWithAI(module, difficulty, meter) {
+  const prompt = `Create a ${difficulty} level quiz for the course module "${module.title}".
+    Module description: ${module.description}
+    Topics: ${module.topics.join(", ")}
+
+    Format your response as a JSON object with the following structure:
+    {
+      "questions": [
+        {
+          "type": "multiple-choice" | "multi-select" | "true-false" | "short-answer",
+          "prompt": "The question",
+          "options": ["Option 1", "Option 2", "Option 3", "Option 4"],
+          "correctOptions": [0],
+          "acceptedAnswers": [],
+          "explanation": "Why the answer is correct"
+        }
+      ]
+    }
+
+    Write between ${QUIZ_MIN_QUESTIONS} and ${QUIZ_MAX_QUESTIONS} questions covering every topic.
+    "correctOptions" are zero based indexes into "options".
+    "multiple-choice" and "true-false" have exactly one correct option, "multi-select" at least one.
+    "true-false" questions use the options ["True", "False"].
+    "short-answer" questions have no options and list every accepted answer in "acceptedAnswers".
+    Every question needs an explanation.
+    DO NOT include any explanations outside the JSON structure.
+    ONLY return valid JSON that can be parsed.`;
+
+  const { text, provider } = await generateText(prompt, {
+    mock: () => JSON.stringify({ questions: generateMockQuiz(module, difficulty) }),
+    meter,
+  });
+
+  return {
+    questions: validateQuestionBank(extractJson(text).questions),
+    provider,
+  };
+}
+
+// Strict check of a generated question bank, on top of the quiz rules every
+// question must explain its answer
+function validateQuestionBank(questions) {
+  if (!Array.isArray(questions)) {
+    throw new Error("Question bank must be an array");
+  }
+
+  if (questions.length < QUIZ_MIN_QUESTIONS || questions.length > QUIZ_MAX_QUESTIONS) {
+    throw new Error(`Question bank must have ${QUIZ_MIN_QUESTIONS}-${QUIZ_MAX_QUESTIONS} questions`);
+  }
+
+  const cleaned = validateQuestions(questions);
+
+  cleaned.forEach((question, index) => {
+    if (!question.explanation.trim()) {
+      throw new Error(`Question ${index + 1}: explanation is required`);
+    }
+  });
+
+  return cleaned;
+}
+
+// Helper function to turn a saved course into outline-like modules, one per
+// section or a single module for courses without sections
+async function getCourseModules(course) {
+  const sections = await Section.find({ course: course._id }).sort({ position: 1 });
+  const lectures = await Lecture.find({ course: course._id }).sort({ order: 1 });
+
+  if (sections.length === 0) {
+    return [{
+      title: course.title,
+      description: course.description,
+      topics: lectures.length > 0 ? lectures.map((l) => l.title) : [course.title],
+    }];
+  }
+
+  return sections.map((section) => {
+    const topics = lectures
+      .filter((l) => l.section && l.section.toString() === section._id.toString())
+      .map((l) => l.title);
+
     return {
-      title: courseData.title,
-      description: courseData.description,
-      duration: Number(duration),
-      difficulty: difficulty,
-      category: courseData.category || determineCourseCategory(courseName),
-      outline: courseData.outline.map(module => ({
-        title: module.title,
-        description: module.description,
-        topics: Array.isArray(module.topics) ? module.topics : []
-      }))
+      title: section.title,
+      description: section.description,
+      topics: topics.length > 0 ? topics : [section.title],
+      section: section._id,
     };
-  } catch (error) {
-    console.error("Error generating with Gemini:", error);
-    throw error;
-  }
+  });
 }
 
 // Helper function to determine course category based on course name
@@ -237,11 +1150,24 @@ function determineCourseCategory(courseName) {
   }
 }
 
+// Helper function to build the complete offline course
+function generateMockCourse(courseName, duration, difficulty) {
+  return {
+    title: courseName,
+    description: `A comprehensive ${difficulty} level course on ${courseName} designed to be completed in ${duration} weeks.`,
+    duration: duration,
+    difficulty: difficulty,
+    category: determineCourseCategory(courseName),
+    outline: generateMockOutline(courseName, duration, difficulty),
+  };
+}
+
 // Helper function to generate a mock course outline
 function generateMockOutline(courseName, duration, difficulty) {
   const modules = [];
   const weeksPerModule = Math.max(1, Math.floor(duration / 4));
-  const moduleCount = Math.max(3, Math.ceil(duration / weeksPerModule));
+  const range = moduleRange(duration);
+  const moduleCount = Math.min(range.max, Math.max(range.min, Math.ceil(duration / weeksPerModule)));
   
   for (let i = 0; i < moduleCount; i++) {
     modules.push({
@@ -319,4 +1245,80 @@ function generateTopics(courseName, moduleIndex, difficulty) {
   }
   
   return topics;
-}
\ No newline at end of file
+}
+
+// Helper function to generate a deterministic quiz for a module, used when
+// the AI is unavailable so results are the same on every run
+function generateMockQuiz(module, difficulty) {
+  const distractors = [
+    "Unrelated historical trivia",
+    "Hardware manufacturing processes",
+    "Office furniture selection",
+    "Travel booking procedures",
+    "Gardening techniques",
+    "Cooking recipes",
+  ];
+
+  const topics = module.topics.slice(0, QUIZ_MAX_QUESTIONS - 2);
+  const questions = [];
+
+  topics.forEach((topic, i) => {
+    if (i % 2 === 0) {
+      // Rotate the correct answer position so it is not always first
+      const correct = i % 4;
+      const options = [
+        distractors[i % distractors.length],
+        distractors[(i + 1) % distractors.length],
+        distractors[(i + 2) % distractors.length],
+      ];
+      options.splice(correct, 0, topic);
+
+      questions.push({
+        type: "multiple-choice",
+        prompt: `Which of the following is covered in "${module.title}"?`,
+        options,
+        correctOptions: [correct],
+        explanation: `"${topic}" is one of the topics of ${module.title}.`,
+      });
+    } else {
+      questions.push({
+        type: "true-false",
+        prompt: `"${topic}" is part of "${module.title}".`,
+        options: ["True", "False"],
+        correctOptions: [0],
+        explanation: `${module.title} includes "${topic}".`,
+      });
+    }
+  });
+
+  questions.push({
+    type: "multi-select",
+    prompt: `Select every topic that belongs to "${module.title}".`,
+    options: topics.length > 1
+      ? [topics[0], distractors[3], topics[topics.length - 1], distractors[4]]
+      : [topics[0], distractors[3], distractors[4]],
+    correctOptions: topics.length > 1 ? [0, 2] : [0],
+    explanation: `${module.title} covers ${topics.join(", ")}.`,
+  });
+
+  if (difficulty !== "beginner" || questions.length < QUIZ_MIN_QUESTIONS) {
+    questions.push({
+      type: "short-answer",
+      prompt: `Name the module that covers "${topics[0]}".`,
+      acceptedAnswers: [module.title],
+      explanation: `"${topics[0]}" is taught in ${module.title}.`,
+    });
+  }
+
+  while (questions.length < QUIZ_MIN_QUESTIONS) {
+    questions.push({
+      type: "true-false",
+      prompt: `"${distractors[questions.length]}" is part of "${module.title}".`,
+      options: ["True", "False"],
+      correctOptions: [1],
+      explanation: `${module.title} does not cover ${distractors[questions.length].toLowerCase()}.`,
+    });
+  }
+
+  return validateQuestionBank(questions);
+}
@@ -1,21 +1,40 @@
-import { instance } from "../index.js";
 import TryCatch from "../middlewares/TryCatch.js";
 import { Courses } from "../models/Courses.js";
 import { Lecture } from "../models/Lecture.js";
 import { User } from "../models/User.js";
-import crypto from "crypto";
 import { Payment } from "../models/Payment.js";
+import { Order } from "../models/Order.js";
 import { Progress } from "../models/Progress.js";
+import { Section } from "../models/Section.js";
+import { Quiz } from "../models/Quiz.js";
+import {
+  hasContent,
+  hasCourseAccess,
+  managesCourse,
+} from "../utils/courseAccess.js";
+import {
+  signHlsUrl,
+  signStreamUrl,
+  verifyStreamToken,
+} from "../utils/streamToken.js";
+import { enrollUser, markOrderFailed, markOrderPaid } from "../utils/orders.js";
+import { PaymentError, getPaymentProvider } from "../utils/payments/index.js";
+import { hlsRoot } from "../utils/transcoder.js";
+import path from "path";
+import fs from "fs";
 
 export const getAllCourses = TryCatch(async (req, res) => {
-  const courses = await Courses.find();
+  const courses = await Courses.find().populate("createdBy", "name");
   res.json({
     courses,
   });
 });
 
 export const getSingleCourse = TryCatch(async (req, res) => {
-  const course = await Courses.findById(req.params.id);
+  const course = await Courses.findById(req.params.id).populate(
+    "createdBy",
+    "name"
+  );
 
   res.json({
     course,
@@ -23,41 +42,207 @@ export const getSingleCourse = TryCatch(async (req, res) => {
 });
 
 export const fetchLectures = TryCatch(async (req, res) => {
-  const lectures = await Lecture.find({ course: req.params.id });
+  const lectures = await Lecture.find({ course: req.params.id }).sort({
+    order: 1,
+    createdAt: 1,
+  });
 
-  const user = await User.findById(req.user._id);
+  const sections = await Section.find({ course: req.params.id }).sort({
+    position: 1,
+    createdAt: 1,
+  });
 
-  if (user.role === "admin") {
-    return res.json({ lectures });
-  }
+  const user = await User.findById(req.user._id);
 
-  if (!user.subscription.includes(req.params.id))
+  if (!(await hasCourseAccess(user, req.params.id)))
     return res.status(400).json({
       message: "You have not subscribed to this course",
     });
 
-  res.json({ lectures });
+  const canManage = await managesCourse(user, req.params.id);
+
+  res.json({
+    lectures: canManage ? lectures : lectures.filter(hasContent),
+    sections,
+    canManage,
+  });
 });
 
+const lectureUrls = (lecture, user) => {
+  const ready = lecture.processingStatus === "ready";
+
+  return {
+    streamUrl: signStreamUrl(lecture._id, user._id),
+    hlsUrl: ready ? signHlsUrl(lecture._id, user._id) : null,
+    // thumbnail sheet for the player's seek preview
+    spriteUrl:
+      ready && lecture.thumbnails?.sprite
+        ? signHlsUrl(lecture._id, user._id, "sprite.jpg")
+        : null,
+  };
+};
+
 export const fetchLecture = TryCatch(async (req, res) => {
   const lecture = await Lecture.findById(req.params.id);
 
+  if (!lecture)
+    return res.status(404).json({
+      message: "No Lecture with this id",
+    });
+
   const user = await User.findById(req.user._id);
 
-  if (user.role === "admin") {
-    return res.json({ lecture });
-  }
+  if (!(await hasCourseAccess(user, lecture.course)))
+    return res.status(400).json({
+      message: "You have not subscribed to this course",
+    });
+
+  if (!hasContent(lecture) && !(await managesCourse(user, lecture.course)))
+    return res.status(404).json({
+      message: "No Lecture with this id",
+    });
+
+  res.json({ lecture, ...lectureUrls(lecture, user) });
+});
 
-  if (!user.subscription.includes(lecture.course))
+export const getStreamUrl = TryCatch(async (req, res) => {
+  const lecture = await Lecture.findById(req.params.id);
+
+  if (!lecture)
+    return res.status(404).json({
+      message: "No Lecture with this id",
+    });
+
+  const user = await User.findById(req.user._id);
+
+  if (!(await hasCourseAccess(user, lecture.course)))
     return res.status(400).json({
       message: "You have not subscribed to this course",
     });
 
-  res.json({ lecture });
+  if (!hasContent(lecture) && !(await managesCourse(user, lecture.course)))
+    return res.status(404).json({
+      message: "No Lecture with this id",
+    });
+
+  res.json(lectureUrls(lecture, user));
+});
+
+// Checks the signed token, the subscription and that the lecture is visible to
+// the user, sends the error response itself and returns null when access is
+// denied.
+const authorizeStream = async (req, res) => {
+  let data;
+
+  try {
+    data = verifyStreamToken(req.query.token, req.params.id);
+  } catch (error) {
+    res.status(403).json({
+      message: "Stream link expired or invalid",
+    });
+    return null;
+  }
+
+  const lecture = await Lecture.findById(req.params.id);
+
+  if (!lecture) {
+    res.status(404).json({
+      message: "No Lecture with this id",
+    });
+    return null;
+  }
+
+  const user = await User.findById(data.user);
+
+  if (!(await hasCourseAccess(user, lecture.course))) {
+    res.status(400).json({
+      message: "You have not subscribed to this course",
+    });
+    return null;
+  }
+
+  // same as fetchLecture, unfinished lectures are only for their managers
+  if (!hasContent(lecture) && !(await managesCourse(user, lecture.course))) {
+    res.status(404).json({
+      message: "No Lecture with this id",
+    });
+    return null;
+  }
+
+  return lecture;
+};
+
+const sendStreamFile = (res, file) =>
+  res.sendFile(
+    path.resolve(file),
+    {
+      headers: {
+        "Cache-Control": "private, no-store",
+      },
+    },
+    (error) => {
+      if (error && !res.headersSent)
+        res.status(error.status || 500).json({
+          message: "Video not found",
+        });
+    }
+  );
+
+// Range requests (seeking) are handled by res.sendFile, the signed token
+// stands in for the token header a <video> element cannot send.
+export const streamLecture = TryCatch(async (req, res) => {
+  const lecture = await authorizeStream(req, res);
+  if (!lecture) return;
+
+  // text lessons and lectures still waiting for their upload
+  if (lecture.type === "text" || !lecture.video)
+    return res.status(404).json({
+      message: "Video not found",
+    });
+
+  sendStreamFile(res, lecture.video);
+});
+
+// Playlists are rewritten so every variant playlist and segment they
+// reference carries the same signed token.
+export const streamHls = TryCatch(async (req, res) => {
+  const lecture = await authorizeStream(req, res);
+  if (!lecture) return;
+
+  const baseDir = path.resolve(hlsRoot, lecture._id.toString());
+  const file = path.resolve(baseDir, req.params[0]);
+
+  if (!file.startsWith(baseDir + path.sep))
+    return res.status(400).json({
+      message: "Invalid path",
+    });
+
+  if (!file.endsWith(".m3u8")) return sendStreamFile(res, file);
+
+  if (!fs.existsSync(file))
+    return res.status(404).json({
+      message: "Playlist not found",
+    });
+
+  const token = encodeURIComponent(req.query.token);
+  const playlist = fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .map((line) =>
+      line.trim() && !line.startsWith("#") ? `${line}?token=${token}` : line
+    )
+    .join("\n");
+
+  res.set("Content-Type", "application/vnd.apple.mpegurl");
+  res.set("Cache-Control", "private, no-store");
+  res.send(playlist);
 });
 
 export const getMyCourses = TryCatch(async (req, res) => {
-  const courses = await Courses.find({ _id: req.user.subscription });
+  const courses = await Courses.find({ _id: req.user.subscription }).populate(
+    "createdBy",
+    "name"
+  );
 
   res.json({
     courses,
@@ -69,67 +254,176 @@ export const checkout = TryCatch(async (req, res) => {
 
   const course = await Courses.findById(req.params.id);
 
+  if (!course)
+    return res.status(404).json({
+      message: "No Course with this id",
+    });
+
   if (user.subscription.includes(course._id)) {
     return res.status(400).json({
       message: "You already have this course",
     });
   }
 
-  const options = {
-    amount: Number(course.price * 100),
-    currency: "INR",
-  };
+  // gateways refuse orders of 0, free courses go through enrollFree
+  if (!(course.price > 0))
+    return res.status(400).json({
+      message: "This course is free, enroll instead",
+    });
+
+  let provider;
+  let order;
+
+  try {
+    provider = getPaymentProvider();
+
+    order = await provider.createOrder({
+      amount: Math.round(course.price * 100),
+      currency: "INR",
+      receipt: course._id.toString(),
+    });
+  } catch (error) {
+    if (!(error instanceof PaymentError)) throw error;
+
+    console.log("Checkout error:", error.message);
+
+    return res.status(error.status).json({
+      message: "Payments are unavailable, please try again later",
+    });
+  }
 
-  const order = await instance.orders.create(options);
+  await Order.create({
+    user: user._id,
+    course: course._id,
+    amount: order.amount,
+    currency: order.currency,
+    provider: provider.name,
+    providerOrderId: order.id,
+  });
 
   res.status(201).json({
     order,
     course,
+    provider: provider.clientConfig(),
   });
 });
 
-export const paymentVerification = TryCatch(async (req, res) => {
-  const { razorpay_order_id, razorpay_payment_id, razorpay_signature } =
-    req.body;
+export const enrollFree = TryCatch(async (req, res) => {
+  const course = await Courses.findById(req.params.id);
 
-  const body = razorpay_order_id + "|" + razorpay_payment_id;
+  if (!course)
+    return res.status(404).json({
+      message: "No Course with this id",
+    });
 
-  const expectedSignature = crypto
-    .createHmac("sha256", process.env.Razorpay_Secret)
-    .update(body)
-    .digest("hex");
+  if (course.price > 0)
+    return res.status(400).json({
+      message: "This course has to be purchased",
+    });
 
-  const isAuthentic = expectedSignature === razorpay_signature;
+  const user = await User.findById(req.user._id);
 
-  if (isAuthentic) {
-    await Payment.create({
-      razorpay_order_id,
-      razorpay_payment_id,
-      razorpay_signature,
+  if (user.subscription.includes(course._id))
+    return res.status(400).json({
+      message: "You already have this course",
     });
 
-    const user = await User.findById(req.user._id);
+  await enrollUser(user._id, course._id);
+
+  res.status(201).json({
+    message: "Enrolled Successfully",
+  });
+});
+
+// What the browser checkout reports once the buyer paid. The body holds the
+// order id plus whatever the provider hands the browser, razorpay_order_id is
+// still read for clients from before the other providers.
+export const paymentVerification = TryCatch(async (req, res) => {
+  const orderId = req.body.orderId || req.body.razorpay_order_id;
 
-    const course = await Courses.findById(req.params.id);
+  // the order checkout created for this user and course
+  const order = await Order.findOne({
+    providerOrderId: orderId,
+    user: req.user._id,
+    course: req.params.id,
+  });
 
-    user.subscription.push(course._id);
+  if (!order)
+    return res.status(404).json({
+      message: "No Order with this id",
+    });
 
-    await Progress.create({
-      course: course._id,
-      completedLectures: [],
-      user: req.user._id,
+  if (order.status === "refunded")
+    return res.status(400).json({
+      message: "This order was refunded",
     });
 
-    await user.save();
+  let payment;
 
-    res.status(200).json({
-      message: "Course Purchased Successfully",
+  try {
+    payment = await getPaymentProvider(order.provider).verifyPayment(
+      order.providerOrderId,
+      req.body
+    );
+  } catch (error) {
+    if (!(error instanceof PaymentError)) throw error;
+
+    console.log("Payment verification error:", error.message);
+
+    return res.status(error.status).json({
+      message: "Could not confirm the payment, please try again later",
     });
-  } else {
+  }
+
+  if (payment.status === "pending")
+    return res.status(202).json({
+      message: "Payment is processing, the course unlocks once it is confirmed",
+    });
+
+  if (payment.status === "failed") {
+    await markOrderFailed(order._id, payment.reason);
+
     return res.status(400).json({
       message: "Payment Failed",
     });
   }
+
+  // does nothing when the webhook or an earlier verification paid it
+  await markOrderPaid(order._id, payment.paymentId);
+
+  // one record per payment, a replayed verification finds it
+  const { upsertedCount } = await Payment.updateOne(
+    { providerPaymentId: payment.paymentId },
+    {
+      $setOnInsert: {
+        provider: order.provider,
+        providerOrderId: order.providerOrderId,
+        signature: payment.signature || "",
+        user: req.user._id,
+        course: order.course,
+        order: order._id,
+      },
+    },
+    { upsert: true }
+  );
+
+  // also completes an enrollment an earlier, interrupted call did not finish
+  await enrollUser(req.user._id, order.course);
+
+  res.status(200).json({
+    message: upsertedCount
+      ? "Course Purchased Successfully"
+      : "Course already purchased",
+    paymentId: payment.paymentId,
+  });
+});
+
+export const getMyOrders = TryCatch(async (req, res) => {
+  const orders = await Order.find({ user: req.user._id })
+    .populate("course", "title image")
+    .sort({ createdAt: -1 });
+
+  res.json({ orders });
 });
 
 export const addProgress = TryCatch(async (req, res) => {
@@ -138,8 +432,25 @@ export const addProgress = TryCatch(async (req, res) => {
     course: req.query.course,
   });
 
+  // only enrolment creates a progress document, managers viewing a course
+  // have none
+  if (!progress)
+    return res.status(404).json({
+      message: "You are not enrolled in this course",
+    });
+
   const { lectureId } = req.query;
 
+  const lecture = await Lecture.findOne({
+    _id: lectureId,
+    course: req.query.course,
+  });
+
+  if (!lecture || !hasContent(lecture))
+    return res.status(400).json({
+      message: "This lecture cannot be completed",
+    });
+
   if (progress.completedLectures.includes(lectureId)) {
     return res.json({
       message: "Progress recorded",
@@ -161,18 +472,30 @@ export const getYourProgress = TryCatch(async (req, res) => {
     course: req.query.course,
   });
 
-  if (!progress) return res.status(404).json({ message: "null" });
+  const allLectures = (await Lecture.find({ course: req.query.course })).filter(
+    hasContent
+  ).length;
+
+  const allQuizzes = await Quiz.countDocuments({ course: req.query.course });
 
-  const allLectures = (await Lecture.find({ course: req.query.course })).length;
+  // without a progress document (e.g. a course manager) nothing is completed
+  const completedLectures = progress[0]?.completedLectures.length ?? 0;
 
-  const completedLectures = progress[0].completedLectures.length;
+  const completedQuizzes = progress[0]?.completedQuizzes.length ?? 0;
 
-  const courseProgressPercentage = (completedLectures * 100) / allLectures;
+  // nothing to complete yet, e.g. a fresh AI draft
+  const courseProgressPercentage =
+    allLectures + allQuizzes
+      ? ((completedLectures + completedQuizzes) * 100) /
+        (allLectures + allQuizzes)
+      : 0;
 
   res.json({
     courseProgressPercentage,
     completedLectures,
     allLectures,
+    completedQuizzes,
+    allQuizzes,
     progress,
   });
 });
@@ -0,0 +1,156 @@
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import TryCatch from "../middlewares/TryCatch.js";
+import { User } from "../models/User.js";
+import { readCookie } from "../utils/session.js";
+import {
+  authorizationUrl,
+  createLoginRequest,
+  fetchProfile,
+  getOAuthProvider,
+  listOAuthProviders,
+} from "../utils/oidc.js";
+
+const cookieName = "oauthLogin";
+const cookiePath = "/api/user/oauth";
+
+// serverurl is the public address of the API, needed behind a proxy
+const redirectUri = (req, provider) =>
+  `${process.env.serverurl || `${req.protocol}://${req.get("host")}`}` +
+  `/api/user/oauth/${provider.name}/callback`;
+
+// The callback sends the browser back to the frontend with a one time code
+// for POST /user/login/oauth, or with an error to show
+const backToFrontend = (res, params) =>
+  res.redirect(
+    `${process.env.frontendurl}/oauth/callback?${new URLSearchParams(params)}`
+  );
+
+export const getOAuthProviders = TryCatch(async (req, res) => {
+  res.json({ providers: listOAuthProviders() });
+});
+
+export const startOAuth = TryCatch(async (req, res) => {
+  const provider = getOAuthProvider(req.params.provider);
+
+  if (!provider)
+    return res.status(404).json({
+      message: "Unknown login provider",
+    });
+
+  const request = createLoginRequest();
+
+  // lax, the provider sends the browser back with a cross site redirect
+  res.cookie(
+    cookieName,
+    jwt.sign({ ...request, provider: provider.name }, process.env.Jwt_Sec, {
+      expiresIn: "10m",
+    }),
+    {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: "lax",
+      path: cookiePath,
+      maxAge: 10 * 60 * 1000,
+    }
+  );
+
+  res.redirect(
+    await authorizationUrl(provider, request, redirectUri(req, provider))
+  );
+});
+
+// Finds the user by the linked account, then by a verified email (linking the
+// account to it), or registers a new one
+const findOrCreateUser = async (provider, profile) => {
+  const linked = await User.findOne({
+    oauthAccounts: {
+      $elemMatch: { provider: provider.name, subject: profile.subject },
+    },
+  });
+
+  if (linked) return linked;
+
+  const account = { provider: provider.name, subject: profile.subject };
+  const user = await User.findOne({ email: profile.email });
+
+  if (user) {
+    user.oauthAccounts.push(account);
+    await user.save();
+
+    return user;
+  }
+
+  // a password nobody knows, "forgot password" sets a real one
+  return User.create({
+    name: profile.name || profile.email.split("@")[0],
+    email: profile.email,
+    password: await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10),
+    oauthAccounts: [account],
+  });
+};
+
+export const oauthCallback = TryCatch(async (req, res) => {
+  const provider = getOAuthProvider(req.params.provider);
+
+  if (!provider)
+    return res.status(404).json({
+      message: "Unknown login provider",
+    });
+
+  const cookie = readCookie(req, cookieName);
+  res.clearCookie(cookieName, { path: cookiePath });
+
+  if (req.query.error)
+    return backToFrontend(res, {
+      error: req.query.error_description || "Login was cancelled",
+    });
+
+  let request;
+
+  try {
+    request = jwt.verify(cookie, process.env.Jwt_Sec);
+  } catch (error) {
+    request = null;
+  }
+
+  if (
+    !request ||
+    request.provider !== provider.name ||
+    request.state !== req.query.state
+  )
+    return backToFrontend(res, { error: "Login expired, please try again" });
+
+  let profile;
+
+  try {
+    profile = await fetchProfile(
+      provider,
+      request,
+      req.query.code,
+      redirectUri(req, provider)
+    );
+  } catch (error) {
+    console.log(`${provider.label} login failed:`, error.message);
+
+    return backToFrontend(res, {
+      error: `${provider.label} login failed, please try again`,
+    });
+  }
+
+  if (!profile.email || !profile.emailVerified)
+    return backToFrontend(res, {
+      error: `Your ${provider.label} account has no verified email`,
+    });
+
+  const user = await findOrCreateUser(provider, profile);
+
+  const code = jwt.sign(
+    { _id: user._id, purpose: "oauth" },
+    process.env.Jwt_Sec,
+    { expiresIn: "1m", jwtid: crypto.randomUUID() }
+  );
+
+  backToFrontend(res, { code });
+});
@@ -0,0 +1,159 @@
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { rm } from "fs";
+import TryCatch from "../middlewares/TryCatch.js";
+import sendMail from "../middlewares/sendMail.js";
+import { User } from "../models/User.js";
+import { revokeSessions } from "../utils/session.js";
+import {
+  hashKey,
+  hit,
+  readLimit,
+  tooManyRequests,
+} from "../utils/rateLimit/index.js";
+
+const maxNameLength = 50;
+
+export const updateProfile = TryCatch(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (req.body.name !== undefined) {
+    const name = String(req.body.name).trim();
+
+    if (!name || name.length > maxNameLength) {
+      if (req.file) rm(req.file.path, () => {});
+
+      return res.status(400).json({
+        message: `Name must be 1-${maxNameLength} characters`,
+      });
+    }
+
+    user.name = name;
+  }
+
+  // a new upload or removeAvatar replaces the old file
+  if ((req.file || req.body.removeAvatar === "true") && user.avatar)
+    rm(user.avatar, () => {});
+
+  if (req.file) user.avatar = req.file.path;
+  else if (req.body.removeAvatar === "true") user.avatar = "";
+
+  await user.save();
+
+  res.json({
+    message: "Profile Updated",
+    user,
+  });
+});
+
+export const changePassword = TryCatch(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!newPassword)
+    return res.status(400).json({
+      message: "Please enter a new password",
+    });
+
+  const user = await User.findById(req.user._id);
+
+  if (!(await bcrypt.compare(String(currentPassword || ""), user.password)))
+    return res.status(400).json({
+      message: "wrong Password",
+    });
+
+  user.password = await bcrypt.hash(newPassword, 10);
+  await user.save();
+
+  // this device stays logged in, every other one has to use the new password
+  await revokeSessions({ user: user._id, _id: { $ne: req.sessionId } });
+
+  res.json({ message: "Password Changed" });
+});
+
+// Sends an otp to the new address, the email only changes once it is entered
+// (like registering, the otp travels in a signed token)
+export const requestEmailChange = TryCatch(async (req, res) => {
+  const { email, password } = req.body;
+
+  const newEmail = String(email || "").trim();
+
+  if (!newEmail)
+    return res.status(400).json({
+      message: "Please enter the new email",
+    });
+
+  const user = await User.findById(req.user._id);
+
+  if (!(await bcrypt.compare(String(password || ""), user.password)))
+    return res.status(400).json({
+      message: "wrong Password",
+    });
+
+  if (await User.findOne({ email: newEmail }))
+    return res.status(400).json({
+      message: "This email is already used by an account",
+    });
+
+  const otp = crypto.randomInt(100000, 1000000);
+
+  const emailToken = jwt.sign(
+    { _id: user._id, email: newEmail, otp },
+    process.env.Activation_Secret,
+    { expiresIn: "5m" }
+  );
+
+  await sendMail(newEmail, "E learning", { name: user.name, otp });
+
+  res.json({
+    message: "Otp send to your new mail",
+    emailToken,
+  });
+});
+
+export const verifyEmailChange = TryCatch(async (req, res) => {
+  const { otp, emailToken } = req.body;
+
+  let verify;
+
+  try {
+    verify = jwt.verify(emailToken, process.env.Activation_Secret);
+  } catch (error) {
+    verify = null;
+  }
+
+  if (!verify || verify._id !== req.user._id.toString())
+    return res.status(400).json({
+      message: "Otp Expired",
+    });
+
+  // same attempt limit as the registration otp
+  const retryAfter = await hit(
+    `otp:${hashKey(emailToken)}`,
+    readLimit("Otp_Attempts", { max: 5, seconds: 300 })
+  );
+
+  if (retryAfter)
+    return tooManyRequests(res, "Too many wrong otps", retryAfter);
+
+  if (verify.otp !== Number(otp))
+    return res.status(400).json({
+      message: "Wrong Otp",
+    });
+
+  // someone may have registered it since the otp was sent
+  if (await User.findOne({ email: verify.email }))
+    return res.status(400).json({
+      message: "This email is already used by an account",
+    });
+
+  const user = await User.findById(req.user._id);
+
+  user.email = verify.email;
+  await user.save();
+
+  res.json({
+    message: "Email Changed",
+    user,
+  });
+});
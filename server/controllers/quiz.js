@@ -0,0 +1,306 @@
+import TryCatch from "../middlewares/TryCatch.js";
+import mongoose from "mongoose";
+import { Courses } from "../models/Courses.js";
+import { Lecture } from "../models/Lecture.js";
+import { Section } from "../models/Section.js";
+import { Quiz } from "../models/Quiz.js";
+import { QuizAttempt } from "../models/QuizAttempt.js";
+import { Progress } from "../models/Progress.js";
+import { User } from "../models/User.js";
+import {
+  canManageCourse,
+  hasCourseAccess,
+  managesCourse,
+} from "../utils/courseAccess.js";
+import { scoreAttempt, stripAnswers, validateQuestions } from "../utils/quiz.js";
+
+// Lecture and section are optional, but when given they must belong to the
+// quiz's course. Returns the error to answer with, or null.
+const checkPlacement = async (courseId, { section, lecture }) => {
+  if (section && !mongoose.isValidObjectId(section))
+    return { status: 400, message: "Invalid section id" };
+
+  if (lecture && !mongoose.isValidObjectId(lecture))
+    return { status: 400, message: "Invalid lecture id" };
+
+  if (section && !(await Section.exists({ _id: section, course: courseId })))
+    return { status: 404, message: "No Section with this id in this course" };
+
+  if (lecture && !(await Lecture.exists({ _id: lecture, course: courseId })))
+    return { status: 404, message: "No Lecture with this id in this course" };
+
+  return null;
+};
+
+const attemptSummary = async (quiz, userId) => {
+  const attempts = await QuizAttempt.find({ quiz: quiz._id, user: userId });
+
+  return {
+    attemptsUsed: attempts.length,
+    attemptsLeft: quiz.maxAttempts
+      ? Math.max(0, quiz.maxAttempts - attempts.length)
+      : null,
+    bestPercentage: attempts.reduce((best, a) => Math.max(best, a.percentage), 0),
+    passed: attempts.some((a) => a.passed),
+  };
+};
+
+export const createQuiz = TryCatch(async (req, res) => {
+  const course = await Courses.findById(req.params.id);
+
+  if (!course)
+    return res.status(404).json({
+      message: "No Course with this id",
+    });
+
+  if (!(await canManageCourse(req.user, course)))
+    return res.status(403).json({
+      message: "You can only manage your own courses",
+    });
+
+  const { title, description, section, lecture, passingScore, maxAttempts } =
+    req.body;
+
+  if (!title)
+    return res.status(400).json({
+      message: "Please provide a quiz title",
+    });
+
+  const placementError = await checkPlacement(course._id, { section, lecture });
+
+  if (placementError)
+    return res
+      .status(placementError.status)
+      .json({ message: placementError.message });
+
+  let questions;
+
+  try {
+    questions = validateQuestions(req.body.questions);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  const quiz = await Quiz.create({
+    title,
+    description,
+    course: course._id,
+    section: section || null,
+    lecture: lecture || null,
+    questions,
+    passingScore,
+    maxAttempts,
+  });
+
+  res.status(201).json({
+    message: "Quiz Created",
+    quiz,
+  });
+});
+
+export const updateQuiz = TryCatch(async (req, res) => {
+  const quiz = await Quiz.findById(req.params.id);
+
+  if (!quiz)
+    return res.status(404).json({
+      message: "No Quiz with this id",
+    });
+
+  const course = await Courses.findById(quiz.course);
+
+  if (!(await canManageCourse(req.user, course)))
+    return res.status(403).json({
+      message: "You can only manage your own courses",
+    });
+
+  const { title, description, section, lecture, passingScore, maxAttempts } =
+    req.body;
+
+  const placementError = await checkPlacement(quiz.course, { section, lecture });
+
+  if (placementError)
+    return res
+      .status(placementError.status)
+      .json({ message: placementError.message });
+
+  if (req.body.questions !== undefined) {
+    try {
+      quiz.questions = validateQuestions(req.body.questions);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+  }
+
+  if (title) quiz.title = title;
+  if (description !== undefined) quiz.description = description;
+  if (section !== undefined) quiz.section = section || null;
+  if (lecture !== undefined) quiz.lecture = lecture || null;
+  if (passingScore !== undefined) quiz.passingScore = passingScore;
+  if (maxAttempts !== undefined) quiz.maxAttempts = maxAttempts;
+
+  await quiz.save();
+
+  res.json({
+    message: "Quiz Updated",
+    quiz,
+  });
+});
+
+export const deleteQuiz = TryCatch(async (req, res) => {
+  const quiz = await Quiz.findById(req.params.id);
+
+  if (!quiz)
+    return res.status(404).json({
+      message: "No Quiz with this id",
+    });
+
+  const course = await Courses.findById(quiz.course);
+
+  if (!(await canManageCourse(req.user, course)))
+    return res.status(403).json({
+      message: "You can only manage your own courses",
+    });
+
+  await QuizAttempt.deleteMany({ quiz: quiz._id });
+
+  await Progress.updateMany(
+    { course: quiz.course },
+    { $pull: { completedQuizzes: quiz._id } }
+  );
+
+  await quiz.deleteOne();
+
+  res.json({ message: "Quiz Deleted" });
+});
+
+export const getCourseQuizzes = TryCatch(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (!(await hasCourseAccess(user, req.params.id)))
+    return res.status(400).json({
+      message: "You have not subscribed to this course",
+    });
+
+  const quizzes = await Quiz.find({ course: req.params.id }).sort({
+    createdAt: 1,
+  });
+
+  if (await managesCourse(user, req.params.id)) return res.json({ quizzes });
+
+  const result = await Promise.all(
+    quizzes.map(async (quiz) => ({
+      ...stripAnswers(quiz),
+      ...(await attemptSummary(quiz, user._id)),
+    }))
+  );
+
+  res.json({ quizzes: result });
+});
+
+export const getQuiz = TryCatch(async (req, res) => {
+  const quiz = await Quiz.findById(req.params.id);
+
+  if (!quiz)
+    return res.status(404).json({
+      message: "No Quiz with this id",
+    });
+
+  const user = await User.findById(req.user._id);
+
+  if (!(await hasCourseAccess(user, quiz.course)))
+    return res.status(400).json({
+      message: "You have not subscribed to this course",
+    });
+
+  if (await managesCourse(user, quiz.course)) return res.json({ quiz });
+
+  res.json({
+    quiz: stripAnswers(quiz),
+    ...(await attemptSummary(quiz, user._id)),
+  });
+});
+
+export const submitQuizAttempt = TryCatch(async (req, res) => {
+  const quiz = await Quiz.findById(req.params.id);
+
+  if (!quiz)
+    return res.status(404).json({
+      message: "No Quiz with this id",
+    });
+
+  const user = await User.findById(req.user._id);
+
+  if (!(await hasCourseAccess(user, quiz.course)))
+    return res.status(400).json({
+      message: "You have not subscribed to this course",
+    });
+
+  const attemptsUsed = await QuizAttempt.countDocuments({
+    quiz: quiz._id,
+    user: user._id,
+  });
+
+  if (quiz.maxAttempts && attemptsUsed >= quiz.maxAttempts)
+    return res.status(400).json({
+      message: "No attempts left for this quiz",
+    });
+
+  const result = scoreAttempt(quiz, req.body.answers || {});
+
+  let attempt;
+
+  try {
+    attempt = await QuizAttempt.create({
+      quiz: quiz._id,
+      user: user._id,
+      number: attemptsUsed + 1,
+      ...result,
+    });
+  } catch (error) {
+    // a parallel submission took this attempt number
+    if (error.code === 11000)
+      return res.status(409).json({
+        message: "Another attempt was submitted at the same time",
+      });
+
+    throw error;
+  }
+
+  if (result.passed)
+    await Progress.updateOne(
+      { user: user._id, course: quiz.course },
+      { $addToSet: { completedQuizzes: quiz._id } }
+    );
+
+  const attemptsLeft = quiz.maxAttempts
+    ? quiz.maxAttempts - attemptsUsed - 1
+    : null;
+
+  // correct answers are only revealed once they can no longer be reused
+  const reveal = result.passed || attemptsLeft === 0;
+
+  res.status(201).json({
+    message: result.passed ? "Quiz Passed" : "Quiz Failed",
+    attempt,
+    attemptsLeft,
+    results: quiz.questions.map((question, i) => ({
+      question: question._id,
+      correct: result.answers[i].correct,
+      // the explanation gives the answer away too
+      ...(reveal && {
+        explanation: question.explanation,
+        correctOptions: question.correctOptions,
+        acceptedAnswers: question.acceptedAnswers,
+      }),
+    })),
+  });
+});
+
+export const getMyAttempts = TryCatch(async (req, res) => {
+  const attempts = await QuizAttempt.find({
+    quiz: req.params.id,
+    user: req.user._id,
+  }).sort({ createdAt: -1 });
+
+  res.json({ attempts });
+});
@@ -0,0 +1,52 @@
+import TryCatch from "../middlewares/TryCatch.js";
+import { Role } from "../models/Role.js";
+import {
+  clearPermissionCache,
+  getPermissions,
+  permissionList,
+  roleNames,
+} from "../utils/permissions.js";
+
+export const getRoles = TryCatch(async (req, res) => {
+  const names = await roleNames();
+
+  const roles = await Promise.all(
+    names.map(async (name) => ({
+      name,
+      permissions: await getPermissions({ role: name }),
+    }))
+  );
+
+  res.json({ roles, permissions: permissionList });
+});
+
+export const updateRolePermissions = TryCatch(async (req, res) => {
+  const { name } = req.params;
+  const { permissions } = req.body;
+
+  if (!(await roleNames()).includes(name))
+    return res.status(404).json({
+      message: "No Role with this name",
+    });
+
+  if (
+    !Array.isArray(permissions) ||
+    permissions.some((permission) => !(permission in permissionList))
+  )
+    return res.status(400).json({
+      message: "Permissions must be a list of known permissions",
+    });
+
+  const role = await Role.findOneAndUpdate(
+    { name },
+    { permissions: [...new Set(permissions)] },
+    { upsert: true, new: true }
+  );
+
+  clearPermissionCache();
+
+  res.json({
+    message: "Role Updated",
+    role,
+  });
+});
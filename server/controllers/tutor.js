@@ -0,0 +1,215 @@
+import TryCatch from "../middlewares/TryCatch.js";
+import { Courses } from "../models/Courses.js";
+import { Lecture } from "../models/Lecture.js";
+import { Section } from "../models/Section.js";
+import { TutorChat } from "../models/TutorChat.js";
+import { User } from "../models/User.js";
+import {
+  hasContent,
+  hasCourseAccess,
+  managesCourse,
+} from "../utils/courseAccess.js";
+import { generateText } from "../utils/llm/index.js";
+import { createMeter, recordUsage } from "../utils/aiUsage.js";
+
+const maxQuestionLength = 2000;
+// long lessons and transcripts are cut to keep prompts within model limits
+const maxMaterialLength = 12000;
+// only the latest turns go into the prompt, older ones stay in the history
+const historyInPrompt = 10;
+const maxStoredMessages = 200;
+
+const truncate = (text, length) =>
+  text.length > length ? `${text.slice(0, length)}\n[...]` : text;
+
+// Same checks fetchLecture applies, sends the error response itself and
+// returns null when access is denied.
+const loadLecture = async (req, res) => {
+  const lecture = await Lecture.findById(req.params.id);
+
+  if (!lecture) {
+    res.status(404).json({
+      message: "No Lecture with this id",
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.user._id);
+
+  if (!(await hasCourseAccess(user, lecture.course))) {
+    res.status(400).json({
+      message: "You have not subscribed to this course",
+    });
+    return null;
+  }
+
+  if (!hasContent(lecture) && !(await managesCourse(user, lecture.course))) {
+    res.status(404).json({
+      message: "No Lecture with this id",
+    });
+    return null;
+  }
+
+  return lecture;
+};
+
+const courseOutline = async (course) => {
+  const sections = await Section.find({ course: course._id }).sort({
+    position: 1,
+    createdAt: 1,
+  });
+  const lectures = (
+    await Lecture.find({ course: course._id }).sort({ order: 1, createdAt: 1 })
+  ).filter(hasContent);
+
+  const titles = (list) => list.map((l) => `  - ${l.title}`).join("\n");
+
+  const unsectioned = lectures.filter((l) => !l.section);
+
+  return [
+    ...(unsectioned.length ? [titles(unsectioned)] : []),
+    ...sections.map(
+      (section) =>
+        `${section.title}\n${titles(
+          lectures.filter((l) => l.section?.toString() === section._id.toString())
+        )}`
+    ),
+  ].join("\n");
+};
+
+const buildPrompt = async (lecture, history, question) => {
+  const course = await Courses.findById(lecture.course);
+
+  const material =
+    lecture.type === "text" ? lecture.content : lecture.transcript;
+
+  const materialText = material
+    ? `Lecture ${lecture.type === "text" ? "lesson" : "transcript"}:\n${truncate(
+        material,
+        maxMaterialLength
+      )}`
+    : "There is no transcript for this lecture, rely on its title and description.";
+
+  const conversation = history
+    .slice(-historyInPrompt)
+    .map((m) => `${m.role === "user" ? "Learner" : "Tutor"}: ${m.content}`)
+    .join("\n\n");
+
+  return `You are a patient tutor for the online course "${course.title}".
+Help the learner understand the current lecture. Explain step by step, use
+short examples, and when the learner asks for an exercise solution guide them
+towards it instead of only giving the answer. If the question is unrelated to
+the course, say so briefly. Answer in Markdown without HTML.
+
+Course outline:
+${await courseOutline(course)}
+
+Current lecture: ${lecture.title}
+Lecture description: ${lecture.description}
+${materialText}
+${conversation ? `\nConversation so far:\n${conversation}\n` : ""}
+Learner: ${question}
+Tutor:`;
+};
+
+export const getTutorChat = TryCatch(async (req, res) => {
+  const lecture = await loadLecture(req, res);
+  if (!lecture) return;
+
+  const chat = await TutorChat.findOne({
+    user: req.user._id,
+    lecture: lecture._id,
+  });
+
+  res.json({ messages: chat ? chat.messages : [] });
+});
+
+export const askTutor = TryCatch(async (req, res) => {
+  const lecture = await loadLecture(req, res);
+  if (!lecture) return;
+
+  const question = String(req.body.question || "").trim();
+
+  if (!question)
+    return res.status(400).json({
+      message: "Please ask a question",
+    });
+
+  if (question.length > maxQuestionLength)
+    return res.status(400).json({
+      message: `Questions can be at most ${maxQuestionLength} characters`,
+    });
+
+  const history = await TutorChat.findOne({
+    user: req.user._id,
+    lecture: lecture._id,
+  });
+
+  const prompt = await buildPrompt(
+    lecture,
+    history ? history.messages : [],
+    question
+  );
+
+  const meter = createMeter();
+  let answer;
+
+  try {
+    const { text } = await generateText(prompt, {
+      mock: () =>
+        `Good question about **${lecture.title}**. Start from the lecture description: ${lecture.description}`,
+      meter,
+    });
+
+    answer = text.trim();
+    await recordUsage(meter, {
+      user: req.user,
+      feature: "tutor",
+      status: "success",
+    });
+  } catch (error) {
+    console.log("AI tutor error:", error.message);
+    await recordUsage(meter, {
+      user: req.user,
+      feature: "tutor",
+      status: "error",
+      error,
+    });
+
+    return res.status(502).json({
+      message: "The AI tutor is unavailable, please try again later",
+    });
+  }
+
+  // one atomic upsert, parallel questions never create two conversations
+  const chat = await TutorChat.findOneAndUpdate(
+    { user: req.user._id, lecture: lecture._id },
+    {
+      $setOnInsert: { course: lecture.course },
+      $push: {
+        messages: {
+          $each: [
+            { role: "user", content: question },
+            { role: "assistant", content: answer },
+          ],
+          $slice: -maxStoredMessages,
+        },
+      },
+    },
+    { upsert: true, new: true }
+  );
+
+  res.status(201).json({
+    answer,
+    messages: chat.messages,
+  });
+});
+
+export const clearTutorChat = TryCatch(async (req, res) => {
+  const lecture = await loadLecture(req, res);
+  if (!lecture) return;
+
+  await TutorChat.deleteOne({ user: req.user._id, lecture: lecture._id });
+
+  res.json({ message: "Conversation cleared" });
+});
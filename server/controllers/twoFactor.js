@@ -0,0 +1,143 @@
+import bcrypt from "bcrypt";
+import QRCode from "qrcode";
+import TryCatch from "../middlewares/TryCatch.js";
+import { User } from "../models/User.js";
+import { revokeSessions } from "../utils/session.js";
+import { generateSecret, otpauthUrl, verifyCode } from "../utils/totp.js";
+import {
+  checkSecondFactor,
+  generateRecoveryCodes,
+  twoFactorFields,
+  twoFactorRequired,
+} from "../utils/twoFactor.js";
+
+export const getTwoFactor = TryCatch(async (req, res) => {
+  const user = await User.findById(req.user._id).select(twoFactorFields);
+
+  res.json({
+    enabled: user.twoFactorEnabled,
+    required: twoFactorRequired(user),
+    recoveryCodesLeft: user.twoFactorEnabled ? user.recoveryCodes.length : 0,
+  });
+});
+
+// Starts enrollment, the secret is only used once a code from it is confirmed
+export const setupTwoFactor = TryCatch(async (req, res) => {
+  const user = await User.findById(req.user._id).select(twoFactorFields);
+
+  if (user.twoFactorEnabled)
+    return res.status(400).json({
+      message: "Two-factor authentication is already enabled",
+    });
+
+  const secret = generateSecret();
+  const url = otpauthUrl(secret, user.email);
+
+  user.twoFactorPendingSecret = secret;
+  await user.save();
+
+  res.json({
+    secret,
+    otpauthUrl: url,
+    qrCode: await QRCode.toDataURL(url),
+  });
+});
+
+export const enableTwoFactor = TryCatch(async (req, res) => {
+  const user = await User.findById(req.user._id).select(twoFactorFields);
+
+  if (user.twoFactorEnabled)
+    return res.status(400).json({
+      message: "Two-factor authentication is already enabled",
+    });
+
+  if (!user.twoFactorPendingSecret)
+    return res.status(400).json({
+      message: "Start the setup first",
+    });
+
+  const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+
+  if (step === null)
+    return res.status(400).json({
+      message: "Wrong code",
+    });
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastStep = step;
+  user.twoFactorEnabled = true;
+  user.recoveryCodes = hashes;
+
+  await user.save();
+
+  // other devices logged in with the password alone
+  await revokeSessions({ user: user._id, _id: { $ne: req.sessionId } });
+
+  res.json({
+    message: "Two-factor authentication enabled",
+    recoveryCodes: codes,
+  });
+});
+
+export const disableTwoFactor = TryCatch(async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user._id).select(twoFactorFields);
+
+  if (!user.twoFactorEnabled)
+    return res.status(400).json({
+      message: "Two-factor authentication is not enabled",
+    });
+
+  if (twoFactorRequired(user))
+    return res.status(400).json({
+      message: "Two-factor authentication is required for your role",
+    });
+
+  if (!(await bcrypt.compare(String(password || ""), user.password)))
+    return res.status(400).json({
+      message: "wrong Password",
+    });
+
+  if (!(await checkSecondFactor(user, code)))
+    return res.status(400).json({
+      message: "Wrong code",
+    });
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorLastStep = -1;
+  user.recoveryCodes = [];
+
+  await user.save();
+
+  res.json({ message: "Two-factor authentication disabled" });
+});
+
+// the old codes stop working
+export const regenerateRecoveryCodes = TryCatch(async (req, res) => {
+  const user = await User.findById(req.user._id).select(twoFactorFields);
+
+  if (!user.twoFactorEnabled)
+    return res.status(400).json({
+      message: "Two-factor authentication is not enabled",
+    });
+
+  if (!(await checkSecondFactor(user, req.body.code)))
+    return res.status(400).json({
+      message: "Wrong code",
+    });
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.recoveryCodes = hashes;
+  await user.save();
+
+  res.json({
+    message: "New recovery codes generated",
+    recoveryCodes: codes,
+  });
+});
@@ -3,6 +3,30 @@ import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import sendMail, { sendForgotMail } from "../middlewares/sendMail.js";
 import TryCatch from "../middlewares/TryCatch.js";
+import { getPermissions } from "../utils/permissions.js";
+import { Session } from "../models/Session.js";
+import {
+  clearRefreshCookie,
+  createSession,
+  readRefreshToken,
+  revokeSessions,
+  rotateSession,
+  sendTokens,
+} from "../utils/session.js";
+import {
+  checkSecondFactor,
+  twoFactorFields,
+  twoFactorRequired,
+} from "../utils/twoFactor.js";
+import {
+  clearFailures,
+  hashKey,
+  hit,
+  lockedFor,
+  readLimit,
+  recordFailure,
+  tooManyRequests,
+} from "../utils/rateLimit/index.js";
 
 export const register = TryCatch(async (req, res) => {
   const { email, name, password } = req.body;
@@ -58,6 +82,15 @@ export const verifyUser = TryCatch(async (req, res) => {
       message: "Otp Expired",
     });
 
+  // a few guesses per activation token, registering again sends a new otp
+  const retryAfter = await hit(
+    `otp:${hashKey(activationToken)}`,
+    readLimit("Otp_Attempts", { max: 5, seconds: 300 })
+  );
+
+  if (retryAfter)
+    return tooManyRequests(res, "Too many wrong otps", retryAfter);
+
   if (verify.otp !== otp)
     return res.status(400).json({
       message: "Wrong Otp",
@@ -77,35 +110,219 @@ export const verifyUser = TryCatch(async (req, res) => {
 export const loginUser = TryCatch(async (req, res) => {
   const { email, password } = req.body;
 
+  const locked = await lockedFor(email);
+
+  if (locked) return tooManyRequests(res, "Too many failed logins", locked);
+
   const user = await User.findOne({ email });
 
-  if (!user)
+  if (!user) {
+    await recordFailure(email);
+
     return res.status(400).json({
       message: "No User with this email",
     });
+  }
 
   const mathPassword = await bcrypt.compare(password, user.password);
 
-  if (!mathPassword)
+  if (!mathPassword) {
+    const lock = await recordFailure(email);
+
+    if (lock) return tooManyRequests(res, "Too many failed logins", lock);
+
     return res.status(400).json({
       message: "wrong Password",
     });
+  }
 
-  const token = jwt.sign({ _id: user._id }, process.env.Jwt_Sec, {
-    expiresIn: "15d",
-  });
+  await completeLogin(req, res, user);
+});
 
-  res.json({
+// the first factor is done, by password or a social login
+const completeLogin = async (req, res, user) => {
+  // no session until the second step, this token only works for /login/2fa
+  if (user.twoFactorEnabled) {
+    const twoFactorToken = jwt.sign(
+      { _id: user._id, purpose: "2fa" },
+      process.env.Jwt_Sec,
+      { expiresIn: "5m" }
+    );
+
+    return res.json({
+      message: "Enter the code from your authenticator app",
+      twoFactorToken,
+    });
+  }
+
+  await startSession(req, res, user);
+};
+
+const startSession = async (req, res, user) => {
+  await clearFailures(user.email);
+
+  const tokens = await createSession(user, req);
+
+  sendTokens(res, tokens, {
     message: `Welcome back ${user.name}`,
-    token,
     user,
+    permissions: await getPermissions(user),
+    twoFactorRequired: twoFactorRequired(user),
+  });
+};
+
+export const loginTwoFactor = TryCatch(async (req, res) => {
+  const { twoFactorToken, code } = req.body;
+
+  let decoded;
+
+  try {
+    decoded = jwt.verify(twoFactorToken, process.env.Jwt_Sec);
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.purpose !== "2fa")
+    return res.status(401).json({
+      message: "Login expired, please login again",
+    });
+
+  const user = await User.findById(decoded._id).select(twoFactorFields);
+
+  if (!user || !user.twoFactorEnabled)
+    return res.status(401).json({
+      message: "Login expired, please login again",
+    });
+
+  // wrong codes count towards the same lockout as wrong passwords
+  const locked = await lockedFor(user.email);
+
+  if (locked) return tooManyRequests(res, "Too many failed logins", locked);
+
+  if (!(await checkSecondFactor(user, code))) {
+    const lock = await recordFailure(user.email);
+
+    if (lock) return tooManyRequests(res, "Too many failed logins", lock);
+
+    return res.status(400).json({
+      message: "Wrong code",
+    });
+  }
+
+  // loaded again without the secrets, the user is sent back
+  await startSession(req, res, await User.findById(user._id));
+});
+
+// the code from the social login callback, see controllers/oauth.js
+export const loginOAuth = TryCatch(async (req, res) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(req.body.code, process.env.Jwt_Sec);
+  } catch (error) {
+    decoded = null;
+  }
+
+  // each code works once
+  const used =
+    decoded &&
+    (await hit(`oauth:${decoded.jti}`, { max: 1, windowMs: 5 * 60 * 1000 }));
+
+  if (!decoded || decoded.purpose !== "oauth" || used)
+    return res.status(401).json({
+      message: "Login expired, please login again",
+    });
+
+  const user = await User.findById(decoded._id);
+
+  if (!user)
+    return res.status(401).json({
+      message: "Login expired, please login again",
+    });
+
+  await completeLogin(req, res, user);
+});
+
+export const refreshToken = TryCatch(async (req, res) => {
+  const refreshToken = readRefreshToken(req);
+
+  if (!refreshToken)
+    return res.status(401).json({
+      message: "Please Login",
+    });
+
+  let tokens;
+
+  try {
+    tokens = await rotateSession(refreshToken);
+  } catch (error) {
+    clearRefreshCookie(res);
+
+    return res.status(401).json({
+      message: "Session ended, please login again",
+    });
+  }
+
+  sendTokens(res, tokens);
+});
+
+export const logoutUser = TryCatch(async (req, res) => {
+  await revokeSessions({ _id: req.sessionId });
+
+  clearRefreshCookie(res);
+
+  res.json({ message: "Logged Out" });
+});
+
+export const getSessions = TryCatch(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip createdAt lastUsedAt")
+    .sort({ lastUsedAt: -1 });
+
+  res.json({
+    sessions: sessions.map((session) => ({
+      ...session.toObject(),
+      current: session._id.equals(req.sessionId),
+    })),
   });
 });
 
+export const revokeSession = TryCatch(async (req, res) => {
+  const { modifiedCount } = await revokeSessions({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!modifiedCount)
+    return res.status(404).json({
+      message: "No Session with this id",
+    });
+
+  res.json({ message: "Session Revoked" });
+});
+
+// every device except the one asking
+export const revokeOtherSessions = TryCatch(async (req, res) => {
+  const { modifiedCount } = await revokeSessions({
+    user: req.user._id,
+    _id: { $ne: req.sessionId },
+  });
+
+  res.json({ message: `${modifiedCount} session(s) revoked` });
+});
+
 export const myProfile = TryCatch(async (req, res) => {
   const user = await User.findById(req.user._id);
 
-  res.json({ user });
+  res.json({
+    user,
+    permissions: await getPermissions(user),
+    twoFactorRequired: twoFactorRequired(user),
+  });
 });
 
 export const forgotPassword = TryCatch(async (req, res) => {
@@ -162,5 +379,8 @@ export const resetPassword = TryCatch(async (req, res) => {
 
   await user.save();
 
+  // whoever knew the old password is logged out everywhere
+  await revokeSessions({ user: user._id });
+
   res.json({ message: "Password Reset" });
 });
@@ -0,0 +1,86 @@
+import TryCatch from "../middlewares/TryCatch.js";
+import { Order } from "../models/Order.js";
+import {
+  enrollUser,
+  markOrderFailed,
+  markOrderPaid,
+  markOrderRefunded,
+  unenrollUser,
+} from "../utils/orders.js";
+import { PaymentError, getPaymentProvider } from "../utils/payments/index.js";
+
+// Each handler only moves an order forward (utils/orders.js), so a gateway
+// retrying an event or the browser verifying the same payment is harmless.
+// Events come parsed by the provider, see utils/payments/index.js.
+const handlers = {
+  "payment.captured": async (order, event) => {
+    if (event.amount !== order.amount || event.currency !== order.currency) {
+      console.log(
+        `Payment ${event.paymentId} does not match order ${order._id}: ` +
+          `${event.amount} ${event.currency}`
+      );
+      await markOrderFailed(order._id, "Paid amount does not match the order");
+      return "amount mismatch";
+    }
+
+    await markOrderPaid(order._id, event.paymentId);
+
+    // the order may have been refunded in the meantime
+    const current = await Order.findById(order._id);
+    if (current.status !== "paid" || !current.user) return current.status;
+
+    await enrollUser(current.user, current.course);
+    return "enrolled";
+  },
+
+  "payment.failed": async (order, event) => {
+    await markOrderFailed(order._id, event.reason || "Payment failed");
+    return "failed";
+  },
+
+  "refund.processed": async (order, event) => {
+    // partial refunds keep the course
+    if (event.amount < order.amount) return "partial refund";
+
+    const refunded = await markOrderRefunded(order._id);
+
+    if (refunded && refunded.user)
+      await unenrollUser(refunded.user, refunded.course);
+
+    return "refunded";
+  },
+};
+
+export const paymentWebhook = TryCatch(async (req, res) => {
+  let provider;
+  let event;
+
+  try {
+    provider = getPaymentProvider(req.params.provider);
+
+    if (!Buffer.isBuffer(req.body))
+      throw new PaymentError("Invalid signature", { status: 400 });
+
+    event = provider.parseWebhook(req.body, req.headers);
+  } catch (error) {
+    if (!(error instanceof PaymentError)) throw error;
+
+    return res.status(error.status).json({ message: error.message });
+  }
+
+  // every other event is acknowledged so the gateway stops retrying it
+  if (!event || !handlers[event.type]) return res.json({ message: "Ignored" });
+
+  // refunds may only name the payment
+  const order = await Order.findOne(
+    event.orderId
+      ? { provider: provider.name, providerOrderId: event.orderId }
+      : { provider: provider.name, providerPaymentId: event.paymentId }
+  );
+
+  if (!order) return res.json({ message: "unknown order" });
+
+  const result = await handlers[event.type](order, event);
+
+  res.json({ message: result });
+});
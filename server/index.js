@@ -1,21 +1,40 @@
 import express from "express";
 import dotenv from "dotenv";
 import { connectDb } from "./database/db.js";
-import Razorpay from "razorpay";
 import cors from "cors";
+import { resumeTranscodes } from "./utils/transcoder.js";
+import { resumeLessons } from "./utils/lessonGenerator.js";
+import { migrateCourseOwners, migratePayments } from "./utils/migrations.js";
+import { seedRoles } from "./utils/permissions.js";
+import { removeExports, resumeExports } from "./utils/dataExport.js";
+import { processDeletions } from "./utils/accountDeletion.js";
+import webhookRoutes from "./routes/webhook.js";
+import { imageExtensions } from "./utils/imageType.js";
+import path from "path";
 
 dotenv.config();
 
-export const instance = new Razorpay({
-  key_id: process.env.Razorpay_Key,
-  key_secret: process.env.Razorpay_Secret,
-});
-
 const app = express();
 
+// behind a reverse proxy set Trust_Proxy (a hop count, "true" or the proxy
+// addresses) so req.ip, used by the rate limits and sessions, is the client
+const trustProxy = process.env.Trust_Proxy;
+
+if (trustProxy)
+  app.set(
+    "trust proxy",
+    trustProxy === "true" ? true : Number(trustProxy) || trustProxy
+  );
+
+// payment webhooks read the raw body, before it is parsed as JSON
+app.use("/api", webhookRoutes);
+
 // using middlewares
 app.use(express.json());
-app.use(cors());
+// the client always sends credentials, for the refresh token cookie (see
+// utils/session.js), and browsers only accept those answers from a named
+// origin, never from "*"
+app.use(cors({ origin: process.env.frontendurl, credentials: true }));
 
 const port = process.env.PORT;
 
@@ -23,21 +42,70 @@ app.get("/", (req, res) => {
   res.send("Server is working");
 });
 
-app.use("/uploads", express.static("uploads"));
+// lecture videos are only served through the signed /api/lecture/:id/stream
+// and /api/lecture/:id/hls routes, the public folder hands out images only
+app.use(
+  "/uploads",
+  (req, res, next) => {
+    // checked as express.static will read it, "%68ls" is still "hls"
+    let file;
+
+    try {
+      file = decodeURIComponent(req.path);
+    } catch (error) {
+      file = "";
+    }
+
+    const ext = path.extname(file).slice(1).toLowerCase();
+
+    if (!file || file.startsWith("/hls/") || !imageExtensions.includes(ext))
+      return res.status(404).json({
+        message: "File not found",
+      });
+
+    next();
+  },
+  express.static("uploads", {
+    setHeaders(res) {
+      res.set("X-Content-Type-Options", "nosniff");
+    },
+  })
+);
 
 // importing routes
 import userRoutes from "./routes/user.js";
 import courseRoutes from "./routes/course.js";
 import adminRoutes from "./routes/admin.js";
 import aiRoutes from "./routes/ai.js";
+import quizRoutes from "./routes/quiz.js";
+import tutorRoutes from "./routes/tutor.js";
+import roleRoutes from "./routes/role.js";
 
 // using routes
 app.use("/api", userRoutes);
 app.use("/api", courseRoutes);
 app.use("/api", adminRoutes);
 app.use("/api", aiRoutes);
+app.use("/api", quizRoutes);
+app.use("/api", tutorRoutes);
+app.use("/api", roleRoutes);
 
-app.listen(port, () => {
+app.listen(port, async () => {
   console.log(`Server is running on http://localhost:${port}`);
-  connectDb();
+  await connectDb();
+  await seedRoles().catch((error) => console.log(error));
+  await migrateCourseOwners().catch((error) => console.log(error));
+  await migratePayments().catch((error) => console.log(error));
+  resumeTranscodes().catch((error) => console.log(error));
+  resumeLessons().catch((error) => console.log(error));
+  resumeExports().catch((error) => console.log(error));
+  processDeletions().catch((error) => console.log(error));
+
+  // expired data exports and accounts at the end of their grace period
+  setInterval(() => {
+    removeExports({ expiresAt: { $lt: new Date() } }).catch((error) =>
+      console.log(error)
+    );
+    processDeletions().catch((error) => console.log(error));
+  }, 60 * 60 * 1000);
 });
\ No newline at end of file
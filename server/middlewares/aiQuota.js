@@ -0,0 +1,18 @@
+import { getQuota, quotaMessage } from "../utils/aiUsage.js";
+
+export const aiQuota = async (req, res, next) => {
+  try {
+    const quota = await getQuota(req.user);
+
+    if (!quota.allowed)
+      return res.status(429).json({
+        message: quotaMessage(quota),
+      });
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      message: error.message,
+    });
+  }
+};
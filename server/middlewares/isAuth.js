@@ -1,5 +1,8 @@
 import jwt from "jsonwebtoken";
 import { User } from "../models/User.js";
+import { Session } from "../models/Session.js";
+import { getPermissions } from "../utils/permissions.js";
+import { twoFactorRequired } from "../utils/twoFactor.js";
 
 export const isAuth = async (req, res, next) => {
   try {
@@ -10,9 +13,39 @@ export const isAuth = async (req, res, next) => {
         message: "Please Login",
       });
 
-    const decodedData = jwt.verify(token, process.env.Jwt_Sec);
+    let decodedData;
+
+    try {
+      decodedData = jwt.verify(token, process.env.Jwt_Sec);
+    } catch (error) {
+      // the client refreshes the access token and retries on this one
+      if (error.name === "TokenExpiredError")
+        return res.status(401).json({
+          message: "Access token expired",
+          expired: true,
+        });
+
+      throw error;
+    }
+
+    // logout, revoke and password reset end the session before the access
+    // token itself runs out
+    const session =
+      decodedData.sid &&
+      (await Session.findOne({
+        _id: decodedData.sid,
+        user: decodedData._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }));
+
+    if (!session)
+      return res.status(401).json({
+        message: "Session ended, please login again",
+      });
 
     req.user = await User.findById(decodedData._id);
+    req.sessionId = session._id;
 
     next();
   } catch (error) {
@@ -22,17 +55,30 @@ export const isAuth = async (req, res, next) => {
   }
 };
 
-export const isAdmin = (req, res, next) => {
-  try {
-    if (req.user.role !== "admin")
-      return res.status(403).json({
-        message: "You are not admin",
-      });
+// Passes when the user has any of the given permissions. Ownership of a course
+// is checked in the controllers (canManageCourse). Roles under the 2FA policy
+// have to enable it first.
+export const requirePermission =
+  (...permissions) =>
+  async (req, res, next) => {
+    try {
+      const granted = await getPermissions(req.user);
 
-    next();
-  } catch (error) {
-    res.status(500).json({
-      message: error.message,
-    });
-  }
-};
+      if (!permissions.some((permission) => granted.includes(permission)))
+        return res.status(403).json({
+          message: "You do not have permission to do this",
+        });
+
+      if (twoFactorRequired(req.user) && !req.user.twoFactorEnabled)
+        return res.status(403).json({
+          message: "Enable two-factor authentication to use this feature",
+          twoFactorSetupRequired: true,
+        });
+
+      next();
+    } catch (error) {
+      res.status(500).json({
+        message: error.message,
+      });
+    }
+  };
@@ -1,5 +1,16 @@
 import multer from "multer";
+import path from "path";
+import { rm } from "fs";
 import { v4 as uuid } from "uuid";
+import {
+  detectImageType,
+  imageExtensions,
+  imageTypeMessage,
+  renameToType,
+} from "../utils/imageType.js";
+
+const maxVideoSize = 2 * 1024 * 1024 * 1024;
+const maxImageSize = 5 * 1024 * 1024;
 
 const storage = multer.diskStorage({
   destination(req, file, cb) {
@@ -16,4 +27,59 @@ const storage = multer.diskStorage({
   },
 });
 
-export const uploadFiles = multer({ storage }).single("file");
+// a file over the limit or of the wrong type is a bad request, not a 500
+const handleUpload = (upload) => (req, res, next) =>
+  upload(req, res, (error) => {
+    if (error)
+      return res.status(400).json({
+        message: error.message,
+      });
+
+    next();
+  });
+
+export const uploadFiles = handleUpload(
+  multer({ storage, limits: { fileSize: maxVideoSize } }).single("file")
+);
+
+const imageUpload = multer({
+  storage,
+  limits: { fileSize: maxImageSize },
+  fileFilter(req, file, cb) {
+    const ext = path.extname(file.originalname).slice(1).toLowerCase();
+
+    if (!imageExtensions.includes(ext)) return cb(new Error(imageTypeMessage));
+
+    cb(null, true);
+  },
+}).single("file");
+
+// Uploads are served publicly, so an image also has to start with the bytes
+// of its type and is saved under that type's extension.
+const checkImage = async (req, res, next) => {
+  if (!req.file) return next();
+
+  try {
+    const type = await detectImageType(req.file);
+
+    if (!type) {
+      rm(req.file.path, () => {});
+
+      return res.status(400).json({
+        message: imageTypeMessage,
+      });
+    }
+
+    req.file.path = await renameToType(req.file, type);
+  } catch (error) {
+    rm(req.file.path, () => {});
+
+    return res.status(500).json({
+      message: error.message,
+    });
+  }
+
+  next();
+};
+
+export const uploadImage = [handleUpload(imageUpload), checkImage];
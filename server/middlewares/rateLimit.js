@@ -0,0 +1,28 @@
+import {
+  hashKey,
+  hit,
+  readLimit,
+  tooManyRequests,
+} from "../utils/rateLimit/index.js";
+
+// Limits hits on a route per IP, or per whatever key returns. The limit is
+// read from Rate_Limit_<name> at request time, fallback is { max, seconds }.
+export const rateLimit =
+  (name, fallback, key = (req) => req.ip) =>
+  async (req, res, next) => {
+    try {
+      const retryAfter = await hit(
+        `${name}:${hashKey(key(req))}`,
+        readLimit(name, fallback)
+      );
+
+      if (retryAfter)
+        return tooManyRequests(res, "Too many requests", retryAfter);
+
+      next();
+    } catch (error) {
+      res.status(500).json({
+        message: error.message,
+      });
+    }
+  };
@@ -55,10 +55,30 @@ const aiCourseSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  status: {
+    type: String,
+    // "publishing" while publishDraft creates the course
+    enum: ["draft", "publishing", "published"],
+    default: "draft",
+  },
+  publishedCourse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Courses",
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+aiCourseSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
 });
 
 export const AICourse = mongoose.model("AICourse", aiCourseSchema);
\ No newline at end of file
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+const schema = new mongoose.Schema({
+  // normalized courseName|duration|difficulty, see utils/aiUsage.js
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  course: {
+    type: Object,
+    required: true,
+  },
+  hits: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // removed by MongoDB once passed
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+});
+
+export const AICourseCache = mongoose.model("AICourseCache", schema);
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// One entry per AI request, tokens are summed over retries and repairs
+const schema = new mongoose.Schema({
+  // null for background jobs such as lesson generation
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  feature: {
+    type: String,
+    required: true,
+  },
+  provider: {
+    type: String,
+    default: "",
+  },
+  model: {
+    type: String,
+    default: "",
+  },
+  calls: {
+    type: Number,
+    default: 0,
+  },
+  promptTokens: {
+    type: Number,
+    default: 0,
+  },
+  completionTokens: {
+    type: Number,
+    default: 0,
+  },
+  latencyMs: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ["success", "fallback", "cached", "error"],
+    required: true,
+  },
+  error: {
+    type: String,
+    default: "",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+schema.index({ user: 1, createdAt: -1 });
+
+export const AIUsage = mongoose.model("AIUsage", schema);
@@ -26,8 +26,10 @@ const schema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // the instructor (or admin) who manages the course
   createdBy: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
     required: true,
   },
   createdAt: {
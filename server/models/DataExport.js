@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// A personal data archive, built in the background by utils/dataExport.js
+const schema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "ready", "failed"],
+      default: "pending",
+    },
+    // zip under exports/, never under the public uploads folder
+    file: {
+      type: String,
+      default: "",
+    },
+    size: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+      default: "",
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export const DataExport = mongoose.model("DataExport", schema);
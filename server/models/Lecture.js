@@ -9,15 +9,71 @@ const schema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  type: {
+    type: String,
+    enum: ["video", "text"],
+    default: "video",
+  },
+  // empty until a video is uploaded, see hasContent
   video: {
     type: String,
-    required: true,
+    default: "",
+  },
+  // markdown body of text lessons
+  content: {
+    type: String,
+    default: "",
+  },
+  // optional transcript of a video, gives the AI tutor something to work with
+  transcript: {
+    type: String,
+    default: "",
   },
   course: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Courses",
     required: true,
   },
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Section",
+    default: null,
+  },
+  order: {
+    type: Number,
+    default: 0,
+  },
+  hls: {
+    type: String,
+    default: "",
+  },
+  duration: {
+    type: Number,
+    default: 0,
+  },
+  thumbnails: {
+    sprite: String,
+    interval: Number,
+    columns: Number,
+    width: Number,
+    height: Number,
+  },
+  // transcoding for videos, AI lesson generation for text lessons
+  processingStatus: {
+    type: String,
+    enum: ["none", "pending", "processing", "ready", "failed"],
+    default: "none",
+  },
+  processingError: {
+    type: String,
+    default: "",
+  },
+  // whose AI quota a generated lesson is counted against
+  lessonRequestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
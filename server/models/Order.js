@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+// One purchase attempt of a course. Created by checkout, paid by the payment
+// verification or the gateway's webhook (see utils/orders.js for the status
+// changes).
+const schema = new mongoose.Schema(
+  {
+    // null once the buyer deleted their account
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Courses",
+      required: true,
+    },
+    // in the currency's smallest unit, e.g. paise
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    // the gateway of utils/payments the order was created with
+    provider: {
+      type: String,
+      default: "razorpay",
+    },
+    providerOrderId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    providerPaymentId: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "paid", "failed", "refunded"],
+      default: "pending",
+    },
+    failureReason: {
+      type: String,
+      default: "",
+    },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+    refundedAt: {
+      type: Date,
+      default: null,
+    },
+    anonymizedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export const Order = mongoose.model("Order", schema);
@@ -1,17 +1,42 @@
 import mongoose from "mongoose";
 
 const schema = new mongoose.Schema({
-  razorpay_order_id: {
+  // see utils/payments, records from before it are migrated on start
+  provider: {
     type: String,
-    required: true,
+    default: "razorpay",
   },
-  razorpay_payment_id: {
+  providerOrderId: {
     type: String,
     required: true,
   },
-  razorpay_signature: {
+  providerPaymentId: {
     type: String,
     required: true,
+    unique: true,
+  },
+  // what the gateway signed the payment with, when it does (Razorpay)
+  signature: {
+    type: String,
+    default: "",
+  },
+  // null once the buyer deleted their account, the record stays for accounting
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Courses",
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+  },
+  anonymizedAt: {
+    type: Date,
+    default: null,
   },
 
   createdAt: {
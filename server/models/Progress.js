@@ -12,6 +12,12 @@ const schema = new mongoose.Schema(
         ref: "Lecture",
       },
     ],
+    completedQuizzes: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Quiz",
+      },
+    ],
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
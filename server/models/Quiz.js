@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+
+export const questionTypes = [
+  "multiple-choice",
+  "multi-select",
+  "true-false",
+  "short-answer",
+];
+
+const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: questionTypes,
+    required: true,
+  },
+  prompt: {
+    type: String,
+    required: true,
+  },
+  // choice questions, true-false always uses ["True", "False"]
+  options: [
+    {
+      type: String,
+    },
+  ],
+  // indexes into options
+  correctOptions: [
+    {
+      type: Number,
+    },
+  ],
+  // short-answer, compared case and whitespace insensitive
+  acceptedAnswers: [
+    {
+      type: String,
+    },
+  ],
+  points: {
+    type: Number,
+    default: 1,
+  },
+  explanation: {
+    type: String,
+    default: "",
+  },
+});
+
+const schema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+  },
+  description: {
+    type: String,
+    default: "",
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Courses",
+    required: true,
+  },
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Section",
+    default: null,
+  },
+  lecture: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Lecture",
+    default: null,
+  },
+  questions: [questionSchema],
+  // percentage of points needed to pass
+  passingScore: {
+    type: Number,
+    default: 70,
+    min: 0,
+    max: 100,
+  },
+  // 0 means unlimited
+  maxAttempts: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export const Quiz = mongoose.model("Quiz", schema);
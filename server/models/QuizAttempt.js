@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+const schema = new mongoose.Schema(
+  {
+    quiz: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Quiz",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // 1 for the first attempt of the user at the quiz, see the index below
+    number: {
+      type: Number,
+    },
+    answers: [
+      {
+        question: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+        answer: mongoose.Schema.Types.Mixed,
+        correct: Boolean,
+      },
+    ],
+    score: {
+      type: Number,
+      default: 0,
+    },
+    maxScore: {
+      type: Number,
+      default: 0,
+    },
+    percentage: {
+      type: Number,
+      default: 0,
+    },
+    passed: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// two submissions racing for the same attempt number cannot both be saved,
+// so maxAttempts holds. Attempts from before the number are left out.
+schema.index(
+  { quiz: 1, user: 1, number: 1 },
+  { unique: true, partialFilterExpression: { number: { $exists: true } } }
+);
+
+export const QuizAttempt = mongoose.model("QuizAttempt", schema);
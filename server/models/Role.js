@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+// Maps a User.role to the permissions it grants, see utils/permissions.js
+const schema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    permissions: [
+      {
+        type: String,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export const Role = mongoose.model("Role", schema);
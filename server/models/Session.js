@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// One login on one device. Only hashes of the refresh tokens are stored, the
+// previous one is kept to spot a stolen token being replayed after rotation.
+const schema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  previousTokenHash: {
+    type: String,
+    default: null,
+    index: true,
+  },
+  rotatedAt: {
+    type: Date,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: "",
+  },
+  ip: {
+    type: String,
+    default: "",
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // removed by MongoDB once the refresh token can no longer be used
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export const Session = mongoose.model("Session", schema);
@@ -15,6 +15,11 @@ const schema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // path under uploads, like course images
+    avatar: {
+      type: String,
+      default: "",
+    },
     role: {
       type: String,
       default: "user",
@@ -29,6 +34,49 @@ const schema = new mongoose.Schema(
         ref: "Courses",
       },
     ],
+    // daily AI requests, null uses the role default (see utils/aiUsage.js)
+    aiDailyQuota: {
+      type: Number,
+      default: null,
+    },
+    // two-factor authentication, the secrets never leave the server
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // set during enrollment until the first code is confirmed
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // last accepted time step, a code is only valid once
+    twoFactorLastStep: {
+      type: Number,
+      default: -1,
+      select: false,
+    },
+    // sha256 hashes, each code works once
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // social logins linked to the account (utils/oidc.js)
+    oauthAccounts: [
+      {
+        _id: false,
+        provider: String,
+        subject: String,
+      },
+    ],
+    // set while a requested account deletion waits out its grace period
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+    },
     resetPasswordExpire: Date,
   },
   {
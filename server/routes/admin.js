@@ -1,24 +1,49 @@
 import express from "express";
-import { isAdmin, isAuth } from "../middlewares/isAuth.js";
+import { isAuth, requirePermission } from "../middlewares/isAuth.js";
 import {
   addLectures,
   createCourse,
+  createSection,
   deleteCourse,
   deleteLecture,
+  deleteSection,
+  getAIUsage,
   getAllStats,
   getAllUser,
+  refundOrder,
+  reorderCourse,
+  updateAIQuota,
+  updateCourse,
+  updateLecture,
   updateRole,
+  updateSection,
 } from "../controllers/admin.js";
-import { uploadFiles } from "../middlewares/multer.js";
+import { uploadFiles, uploadImage } from "../middlewares/multer.js";
 
 const router = express.Router();
 
-router.post("/course/new", isAuth, isAdmin, uploadFiles, createCourse);
-router.post("/course/:id", isAuth, isAdmin, uploadFiles, addLectures);
-router.delete("/course/:id", isAuth, isAdmin, deleteCourse);
-router.delete("/lecture/:id", isAuth, isAdmin, deleteLecture);
-router.get("/stats", isAuth, isAdmin, getAllStats);
-router.put("/user/:id", isAuth, updateRole);
-router.get("/users", isAuth, isAdmin, getAllUser);
+const newCourse = requirePermission("course:create");
+const manageCourse = requirePermission("course:manage", "course:manage:any");
+const viewStats = requirePermission("stats:view", "stats:view:any");
+const manageAI = requirePermission("ai:manage");
+
+router.post("/course/new", isAuth, newCourse, uploadImage, createCourse);
+router.post("/course/:id", isAuth, manageCourse, uploadFiles, addLectures);
+router.put("/course/:id", isAuth, manageCourse, uploadImage, updateCourse);
+router.patch("/course/:id", isAuth, manageCourse, uploadImage, updateCourse);
+router.delete("/course/:id", isAuth, manageCourse, deleteCourse);
+router.put("/lecture/:id", isAuth, manageCourse, uploadFiles, updateLecture);
+router.patch("/lecture/:id", isAuth, manageCourse, uploadFiles, updateLecture);
+router.delete("/lecture/:id", isAuth, manageCourse, deleteLecture);
+router.post("/course/:id/section", isAuth, manageCourse, createSection);
+router.put("/section/:id", isAuth, manageCourse, updateSection);
+router.delete("/section/:id", isAuth, manageCourse, deleteSection);
+router.put("/course/:id/reorder", isAuth, manageCourse, reorderCourse);
+router.get("/stats", isAuth, viewStats, getAllStats);
+router.get("/ai-usage", isAuth, manageAI, getAIUsage);
+router.put("/user/:id/ai-quota", isAuth, manageAI, updateAIQuota);
+router.put("/user/:id", isAuth, requirePermission("user:manage"), updateRole);
+router.get("/users", isAuth, requirePermission("user:view"), getAllUser);
+router.post("/order/:id/refund", isAuth, requirePermission("payment:refund"), refundOrder);
 
 export default router;
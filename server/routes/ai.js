@@ -1,10 +1,35 @@
 import express from "express";
-import { generateCourse, saveCourse } from "../controllers/aiController.js";
-import { isAuth } from "../middlewares/isAuth.js";
+import {
+  deleteDraft,
+  generateCourse,
+  generateCourseStream,
+  generateLessons,
+  generateQuiz,
+  getDraft,
+  getMyQuota,
+  getMyDrafts,
+  publishDraft,
+  regenerateDraftModule,
+  saveCourse,
+  updateDraft,
+} from "../controllers/aiController.js";
+import { isAuth, requirePermission } from "../middlewares/isAuth.js";
+import { uploadImage } from "../middlewares/multer.js";
+import { aiQuota } from "../middlewares/aiQuota.js";
 
 const router = express.Router();
 
 router.post("/generate-course", isAuth, generateCourse);
+router.post("/generate-course/stream", isAuth, generateCourseStream);
 router.post("/save-course", isAuth, saveCourse);
+router.post("/generate-quiz", isAuth, aiQuota, generateQuiz);
+router.post("/course/:id/generate-lessons", isAuth, requirePermission("course:manage", "course:manage:any"), aiQuota, generateLessons);
+router.get("/ai-quota", isAuth, getMyQuota);
+router.get("/ai-drafts", isAuth, getMyDrafts);
+router.get("/ai-draft/:id", isAuth, getDraft);
+router.put("/ai-draft/:id", isAuth, uploadImage, updateDraft);
+router.post("/ai-draft/:id/module/:index/regenerate", isAuth, aiQuota, regenerateDraftModule);
+router.post("/ai-draft/:id/publish", isAuth, requirePermission("course:create"), publishDraft);
+router.delete("/ai-draft/:id", isAuth, deleteDraft);
 
 export default router;
\ No newline at end of file
@@ -4,9 +4,14 @@ import {
   getSingleCourse,
   fetchLectures,
   fetchLecture,
+  getStreamUrl,
+  streamLecture,
+  streamHls,
   getMyCourses,
   checkout,
+  enrollFree,
   paymentVerification,
+  getMyOrders,
 } from "../controllers/course.js";
 import { isAuth } from "../middlewares/isAuth.js";
 
@@ -16,8 +21,13 @@ router.get("/course/all", getAllCourses);
 router.get("/course/:id", getSingleCourse);
 router.get("/lectures/:id", isAuth, fetchLectures);
 router.get("/lecture/:id", isAuth, fetchLecture);
+router.get("/lecture/:id/stream-url", isAuth, getStreamUrl);
+router.get("/lecture/:id/stream", streamLecture);
+router.get("/lecture/:id/hls/*", streamHls);
 router.get("/mycourse", isAuth, getMyCourses);
+router.get("/myorders", isAuth, getMyOrders);
 router.post("/course/checkout/:id", isAuth, checkout);
+router.post("/course/enroll/:id", isAuth, enrollFree);
 router.post("/verification/:id", isAuth, paymentVerification);
 
 export default router;
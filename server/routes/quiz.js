@@ -0,0 +1,25 @@
+import express from "express";
+import { isAuth, requirePermission } from "../middlewares/isAuth.js";
+import {
+  createQuiz,
+  deleteQuiz,
+  getCourseQuizzes,
+  getMyAttempts,
+  getQuiz,
+  submitQuizAttempt,
+  updateQuiz,
+} from "../controllers/quiz.js";
+
+const router = express.Router();
+
+const manageCourse = requirePermission("course:manage", "course:manage:any");
+
+router.post("/course/:id/quiz", isAuth, manageCourse, createQuiz);
+router.put("/quiz/:id", isAuth, manageCourse, updateQuiz);
+router.delete("/quiz/:id", isAuth, manageCourse, deleteQuiz);
+router.get("/quizzes/:id", isAuth, getCourseQuizzes);
+router.get("/quiz/:id", isAuth, getQuiz);
+router.post("/quiz/:id/attempt", isAuth, submitQuizAttempt);
+router.get("/quiz/:id/attempts", isAuth, getMyAttempts);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from "express";
+import { isAuth, requirePermission } from "../middlewares/isAuth.js";
+import { getRoles, updateRolePermissions } from "../controllers/role.js";
+
+const router = express.Router();
+
+router.get("/roles", isAuth, requirePermission("role:manage"), getRoles);
+router.put(
+  "/role/:name",
+  isAuth,
+  requirePermission("role:manage"),
+  updateRolePermissions
+);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from "express";
+import { isAuth } from "../middlewares/isAuth.js";
+import { aiQuota } from "../middlewares/aiQuota.js";
+import {
+  askTutor,
+  clearTutorChat,
+  getTutorChat,
+} from "../controllers/tutor.js";
+
+const router = express.Router();
+
+router.get("/lecture/:id/tutor", isAuth, getTutorChat);
+router.post("/lecture/:id/tutor", isAuth, aiQuota, askTutor);
+router.delete("/lecture/:id/tutor", isAuth, clearTutorChat);
+
+export default router;
@@ -1,23 +1,115 @@
 import express from "express";
 import {
   forgotPassword,
+  getSessions,
+  loginOAuth,
+  loginTwoFactor,
   loginUser,
+  logoutUser,
   myProfile,
+  refreshToken,
   register,
   resetPassword,
+  revokeOtherSessions,
+  revokeSession,
   verifyUser,
 } from "../controllers/user.js";
+import {
+  getOAuthProviders,
+  oauthCallback,
+  startOAuth,
+} from "../controllers/oauth.js";
+import {
+  cancelDeletion,
+  downloadExport,
+  getExport,
+  requestDeletion,
+  requestExport,
+} from "../controllers/account.js";
+import {
+  changePassword,
+  requestEmailChange,
+  updateProfile,
+  verifyEmailChange,
+} from "../controllers/profile.js";
+import {
+  disableTwoFactor,
+  enableTwoFactor,
+  getTwoFactor,
+  regenerateRecoveryCodes,
+  setupTwoFactor,
+} from "../controllers/twoFactor.js";
 import { isAuth } from "../middlewares/isAuth.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
+import { uploadImage } from "../middlewares/multer.js";
 import { addProgress, getYourProgress } from "../controllers/course.js";
 
 const router = express.Router();
 
-router.post("/user/register", register);
-router.post("/user/verify", verifyUser);
-router.post("/user/login", loginUser);
+// per logged in user
+const accountLimit = (name, fallback) =>
+  rateLimit(name, fallback, (req) => req.user._id);
+
+// per IP unless a key is given, each can be changed with Rate_Limit_<name>
+const registerLimit = rateLimit("Register", { max: 10, seconds: 3600 });
+const verifyLimit = rateLimit("Verify", { max: 20, seconds: 900 });
+const loginLimit = rateLimit("Login", { max: 20, seconds: 900 });
+const refreshLimit = rateLimit("Refresh", { max: 60, seconds: 900 });
+const forgotLimit = rateLimit("Forgot", { max: 5, seconds: 900 });
+const forgotAccountLimit = rateLimit(
+  "Forgot_Account",
+  { max: 3, seconds: 3600 },
+  (req) => req.body.email
+);
+const resetLimit = rateLimit("Reset", { max: 10, seconds: 900 });
+// endpoints that check a code of the logged in user's authenticator
+const twoFactorLimit = accountLimit("Two_Factor", { max: 10, seconds: 900 });
+const passwordLimit = accountLimit("Password_Change", {
+  max: 5,
+  seconds: 900,
+});
+const emailLimit = accountLimit("Email_Change", { max: 5, seconds: 3600 });
+const exportLimit = accountLimit("Data_Export", { max: 3, seconds: 86400 });
+const deletionLimit = accountLimit("Account_Deletion", {
+  max: 5,
+  seconds: 900,
+});
+
+router.post("/user/register", registerLimit, register);
+router.post("/user/verify", verifyLimit, verifyUser);
+router.post("/user/login", loginLimit, loginUser);
+router.post("/user/login/2fa", loginLimit, loginTwoFactor);
+router.post("/user/login/oauth", loginLimit, loginOAuth);
+router.get("/user/oauth/providers", getOAuthProviders);
+router.get("/user/oauth/:provider", loginLimit, startOAuth);
+router.get("/user/oauth/:provider/callback", oauthCallback);
+router.post("/user/refresh", refreshLimit, refreshToken);
+router.post("/user/logout", isAuth, logoutUser);
 router.get("/user/me", isAuth, myProfile);
-router.post("/user/forgot", forgotPassword);
-router.post("/user/reset", resetPassword);
+router.put("/user/me", isAuth, uploadImage, updateProfile);
+router.put("/user/password", isAuth, passwordLimit, changePassword);
+router.post("/user/email", isAuth, emailLimit, requestEmailChange);
+router.post("/user/email/verify", isAuth, emailLimit, verifyEmailChange);
+router.post("/user/export", isAuth, exportLimit, requestExport);
+router.get("/user/export", isAuth, getExport);
+router.get("/user/export/:id/download", isAuth, downloadExport);
+router.post("/user/deletion", isAuth, deletionLimit, requestDeletion);
+router.delete("/user/deletion", isAuth, cancelDeletion);
+router.get("/user/sessions", isAuth, getSessions);
+router.delete("/user/sessions", isAuth, revokeOtherSessions);
+router.delete("/user/session/:id", isAuth, revokeSession);
+router.get("/user/2fa", isAuth, getTwoFactor);
+router.post("/user/2fa/setup", isAuth, setupTwoFactor);
+router.post("/user/2fa/enable", isAuth, twoFactorLimit, enableTwoFactor);
+router.post("/user/2fa/disable", isAuth, twoFactorLimit, disableTwoFactor);
+router.post(
+  "/user/2fa/recovery-codes",
+  isAuth,
+  twoFactorLimit,
+  regenerateRecoveryCodes
+);
+router.post("/user/forgot", forgotLimit, forgotAccountLimit, forgotPassword);
+router.post("/user/reset", resetLimit, resetPassword);
 router.post("/user/progress", isAuth, addProgress);
 router.get("/user/progress", isAuth, getYourProgress);
 
@@ -0,0 +1,14 @@
+import express from "express";
+import { paymentWebhook } from "../controllers/webhook.js";
+
+const router = express.Router();
+
+// the signature is over the exact bytes sent, so the body stays raw. Mounted
+// before express.json() in index.js.
+router.post(
+  "/webhooks/:provider",
+  express.raw({ type: "application/json" }),
+  paymentWebhook
+);
+
+export default router;
@@ -0,0 +1,179 @@
+// Local OpenID Connect provider for trying social login without a real one.
+//
+//   npm run mock:oidc
+//
+// and start the API with
+//   OAuth_Providers=mock
+//   OAuth_Mock_Issuer=http://localhost:5055
+//   OAuth_Mock_Client_Id=e-learning
+//   OAuth_Mock_Label=Mock OIDC
+//
+// The login page lets you pick any email, so linking and new accounts can be
+// tried. Codes, PKCE and nonces are checked like a real provider does.
+import express from "express";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+const port = Number(process.env.Mock_Oidc_Port) || 5055;
+const issuer = `http://localhost:${port}`;
+const kid = "mock-key";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+
+// authorization codes and access tokens, in memory only
+const codes = new Map();
+const accessTokens = new Map();
+
+const escape = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: "jwk" }), kid, alg: "RS256" }],
+  });
+});
+
+app.get("/authorize", (req, res) => {
+  const { client_id, redirect_uri, code_challenge, code_challenge_method } =
+    req.query;
+
+  if (!client_id || !redirect_uri)
+    return res.status(400).send("client_id and redirect_uri are required");
+
+  if (!code_challenge || code_challenge_method !== "S256")
+    return res.status(400).send("PKCE with S256 is required");
+
+  const hidden = Object.entries(req.query)
+    .map(
+      ([name, value]) =>
+        `<input type="hidden" name="${escape(name)}" value="${escape(value)}">`
+    )
+    .join("");
+
+  res.send(`<!doctype html>
+<title>Mock OIDC login</title>
+<form method="post" action="/authorize" style="font-family:sans-serif;max-width:320px;margin:60px auto;display:grid;gap:10px">
+  <h2>Mock OIDC login</h2>
+  ${hidden}
+  <label>Email <input name="email" value="${escape(
+    process.env.Mock_Oidc_Email || "learner@example.com"
+  )}"></label>
+  <label>Name <input name="name" value="Mock Learner"></label>
+  <label><input type="checkbox" name="verified" checked> Email verified</label>
+  <button name="decision" value="allow">Sign in</button>
+  <button name="decision" value="deny">Cancel</button>
+</form>`);
+});
+
+app.post("/authorize", (req, res) => {
+  const { redirect_uri, state, decision } = req.body;
+  const back = new URL(redirect_uri);
+
+  if (state) back.searchParams.set("state", state);
+
+  if (decision !== "allow") {
+    back.searchParams.set("error", "access_denied");
+    back.searchParams.set("error_description", "Login was cancelled");
+    return res.redirect(back.toString());
+  }
+
+  const code = base64url(crypto.randomBytes(16));
+
+  codes.set(code, {
+    clientId: req.body.client_id,
+    redirectUri: redirect_uri,
+    challenge: req.body.code_challenge,
+    nonce: req.body.nonce,
+    scope: req.body.scope,
+    email: req.body.email,
+    name: req.body.name,
+    verified: req.body.verified === "on",
+    expiresAt: Date.now() + 60 * 1000,
+  });
+
+  back.searchParams.set("code", code);
+  res.redirect(back.toString());
+});
+
+const profile = (grant) => ({
+  // the same email always gets the same subject
+  sub: crypto
+    .createHash("sha256")
+    .update(grant.email)
+    .digest("hex")
+    .slice(0, 24),
+  email: grant.email,
+  email_verified: grant.verified,
+  name: grant.name,
+});
+
+app.post("/token", (req, res) => {
+  const { code, client_id, redirect_uri, code_verifier } = req.body;
+  const grant = codes.get(code);
+
+  // a code works once
+  codes.delete(code);
+
+  const challenge =
+    code_verifier &&
+    base64url(crypto.createHash("sha256").update(code_verifier).digest());
+
+  if (
+    !grant ||
+    grant.expiresAt < Date.now() ||
+    grant.clientId !== client_id ||
+    grant.redirectUri !== redirect_uri ||
+    grant.challenge !== challenge
+  )
+    return res.status(400).json({ error: "invalid_grant" });
+
+  const accessToken = base64url(crypto.randomBytes(24));
+  accessTokens.set(accessToken, grant);
+
+  res.json({
+    token_type: "Bearer",
+    access_token: accessToken,
+    expires_in: 300,
+    id_token: jwt.sign({ ...profile(grant), nonce: grant.nonce }, privateKey, {
+      algorithm: "RS256",
+      keyid: kid,
+      issuer,
+      audience: client_id,
+      expiresIn: "5m",
+    }),
+  });
+});
+
+app.get("/userinfo", (req, res) => {
+  const token = (req.get("authorization") || "").replace(/^Bearer /i, "");
+  const grant = accessTokens.get(token);
+
+  if (!grant) return res.status(401).json({ error: "invalid_token" });
+
+  res.json(profile(grant));
+});
+
+app.listen(port, () => {
+  console.log(`Mock OIDC provider is running on ${issuer}`);
+});
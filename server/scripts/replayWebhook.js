@@ -0,0 +1,73 @@
+// Sends a recorded Razorpay webhook to the local API, signed like Razorpay
+// signs it, to try the webhook without a real payment.
+//
+//   npm run webhook:replay -- payment.captured --order order_XXX --amount 50000
+//
+// The event name picks fixtures/razorpay/<event>.json. --order, --payment and
+// --amount replace the ids and amount in it so they match an Order created by
+// checkout. Razorpay_Webhook_Secret and PORT come from .env.
+import axios from "axios";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { readFileSync } from "fs";
+
+dotenv.config();
+
+const [event, ...args] = process.argv.slice(2);
+
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+if (!event) {
+  console.log("Usage: npm run webhook:replay -- <event> [--order id] ...");
+  process.exit(1);
+}
+
+const secret = process.env.Razorpay_Webhook_Secret;
+
+if (!secret) {
+  console.log("Razorpay_Webhook_Secret is not set");
+  process.exit(1);
+}
+
+const fixture = JSON.parse(
+  readFileSync(new URL(`../fixtures/razorpay/${event}.json`, import.meta.url))
+);
+
+const { payment, refund } = fixture.payload;
+const orderId = option("order");
+const paymentId = option("payment");
+const amount = option("amount") && Number(option("amount"));
+
+if (payment && orderId) payment.entity.order_id = orderId;
+if (payment && paymentId) payment.entity.id = paymentId;
+if (payment && amount) payment.entity.amount = amount;
+if (refund && paymentId) refund.entity.payment_id = paymentId;
+if (refund && amount) refund.entity.amount = amount;
+
+const body = JSON.stringify(fixture);
+
+const signature = crypto
+  .createHmac("sha256", secret)
+  .update(body)
+  .digest("hex");
+
+const url =
+  option("url") ||
+  `http://localhost:${process.env.PORT || 5000}/api/webhooks/razorpay`;
+
+try {
+  const { status, data } = await axios.post(url, body, {
+    headers: {
+      "Content-Type": "application/json",
+      "X-Razorpay-Signature": signature,
+      "X-Razorpay-Event-Id": `evt_replay_${Date.now()}`,
+    },
+  });
+
+  console.log(status, data);
+} catch (error) {
+  console.log(error.response?.status, error.response?.data || error.message);
+}
@@ -0,0 +1,78 @@
+import { rm } from "fs";
+import { AICourse } from "../models/AICourse.js";
+import { AIUsage } from "../models/AIUsage.js";
+import { Courses } from "../models/Courses.js";
+import { Lecture } from "../models/Lecture.js";
+import { Order } from "../models/Order.js";
+import { Payment } from "../models/Payment.js";
+import { Progress } from "../models/Progress.js";
+import { QuizAttempt } from "../models/QuizAttempt.js";
+import { Session } from "../models/Session.js";
+import { TutorChat } from "../models/TutorChat.js";
+import { User } from "../models/User.js";
+import { removeExports } from "./dataExport.js";
+
+// days between asking for the deletion and the data being removed
+export const deletionGraceDays = () =>
+  Number(process.env.Account_Deletion_Days) || 14;
+
+// courses outlive their owner, they have to be handed over first
+export const ownsCourses = (userId) => Courses.exists({ createdBy: userId });
+
+// Removes the user and everything personal. Orders, payments and the AI usage
+// ledger are kept for accounting without the link to the user.
+export const deleteAccount = async (user) => {
+  await Order.updateMany(
+    { user: user._id },
+    { user: null, anonymizedAt: new Date() }
+  );
+  await Payment.updateMany(
+    { user: user._id },
+    { user: null, anonymizedAt: new Date() }
+  );
+  await AIUsage.updateMany({ user: user._id }, { user: null });
+  await Lecture.updateMany(
+    { lessonRequestedBy: user._id },
+    { lessonRequestedBy: null }
+  );
+
+  await Promise.all([
+    Progress.deleteMany({ user: user._id }),
+    QuizAttempt.deleteMany({ user: user._id }),
+    TutorChat.deleteMany({ user: user._id }),
+    Session.deleteMany({ user: user._id }),
+  ]);
+
+  const drafts = await AICourse.find({ createdBy: user._id });
+
+  // a published course still uses the image, like deleteDraft
+  drafts.forEach((draft) => {
+    if (draft.status === "draft" && draft.image !== "default_course.jpg")
+      rm(draft.image, () => {});
+  });
+
+  await AICourse.deleteMany({ createdBy: user._id });
+  await removeExports({ user: user._id });
+
+  if (user.avatar) rm(user.avatar, () => {});
+
+  await User.deleteOne({ _id: user._id });
+};
+
+// deletes the accounts whose grace period is over
+export const processDeletions = async () => {
+  const users = await User.find({ deletionScheduledFor: { $lte: new Date() } });
+
+  for (const user of users) {
+    try {
+      if (await ownsCourses(user._id)) {
+        console.log(`Account ${user._id} still owns courses, not deleted`);
+        continue;
+      }
+
+      await deleteAccount(user);
+    } catch (error) {
+      console.log("Account deletion failed:", error.message);
+    }
+  }
+};
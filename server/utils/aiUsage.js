@@ -0,0 +1,129 @@
+import { AICourseCache } from "../models/AICourseCache.js";
+import { AIUsage } from "../models/AIUsage.js";
+
+// 0 means unlimited. AI_DAILY_QUOTA_<ROLE> overrides the default of a role,
+// a user's own aiDailyQuota overrides both.
+const defaultQuotas = { user: 20, instructor: 100, admin: 0 };
+
+// Collects provider, tokens and timing over all calls of one request. Passed
+// to generateText/streamText as the meter option.
+export const createMeter = () => ({
+  startedAt: Date.now(),
+  calls: 0,
+  provider: "",
+  model: "",
+  promptTokens: 0,
+  completionTokens: 0,
+  record(result) {
+    this.calls += 1;
+    this.provider = result.provider;
+    this.model = result.model || "";
+    this.promptTokens += result.usage?.promptTokens || 0;
+    this.completionTokens += result.usage?.completionTokens || 0;
+  },
+});
+
+// Ledger writes never fail the request they describe
+export const recordUsage = async (meter, { user, feature, status, error }) => {
+  try {
+    await AIUsage.create({
+      user: user ? user._id : null,
+      feature,
+      status,
+      provider: meter.provider,
+      model: meter.model,
+      calls: meter.calls,
+      promptTokens: meter.promptTokens,
+      completionTokens: meter.completionTokens,
+      latencyMs: Date.now() - meter.startedAt,
+      error: error ? String(error.message || error).slice(0, 500) : "",
+    });
+  } catch (err) {
+    console.log("Failed to record AI usage:", err.message);
+  }
+};
+
+export const dailyQuota = (user) => {
+  if (user.aiDailyQuota !== null && user.aiDailyQuota !== undefined)
+    return user.aiDailyQuota;
+
+  const role = user.role in defaultQuotas ? user.role : "user";
+  const fromEnv = process.env[`AI_DAILY_QUOTA_${role.toUpperCase()}`];
+
+  return fromEnv !== undefined ? Number(fromEnv) : defaultQuotas[role];
+};
+
+const startOfDay = () => {
+  const date = new Date();
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+// Cached answers are free, everything else counts, failed calls included
+export const getQuota = async (user) => {
+  const limit = dailyQuota(user);
+
+  const used = await AIUsage.countDocuments({
+    user: user._id,
+    status: { $ne: "cached" },
+    createdAt: { $gte: startOfDay() },
+  });
+
+  return {
+    limit,
+    used,
+    remaining: limit ? Math.max(0, limit - used) : null,
+    allowed: !limit || used < limit,
+  };
+};
+
+export const quotaMessage = (quota) =>
+  `Daily AI limit of ${quota.limit} requests reached, try again tomorrow`;
+
+// Requests that run several AI calls (a quiz per module, a lesson per lecture)
+// count every call, the whole batch has to fit in what is left
+export const quotaCovers = (quota, count) =>
+  !quota.limit || quota.remaining >= count;
+
+export const batchQuotaMessage = (quota, count) =>
+  `This needs ${count} AI requests, ${quota.remaining} of your daily ${quota.limit} are left`;
+
+export const courseCacheKey = ({ courseName, duration, difficulty }) =>
+  [
+    String(courseName).trim().toLowerCase().replace(/\s+/g, " "),
+    Number(duration),
+    difficulty,
+  ].join("|");
+
+const cacheTtlHours = () => Number(process.env.AI_CACHE_TTL_HOURS ?? 168);
+
+export const getCachedCourse = async (key) => {
+  if (!cacheTtlHours()) return null;
+
+  const entry = await AICourseCache.findOneAndUpdate(
+    { key, expiresAt: { $gt: new Date() } },
+    { $inc: { hits: 1 } }
+  );
+
+  return entry ? entry.course : null;
+};
+
+export const cacheCourse = async (key, course) => {
+  const hours = cacheTtlHours();
+  if (!hours) return;
+
+  try {
+    await AICourseCache.updateOne(
+      { key },
+      {
+        course,
+        hits: 0,
+        createdAt: new Date(),
+        expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.log("Failed to cache AI course:", error.message);
+  }
+};
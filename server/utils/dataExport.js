@@ -0,0 +1,180 @@
+import archiver from "archiver";
+import { createWriteStream, existsSync, mkdirSync, rm } from "fs";
+import path from "path";
+import { AICourse } from "../models/AICourse.js";
+import { AIUsage } from "../models/AIUsage.js";
+import { DataExport } from "../models/DataExport.js";
+import { Order } from "../models/Order.js";
+import { Payment } from "../models/Payment.js";
+import { Progress } from "../models/Progress.js";
+import { QuizAttempt } from "../models/QuizAttempt.js";
+import { Session } from "../models/Session.js";
+import { TutorChat } from "../models/TutorChat.js";
+import { User } from "../models/User.js";
+
+const exportDir = "exports";
+
+// downloads stay available for Data_Export_Days (default 7)
+const keepMs = () =>
+  (Number(process.env.Data_Export_Days) || 7) * 24 * 60 * 60 * 1000;
+
+// Everything stored about the user, without secrets such as password hashes,
+// 2FA secrets or refresh token hashes
+const collectData = async (userId) => {
+  const user = await User.findById(userId)
+    .select("-password -resetPasswordExpire")
+    .populate("subscription", "title");
+
+  const [
+    progress,
+    orders,
+    payments,
+    quizAttempts,
+    tutorChats,
+    aiCourses,
+    aiUsage,
+    sessions,
+  ] = await Promise.all([
+    Progress.find({ user: userId })
+      .populate("course", "title")
+      .populate("completedLectures", "title"),
+    Order.find({ user: userId }).populate("course", "title"),
+    Payment.find({ user: userId })
+      .select("-signature")
+      .populate("course", "title price"),
+    QuizAttempt.find({ user: userId }).populate("quiz", "title"),
+    TutorChat.find({ user: userId }).populate("lecture", "title"),
+    AICourse.find({ createdBy: userId }),
+    AIUsage.find({ user: userId }).select("-user"),
+    Session.find({ user: userId }).select(
+      "userAgent ip createdAt lastUsedAt revokedAt"
+    ),
+  ]);
+
+  return {
+    user,
+    progress,
+    orders,
+    payments,
+    quizAttempts,
+    tutorChats,
+    aiCourses,
+    aiUsage,
+    sessions,
+  };
+};
+
+const writeArchive = (file, data, avatar) =>
+  new Promise((resolve, reject) => {
+    const output = createWriteStream(file);
+    const archive = archiver("zip", { zlib: { level: 9 } });
+
+    output.on("close", () => resolve(archive.pointer()));
+    archive.on("error", reject);
+    archive.pipe(output);
+
+    archive.append(
+      "Your personal data, one JSON file per kind of record.\n" +
+        "data.json holds all of them together.\n",
+      { name: "README.txt" }
+    );
+    archive.append(JSON.stringify(data, null, 2), { name: "data.json" });
+
+    Object.entries(data).forEach(([name, records]) =>
+      archive.append(JSON.stringify(records, null, 2), {
+        name: `${name}.json`,
+      })
+    );
+
+    if (avatar && existsSync(avatar))
+      archive.file(avatar, { name: `avatar${path.extname(avatar)}` });
+
+    archive.finalize();
+  });
+
+export const buildExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: "pending" },
+    { status: "processing", error: "" },
+    { new: true }
+  );
+
+  if (!dataExport) return;
+
+  try {
+    mkdirSync(exportDir, { recursive: true });
+
+    const data = await collectData(dataExport.user);
+    const file = path.join(exportDir, `${dataExport._id}.zip`);
+    const size = await writeArchive(file, data, data.user?.avatar);
+
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      {
+        status: "ready",
+        file,
+        size,
+        expiresAt: new Date(Date.now() + keepMs()),
+      }
+    );
+  } catch (error) {
+    console.log("Data export failed:", error.message);
+
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { status: "failed", error: error.message }
+    );
+  }
+};
+
+// Single worker queue like lesson generation, archives are built one by one
+const queue = [];
+let running = false;
+
+const processNext = async () => {
+  if (running) return;
+
+  const exportId = queue.shift();
+  if (!exportId) return;
+
+  running = true;
+
+  try {
+    await buildExport(exportId);
+  } catch (error) {
+    console.log(error);
+  }
+
+  running = false;
+  processNext();
+};
+
+export const enqueueExport = (exportId) => {
+  const id = exportId.toString();
+
+  if (!queue.includes(id)) queue.push(id);
+
+  processNext();
+};
+
+export const removeExports = async (filter) => {
+  const exports = await DataExport.find(filter);
+
+  exports.forEach((dataExport) => {
+    if (dataExport.file) rm(dataExport.file, () => {});
+  });
+
+  await DataExport.deleteMany({
+    _id: { $in: exports.map((dataExport) => dataExport._id) },
+  });
+};
+
+// expired archives are removed, unfinished ones from before a restart resume
+export const resumeExports = async () => {
+  await removeExports({ expiresAt: { $lt: new Date() } });
+
+  await DataExport.updateMany({ status: "processing" }, { status: "pending" });
+
+  const pending = await DataExport.find({ status: "pending" }).select("_id");
+  pending.forEach((dataExport) => enqueueExport(dataExport._id));
+};
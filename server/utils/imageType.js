@@ -0,0 +1,69 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+// extensions a client may name an image with, keyed by the type they claim
+const extensions = {
+  png: ["png"],
+  jpg: ["jpg", "jpeg"],
+  webp: ["webp"],
+};
+
+export const imageExtensions = Object.values(extensions).flat();
+
+export const imageTypeMessage = "Image must be a PNG, JPEG or WebP file";
+
+const signatures = [
+  {
+    type: "png",
+    matches: (b) =>
+      b
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    type: "jpg",
+    matches: (b) => b.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  },
+  {
+    type: "webp",
+    matches: (b) =>
+      b.subarray(0, 4).toString("latin1") === "RIFF" &&
+      b.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+];
+
+// Returns the image type ("png", "jpg" or "webp") when both the uploaded
+// name and the file's leading bytes agree on it, otherwise null. The
+// client's mimetype is never consulted.
+export const detectImageType = async (file) => {
+  const ext = path
+    .extname(file.originalname || "")
+    .slice(1)
+    .toLowerCase();
+
+  const handle = await fs.open(file.path, "r");
+  const head = Buffer.alloc(12);
+
+  try {
+    await handle.read(head, 0, head.length, 0);
+  } finally {
+    await handle.close();
+  }
+
+  const match = signatures.find((s) => s.matches(head));
+
+  if (!match || !extensions[match.type].includes(ext)) return null;
+
+  return match.type;
+};
+
+// Moves the upload so its extension comes from the detected type rather
+// than the client-supplied name. Resolves to the new path.
+export const renameToType = async (file, type) => {
+  const parsed = path.parse(file.path);
+  const target = path.join(parsed.dir, `${parsed.name}.${type}`);
+
+  if (target !== file.path) await fs.rename(file.path, target);
+
+  return target;
+};
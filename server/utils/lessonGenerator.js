@@ -0,0 +1,206 @@
+import { Courses } from "../models/Courses.js";
+import { Lecture } from "../models/Lecture.js";
+import { Section } from "../models/Section.js";
+import { generateText } from "./llm/index.js";
+import { createMeter, recordUsage } from "./aiUsage.js";
+
+const minLength = 400;
+const requiredHeadings = ["## Examples", "## Exercises"];
+
+const buildPrompt = ({ course, section, lecture }) => {
+  const module = section ? `, module "${section.title}"` : "";
+  const moduleDescription =
+    section && section.description
+      ? `Module description: ${section.description}\n`
+      : "";
+
+  return `Write a lesson for the course "${course.title}"${module}, on the topic "${lecture.title}".
+
+Course description: ${course.description}
+${moduleDescription}
+Write the lesson in Markdown with exactly these sections:
+## Overview - what the learner will be able to do after the lesson
+## Explanation - the concepts, step by step
+## Examples - worked examples, use fenced code blocks for any code
+## Exercises - 2-4 exercises for the learner to try on their own
+## Summary - the key points as a short list
+
+Do not start with a "#" title, the lecture title is shown above the lesson.
+Do not use HTML. Return only the Markdown lesson.`;
+};
+
+// offline lesson for the mock provider, same output for the same topic
+const mockLesson = ({ course, section, lecture }) => `## Overview
+
+This lesson introduces **${lecture.title}** as part of ${
+  section ? section.title : course.title
+}. By the end you will be able to explain the idea in your own words and apply it to a small problem.
+
+## Explanation
+
+1. Start from the problem ${lecture.title} solves and where it shows up in practice.
+2. Learn the core vocabulary and how the pieces relate to each other.
+3. Walk through the usual workflow step by step before looking at edge cases.
+
+## Examples
+
+A typical first use of ${lecture.title} is a small, self contained task: describe the input, apply the technique, then check the result against what you expected.
+
+## Exercises
+
+1. Summarise ${lecture.title} in three sentences.
+2. Find one real world situation where ${lecture.title} applies and describe it.
+3. Repeat the example above with your own input and compare the results.
+
+## Summary
+
+- ${lecture.title} is a building block of ${course.title}.
+- Practice on small examples before moving on to bigger ones.
+`;
+
+// models like to wrap the whole answer in a ```markdown fence
+const cleanLesson = (text) =>
+  String(text || "")
+    .trim()
+    .replace(/^```(?:markdown|md)?\s*\n([\s\S]*?)\n```$/i, "$1")
+    .trim();
+
+export const validateLesson = (text) => {
+  const errors = [];
+
+  if (text.length < minLength)
+    errors.push(`must be at least ${minLength} characters long`);
+
+  requiredHeadings.forEach((heading) => {
+    if (!text.includes(heading)) errors.push(`must have a "${heading}" section`);
+  });
+
+  return errors;
+};
+
+// Generates the markdown lesson of one lecture, invalid output is sent back to
+// the model with the errors, like course outlines.
+export const generateLesson = async (lecture, meter) => {
+  const course = await Courses.findById(lecture.course);
+  if (!course) throw new Error("Course not found");
+
+  const section = lecture.section
+    ? await Section.findById(lecture.section)
+    : null;
+
+  const context = { course, section, lecture };
+  const prompt = buildPrompt(context);
+  const repairAttempts = Number(process.env.AI_REPAIR_ATTEMPTS ?? 2);
+
+  let currentPrompt = prompt;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= repairAttempts; attempt++) {
+    const { text } = await generateText(currentPrompt, {
+      mock: () => mockLesson(context),
+      meter,
+    });
+
+    const lesson = cleanLesson(text);
+    errors = validateLesson(lesson);
+
+    if (errors.length === 0) return lesson;
+
+    currentPrompt = `${prompt}
+
+Your previous lesson was:
+${lesson}
+
+It is invalid because it ${errors.join(", ")}.
+
+Return the corrected lesson only.`;
+  }
+
+  throw new Error(`Lesson ${errors.join(", ")}`);
+};
+
+// Single worker queue, like transcoding. One lesson at a time keeps the AI
+// provider's rate limits out of the way.
+const queue = [];
+let running = false;
+
+const processNext = async () => {
+  if (running) return;
+
+  const lectureId = queue.shift();
+  if (!lectureId) return;
+
+  running = true;
+
+  try {
+    const lecture = await Lecture.findOneAndUpdate(
+      { _id: lectureId, type: "text", processingStatus: "pending" },
+      { processingStatus: "processing", processingError: "" },
+      { new: true }
+    ).populate("lessonRequestedBy", "_id");
+
+    if (lecture) {
+      const meter = createMeter();
+
+      // a manual edit while generating resets the status and wins
+      try {
+        const content = await generateLesson(lecture, meter);
+        await recordUsage(meter, {
+          user: lecture.lessonRequestedBy,
+          feature: "lesson",
+          status: "success",
+        });
+
+        await Lecture.updateOne(
+          { _id: lectureId, type: "text", processingStatus: "processing" },
+          { content, processingStatus: "ready" }
+        );
+      } catch (error) {
+        console.log("Lesson generation failed:", error.message);
+        await recordUsage(meter, {
+          user: lecture.lessonRequestedBy,
+          feature: "lesson",
+          status: "error",
+          error,
+        });
+
+        await Lecture.updateOne(
+          { _id: lectureId, type: "text", processingStatus: "processing" },
+          { processingStatus: "failed", processingError: error.message }
+        );
+      }
+    }
+  } catch (error) {
+    console.log(error);
+  }
+
+  running = false;
+  processNext();
+};
+
+export const enqueueLesson = (lectureId) => {
+  const id = lectureId.toString();
+
+  if (!queue.includes(id)) queue.push(id);
+
+  processNext();
+};
+
+// picks up lessons that were queued or generating when the server stopped
+export const resumeLessons = async () => {
+  const lectures = await Lecture.find({
+    type: "text",
+    processingStatus: { $in: ["pending", "processing"] },
+  }).select("_id");
+
+  // a lesson cut off mid generation starts over
+  await Lecture.updateMany(
+    {
+      _id: { $in: lectures.map((lecture) => lecture._id) },
+      processingStatus: "processing",
+    },
+    { processingStatus: "pending" }
+  );
+
+  lectures.forEach((lecture) => enqueueLesson(lecture._id));
+};
@@ -0,0 +1,33 @@
+// Errors raised by providers carry only a clean message, never the request
+// config, so logging them cannot leak API keys or auth headers.
+export class LLMError extends Error {
+  constructor(message, { provider, status, retryable = false } = {}) {
+    super(message);
+    this.name = "LLMError";
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// 429 and 5xx are worth another try, other HTTP errors are not
+export const isRetryableStatus = (status) =>
+  !status || status === 429 || status >= 500;
+
+export const fromAxiosError = (provider, error) => {
+  if (error instanceof LLMError) return error;
+
+  const status = error.response?.status;
+  const detail =
+    error.response?.data?.error?.message ||
+    (typeof error.response?.data?.error === "string"
+      ? error.response.data.error
+      : "") ||
+    error.code ||
+    "request failed";
+
+  return new LLMError(
+    `${provider} request failed${status ? ` (${status})` : ""}: ${detail}`,
+    { provider, status, retryable: isRetryableStatus(status) }
+  );
+};
@@ -0,0 +1,85 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { LLMError, isRetryableStatus } from "./LLMError.js";
+
+export const createGeminiProvider = () => {
+  const apiKey = process.env.GEMINI_API_KEY;
+  const model = process.env.GEMINI_MODEL || "gemini-pro";
+
+  const toLLMError = (error) => {
+    // the SDK puts the status in the message, e.g. "[429 Too Many Requests]"
+    const status =
+      Number(error.message?.match(/\[(\d{3})/)?.[1]) || undefined;
+
+    // SDK messages can include the request url, which carries the key
+    const message = String(error.message)
+      .split(apiKey)
+      .join("***")
+      .replace(/key=[^&\s]+/g, "key=***");
+
+    return new LLMError(`gemini request failed: ${message}`, {
+      provider: "gemini",
+      status,
+      retryable: isRetryableStatus(status),
+    });
+  };
+
+  const checkKey = () => {
+    if (!apiKey)
+      throw new LLMError("GEMINI_API_KEY is not configured", {
+        provider: "gemini",
+      });
+  };
+
+  return {
+    name: "gemini",
+    model,
+    async generate(prompt) {
+      checkKey();
+
+      try {
+        const genAI = new GoogleGenerativeAI(apiKey);
+        const result = await genAI
+          .getGenerativeModel({ model })
+          .generateContent(prompt);
+        const response = await result.response;
+
+        return {
+          text: response.text(),
+          usage: response.usageMetadata
+            ? {
+                promptTokens: response.usageMetadata.promptTokenCount,
+                completionTokens: response.usageMetadata.candidatesTokenCount,
+              }
+            : null,
+        };
+      } catch (error) {
+        throw toLLMError(error);
+      }
+    },
+    async stream(prompt, { signal, onToken } = {}) {
+      checkKey();
+
+      let text = "";
+
+      try {
+        const genAI = new GoogleGenerativeAI(apiKey);
+        const result = await genAI
+          .getGenerativeModel({ model })
+          .generateContentStream(prompt);
+
+        // the SDK cannot be aborted, stop reading instead
+        for await (const chunk of result.stream) {
+          if (signal?.aborted) break;
+
+          const token = chunk.text();
+          text += token;
+          if (onToken) onToken(token);
+        }
+
+        return { text, usage: null };
+      } catch (error) {
+        throw toLLMError(error);
+      }
+    },
+  };
+};
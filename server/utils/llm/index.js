@@ -0,0 +1,177 @@
+import { LLMError } from "./LLMError.js";
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createOllamaProvider } from "./ollama.js";
+import { createMockProvider } from "./mock.js";
+
+export { LLMError };
+
+const providers = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  ollama: createOllamaProvider,
+  mock: createMockProvider,
+};
+
+// AI_PROVIDER selects the vendor, each provider reads its own model/url env
+export const getProvider = (name = process.env.AI_PROVIDER || "gemini") => {
+  const factory = providers[name];
+
+  if (!factory) throw new LLMError(`Unknown AI provider "${name}"`);
+
+  return factory();
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const cancelled = (provider) =>
+  new LLMError("Generation cancelled", { provider: provider.name });
+
+// Runs one generation through the configured provider. Every try gets its own
+// timeout (AI_TIMEOUT_MS) and transient failures are retried with backoff up
+// to AI_MAX_RETRIES times. Pass a meter (utils/aiUsage.js) to add the call's
+// token usage to a request's ledger entry, and a signal to cancel it, a
+// cancelled generation is never retried.
+export const generateText = async (prompt, options = {}) => {
+  const provider = options.provider || getProvider();
+  const timeout = Number(process.env.AI_TIMEOUT_MS) || 30000;
+  const retries = Number(process.env.AI_MAX_RETRIES ?? 2);
+
+  let lastError;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (options.signal?.aborted) throw cancelled(provider);
+
+    const controller = new AbortController();
+    let timer;
+    let onAbort;
+
+    try {
+      const result = await Promise.race([
+        provider.generate(prompt, { ...options, signal: controller.signal }),
+        new Promise((resolve, reject) => {
+          onAbort = () => {
+            controller.abort();
+            reject(cancelled(provider));
+          };
+          options.signal?.addEventListener("abort", onAbort);
+
+          timer = setTimeout(() => {
+            controller.abort();
+            reject(
+              new LLMError(`${provider.name} timed out after ${timeout}ms`, {
+                provider: provider.name,
+                retryable: true,
+              })
+            );
+          }, timeout);
+        }),
+      ]);
+
+      const output = {
+        ...result,
+        provider: provider.name,
+        model: provider.model,
+        attempts: attempt + 1,
+      };
+
+      if (options.meter) options.meter.record(output);
+
+      return output;
+    } catch (error) {
+      if (options.signal?.aborted) throw cancelled(provider);
+
+      lastError =
+        error instanceof LLMError
+          ? error
+          : new LLMError(`${provider.name} failed: ${error.message}`, {
+              provider: provider.name,
+              retryable: true,
+            });
+
+      if (!lastError.retryable || attempt === retries) break;
+
+      await sleep(500 * 2 ** attempt);
+    } finally {
+      clearTimeout(timer);
+      options.signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  throw lastError;
+};
+
+// Streams one generation, calling onToken for every chunk. The timeout is an
+// idle timeout that restarts with every token, so long outputs are fine as
+// long as the model keeps producing. Providers without streaming support
+// deliver the whole text as a single token. Streams are not retried, tokens
+// already sent cannot be taken back.
+export const streamText = async (prompt, options = {}) => {
+  const provider = options.provider || getProvider();
+  const timeout = Number(process.env.AI_TIMEOUT_MS) || 30000;
+
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  options.signal?.addEventListener("abort", abort);
+
+  let timer;
+  let rejectIdle;
+  const idle = new Promise((resolve, reject) => (rejectIdle = reject));
+
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      controller.abort();
+      rejectIdle(
+        new LLMError(`${provider.name} stopped responding after ${timeout}ms`, {
+          provider: provider.name,
+          retryable: true,
+        })
+      );
+    }, timeout);
+  };
+
+  const onToken = (token) => {
+    touch();
+    if (options.onToken) options.onToken(token);
+  };
+
+  touch();
+
+  try {
+    const run = provider.stream
+      ? provider.stream(prompt, {
+          ...options,
+          signal: controller.signal,
+          onToken,
+        })
+      : provider
+          .generate(prompt, { ...options, signal: controller.signal })
+          .then((result) => {
+            onToken(result.text);
+            return result;
+          });
+
+    const result = await Promise.race([run, idle]);
+
+    // providers stop early on abort and return what they had so far
+    if (options.signal?.aborted) throw cancelled(provider);
+
+    const output = { ...result, provider: provider.name, model: provider.model };
+
+    if (options.meter) options.meter.record(output);
+
+    return output;
+  } catch (error) {
+    if (options.signal?.aborted) throw cancelled(provider);
+
+    throw error instanceof LLMError
+      ? error
+      : new LLMError(`${provider.name} failed: ${error.message}`, {
+          provider: provider.name,
+        });
+  } finally {
+    clearTimeout(timer);
+    options.signal?.removeEventListener("abort", abort);
+  }
+};
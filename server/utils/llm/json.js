@@ -0,0 +1,93 @@
+// Pulls the first complete JSON object out of model output. Handles plain
+// JSON, ```json fences and prose around the object without the greedy regex
+// problem of swallowing everything up to the last "}".
+export const extractJson = (text) => {
+  const source = String(text || "").trim();
+
+  try {
+    return JSON.parse(source);
+  } catch (error) {
+    // fall through to scanning
+  }
+
+  const fenced = source.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    try {
+      return JSON.parse(fenced[1]);
+    } catch (error) {
+      // fall through to scanning
+    }
+  }
+
+  const start = source.indexOf("{");
+  if (start === -1) throw new Error("No JSON object found in AI response");
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === "{") depth++;
+    else if (char === "}") {
+      depth--;
+      if (depth === 0) return JSON.parse(source.slice(start, i + 1));
+    }
+  }
+
+  throw new Error("Incomplete JSON object in AI response");
+};
+
+// Parses the objects of the array under `key` that are already complete in a
+// partial (still streaming) JSON text, e.g. finished modules of "outline".
+export const extractCompleteItems = (text, key) => {
+  const source = String(text || "");
+  const keyIndex = source.indexOf(`"${key}"`);
+  if (keyIndex === -1) return [];
+
+  const start = source.indexOf("[", keyIndex);
+  if (start === -1) return [];
+
+  const items = [];
+  let depth = 0;
+  let itemStart = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start + 1; i < source.length; i++) {
+    const char = source[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === "{") {
+      if (depth === 0) itemStart = i;
+      depth++;
+    } else if (char === "}") {
+      depth--;
+      if (depth === 0) {
+        try {
+          items.push(JSON.parse(source.slice(itemStart, i + 1)));
+        } catch (error) {
+          // malformed item, the final validation reports it
+        }
+      }
+    } else if (char === "]" && depth === 0) break;
+  }
+
+  return items;
+};
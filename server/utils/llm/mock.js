@@ -0,0 +1,26 @@
+// Deterministic provider for tests and offline development. Callers pass a
+// `mock` function that builds the response they expect, so the output is the
+// same on every run and no network is touched.
+export const createMockProvider = () => ({
+  name: "mock",
+  model: "mock",
+  async generate(prompt, { mock } = {}) {
+    return {
+      text: mock ? mock(prompt) : "",
+      usage: { promptTokens: 0, completionTokens: 0 },
+    };
+  },
+  // emits the same text in fixed size chunks to exercise streaming code
+  async stream(prompt, { mock, signal, onToken } = {}) {
+    const text = mock ? mock(prompt) : "";
+
+    for (let i = 0; i < text.length; i += 40) {
+      if (signal?.aborted) break;
+
+      await new Promise((resolve) => setImmediate(resolve));
+      if (onToken) onToken(text.slice(i, i + 40));
+    }
+
+    return { text, usage: { promptTokens: 0, completionTokens: 0 } };
+  },
+});
@@ -0,0 +1,75 @@
+import axios from "axios";
+import { fromAxiosError } from "./LLMError.js";
+
+// Local Ollama style server, no API key involved
+export const createOllamaProvider = () => {
+  const baseURL = (
+    process.env.OLLAMA_BASE_URL || "http://localhost:11434"
+  ).replace(/\/$/, "");
+  const model = process.env.OLLAMA_MODEL || "llama3";
+
+  return {
+    name: "ollama",
+    model,
+    async generate(prompt, { signal } = {}) {
+      try {
+        const { data } = await axios.post(
+          `${baseURL}/api/generate`,
+          { model, prompt, stream: false },
+          { signal }
+        );
+
+        return {
+          text: data.response || "",
+          usage: {
+            promptTokens: data.prompt_eval_count,
+            completionTokens: data.eval_count,
+          },
+        };
+      } catch (error) {
+        throw fromAxiosError("ollama", error);
+      }
+    },
+    async stream(prompt, { signal, onToken } = {}) {
+      let text = "";
+      let usage = null;
+
+      try {
+        const response = await axios.post(
+          `${baseURL}/api/generate`,
+          { model, prompt, stream: true },
+          { responseType: "stream", signal }
+        );
+
+        // newline delimited JSON, one object per token batch
+        let buffer = "";
+        for await (const chunk of response.data) {
+          buffer += chunk.toString();
+
+          const lines = buffer.split("\n");
+          buffer = lines.pop();
+
+          for (const line of lines) {
+            if (!line.trim()) continue;
+
+            const data = JSON.parse(line);
+            if (data.response) {
+              text += data.response;
+              if (onToken) onToken(data.response);
+            }
+
+            if (data.done)
+              usage = {
+                promptTokens: data.prompt_eval_count,
+                completionTokens: data.eval_count,
+              };
+          }
+        }
+
+        return { text, usage };
+      } catch (error) {
+        throw fromAxiosError("ollama", error);
+      }
+    },
+  };
+};
@@ -0,0 +1,106 @@
+import axios from "axios";
+import { LLMError, fromAxiosError } from "./LLMError.js";
+
+// Any OpenAI compatible /chat/completions endpoint (OpenAI, Azure proxies,
+// vLLM, LM Studio, ...)
+// Server-sent "data: {...}" lines, only complete lines are consumed
+const readDataLines = async (stream, onData) => {
+  let buffer = "";
+
+  for await (const chunk of stream) {
+    buffer += chunk.toString();
+
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith("data:")) continue;
+
+      const payload = trimmed.slice(5).trim();
+      if (payload && payload !== "[DONE]") onData(JSON.parse(payload));
+    }
+  }
+};
+
+export const createOpenAIProvider = () => {
+  const apiKey = process.env.OPENAI_API_KEY;
+  const baseURL = (
+    process.env.OPENAI_BASE_URL || "https://api.openai.com/v1"
+  ).replace(/\/$/, "");
+  const model = process.env.OPENAI_MODEL || "gpt-4o-mini";
+
+  const checkKey = () => {
+    if (!apiKey && baseURL.includes("api.openai.com"))
+      throw new LLMError("OPENAI_API_KEY is not configured", {
+        provider: "openai",
+      });
+  };
+
+  return {
+    name: "openai",
+    model,
+    async generate(prompt, { signal, messages } = {}) {
+      checkKey();
+
+      try {
+        const { data } = await axios.post(
+          `${baseURL}/chat/completions`,
+          {
+            model,
+            messages: messages || [{ role: "user", content: prompt }],
+          },
+          {
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+            signal,
+          }
+        );
+
+        return {
+          text: data.choices?.[0]?.message?.content || "",
+          usage: data.usage
+            ? {
+                promptTokens: data.usage.prompt_tokens,
+                completionTokens: data.usage.completion_tokens,
+              }
+            : null,
+        };
+      } catch (error) {
+        throw fromAxiosError("openai", error);
+      }
+    },
+    async stream(prompt, { signal, messages, onToken } = {}) {
+      checkKey();
+
+      let text = "";
+
+      try {
+        const response = await axios.post(
+          `${baseURL}/chat/completions`,
+          {
+            model,
+            messages: messages || [{ role: "user", content: prompt }],
+            stream: true,
+          },
+          {
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+            responseType: "stream",
+            signal,
+          }
+        );
+
+        await readDataLines(response.data, (data) => {
+          const token = data.choices?.[0]?.delta?.content;
+          if (!token) return;
+
+          text += token;
+          if (onToken) onToken(token);
+        });
+
+        return { text, usage: null };
+      } catch (error) {
+        throw fromAxiosError("openai", error);
+      }
+    },
+  };
+};
@@ -0,0 +1,75 @@
+import { Courses } from "../models/Courses.js";
+import { Payment } from "../models/Payment.js";
+import { User } from "../models/User.js";
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Courses used to store their author as free text typed into the admin form.
+// Only admins could create courses then, so the text is matched against the
+// admins by id, email or name. Courses without a match go to the superadmin.
+// Runs on every start, documents already holding a user id are left alone.
+export const migrateCourseOwners = async () => {
+  // the raw collection, a string createdBy no longer casts to the schema
+  const legacy = await Courses.collection
+    .find({ createdBy: { $type: "string" } })
+    .toArray();
+
+  if (legacy.length === 0) return;
+
+  const admins = { $or: [{ role: "admin" }, { mainrole: "superadmin" }] };
+
+  const fallback =
+    (await User.findOne({ mainrole: "superadmin" })) ||
+    (await User.findOne({ role: "admin" }));
+
+  for (const course of legacy) {
+    const value = course.createdBy.trim();
+
+    const owner =
+      (/^[0-9a-f]{24}$/i.test(value) &&
+        (await User.findOne({ ...admins, _id: value }))) ||
+      (await User.findOne({ ...admins, email: value.toLowerCase() })) ||
+      (await User.findOne({
+        ...admins,
+        name: new RegExp(`^${escapeRegex(value)}$`, "i"),
+      })) ||
+      fallback;
+
+    if (!owner) {
+      console.log(`No owner found for course ${course._id} ("${value}")`);
+      continue;
+    }
+
+    await Courses.collection.updateOne(
+      { _id: course._id },
+      { $set: { createdBy: owner._id } }
+    );
+
+    console.log(`Course ${course._id}: createdBy "${value}" -> ${owner.email}`);
+  }
+};
+
+// Payments were stored with Razorpay's field names before other providers
+// were added (utils/payments). Runs on every start, renamed records are left
+// alone.
+export const migratePayments = async () => {
+  const legacy = { razorpay_payment_id: { $exists: true } };
+
+  const count = await Payment.collection.countDocuments(legacy);
+
+  if (count === 0) return;
+
+  await Payment.collection.updateMany(legacy, {
+    $rename: {
+      razorpay_order_id: "providerOrderId",
+      razorpay_payment_id: "providerPaymentId",
+      razorpay_signature: "signature",
+    },
+    $set: { provider: "razorpay" },
+  });
+
+  // drops the unique index of the old field, it would reject every new payment
+  await Payment.syncIndexes();
+
+  console.log(`${count} payment(s) moved to the provider fields`);
+};
@@ -0,0 +1,242 @@
+import axios from "axios";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// Social login with the authorization code flow and PKCE. OAuth_Providers
+// lists the enabled providers, each one is configured with
+//   OAuth_<Name>_Client_Id, OAuth_<Name>_Client_Secret
+//   OAuth_<Name>_Issuer  - any OpenID Connect issuer, found by discovery
+//   OAuth_<Name>_Label, OAuth_<Name>_Scope - optional
+// e.g. OAuth_Providers=google,keycloak with OAuth_Keycloak_Issuer=...
+// Google and GitHub have presets, GitHub is plain OAuth2 without id tokens.
+
+const githubProfile = async (accessToken) => {
+  const headers = {
+    Authorization: `Bearer ${accessToken}`,
+    Accept: "application/vnd.github+json",
+  };
+
+  const [{ data: account }, { data: emails }] = await Promise.all([
+    axios.get("https://api.github.com/user", { headers }),
+    axios.get("https://api.github.com/user/emails", { headers }),
+  ]);
+
+  const primary = emails.find((email) => email.primary) || {};
+
+  return {
+    subject: String(account.id),
+    email: primary.email,
+    emailVerified: Boolean(primary.verified),
+    name: account.name || account.login,
+  };
+};
+
+const presets = {
+  google: {
+    label: "Google",
+    issuer: "https://accounts.google.com",
+  },
+  github: {
+    label: "GitHub",
+    scope: "read:user user:email",
+    authorizationUrl: "https://github.com/login/oauth/authorize",
+    tokenUrl: "https://github.com/login/oauth/access_token",
+    profile: githubProfile,
+  },
+};
+
+const envPrefix = (name) =>
+  `OAuth_${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+
+const enabledNames = () =>
+  (process.env.OAuth_Providers || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+// null for providers that are not enabled or have no client id
+export const getOAuthProvider = (name) => {
+  if (!enabledNames().includes(name)) return null;
+
+  const prefix = envPrefix(name);
+  const preset = presets[name] || {};
+  const clientId = process.env[`${prefix}_Client_Id`];
+
+  if (!clientId) return null;
+
+  return {
+    ...preset,
+    name,
+    clientId,
+    clientSecret: process.env[`${prefix}_Client_Secret`],
+    label: process.env[`${prefix}_Label`] || preset.label || name,
+    issuer: process.env[`${prefix}_Issuer`] || preset.issuer,
+    scope:
+      process.env[`${prefix}_Scope`] || preset.scope || "openid email profile",
+  };
+};
+
+export const listOAuthProviders = () =>
+  enabledNames()
+    .map(getOAuthProvider)
+    .filter(Boolean)
+    .map(({ name, label }) => ({ name, label }));
+
+// discovery documents and signing keys rarely change
+const cacheMs = 60 * 60 * 1000;
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const cached = async (cache, key, load) => {
+  const entry = cache.get(key);
+  if (entry && entry.expiresAt > Date.now()) return entry.value;
+
+  const value = await load();
+  cache.set(key, { value, expiresAt: Date.now() + cacheMs });
+
+  return value;
+};
+
+const discover = (issuer) =>
+  cached(discoveryCache, issuer, async () => {
+    const { data } = await axios.get(
+      `${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`
+    );
+    return data;
+  });
+
+const endpoints = async (provider) => {
+  if (!provider.issuer)
+    return {
+      authorizationUrl: provider.authorizationUrl,
+      tokenUrl: provider.tokenUrl,
+    };
+
+  const config = await discover(provider.issuer);
+
+  return {
+    authorizationUrl: config.authorization_endpoint,
+    tokenUrl: config.token_endpoint,
+    userinfoUrl: config.userinfo_endpoint,
+    jwksUrl: config.jwks_uri,
+    issuer: config.issuer,
+  };
+};
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+// Everything the callback needs to check, kept in a cookie by the controller
+export const createLoginRequest = () => ({
+  state: base64url(crypto.randomBytes(16)),
+  nonce: base64url(crypto.randomBytes(16)),
+  verifier: base64url(crypto.randomBytes(32)),
+});
+
+export const authorizationUrl = async (provider, request, redirectUri) => {
+  const { authorizationUrl } = await endpoints(provider);
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scope,
+    state: request.state,
+    code_challenge: base64url(
+      crypto.createHash("sha256").update(request.verifier).digest()
+    ),
+    code_challenge_method: "S256",
+    ...(provider.issuer ? { nonce: request.nonce } : {}),
+  });
+
+  return `${authorizationUrl}?${params}`;
+};
+
+const signingKey = async (jwksUrl, kid) => {
+  const find = (keys) => keys.find((key) => !kid || key.kid === kid);
+  const load = async () => (await axios.get(jwksUrl)).data.keys;
+
+  let key = find(await cached(jwksCache, jwksUrl, load));
+
+  // the provider may have rotated its keys since they were cached
+  if (!key) {
+    jwksCache.delete(jwksUrl);
+    key = find(await cached(jwksCache, jwksUrl, load));
+  }
+
+  if (!key) throw new Error("Unknown id token signing key");
+
+  return crypto.createPublicKey({ key, format: "jwk" });
+};
+
+const verifyIdToken = async (idToken, provider, config, nonce) => {
+  const { header } = jwt.decode(idToken, { complete: true }) || {};
+
+  if (!header) throw new Error("Invalid id token");
+
+  const claims = jwt.verify(
+    idToken,
+    await signingKey(config.jwksUrl, header.kid),
+    {
+      algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "PS256"],
+      audience: provider.clientId,
+      issuer: config.issuer,
+    }
+  );
+
+  if (claims.nonce !== nonce) throw new Error("Invalid id token nonce");
+
+  return claims;
+};
+
+// Swaps the code for tokens and returns the normalized profile:
+// { subject, email, emailVerified, name }
+export const fetchProfile = async (provider, request, code, redirectUri) => {
+  const config = await endpoints(provider);
+
+  const { data: tokens } = await axios.post(
+    config.tokenUrl,
+    new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: redirectUri,
+      client_id: provider.clientId,
+      ...(provider.clientSecret
+        ? { client_secret: provider.clientSecret }
+        : {}),
+      code_verifier: request.verifier,
+    }),
+    // GitHub answers with a form encoded body otherwise
+    { headers: { Accept: "application/json" } }
+  );
+
+  if (!tokens.access_token)
+    throw new Error(tokens.error_description || "No access token received");
+
+  if (provider.profile) return provider.profile(tokens.access_token);
+
+  if (!tokens.id_token) throw new Error("No id token received");
+
+  let claims = await verifyIdToken(
+    tokens.id_token,
+    provider,
+    config,
+    request.nonce
+  );
+
+  // some issuers only put the email in the userinfo response
+  if (!claims.email && config.userinfoUrl) {
+    const { data } = await axios.get(config.userinfoUrl, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+    });
+
+    if (data.sub === claims.sub) claims = { ...claims, ...data };
+  }
+
+  return {
+    subject: String(claims.sub),
+    email: claims.email,
+    emailVerified:
+      claims.email_verified === true || claims.email_verified === "true",
+    name: claims.name || claims.preferred_username,
+  };
+};
@@ -0,0 +1,59 @@
+import { Order } from "../models/Order.js";
+import { Progress } from "../models/Progress.js";
+import { User } from "../models/User.js";
+
+// Subscribes the user to the course. Calling it again changes nothing, so a
+// replayed or interrupted payment can never enroll twice.
+export const enrollUser = async (userId, courseId) => {
+  await User.updateOne(
+    { _id: userId },
+    { $addToSet: { subscription: courseId } }
+  );
+
+  await Progress.updateOne(
+    { user: userId, course: courseId },
+    { $setOnInsert: { completedLectures: [] } },
+    { upsert: true }
+  );
+};
+
+// pending (or failed, the buyer may retry) -> paid. Only the first call gets
+// the order back, later ones get null.
+export const markOrderPaid = (orderId, paymentId) =>
+  Order.findOneAndUpdate(
+    { _id: orderId, status: { $in: ["pending", "failed"] } },
+    {
+      status: "paid",
+      providerPaymentId: paymentId,
+      paidAt: new Date(),
+      failureReason: "",
+    },
+    { new: true }
+  );
+
+export const markOrderFailed = (orderId, reason) =>
+  Order.updateOne(
+    { _id: orderId, status: "pending" },
+    { status: "failed", failureReason: reason }
+  );
+
+// paid -> refunded, null when the order was not paid (or already refunded)
+export const markOrderRefunded = (orderId) =>
+  Order.findOneAndUpdate(
+    { _id: orderId, status: "paid" },
+    { status: "refunded", refundedAt: new Date() },
+    { new: true }
+  );
+
+// Takes the course away after a refund, unless another paid order covers it
+export const unenrollUser = async (userId, courseId) => {
+  const stillPaid = await Order.exists({
+    user: userId,
+    course: courseId,
+    status: "paid",
+  });
+
+  if (stillPaid) return;
+
+  await User.updateOne({ _id: userId }, { $pull: { subscription: courseId } });
+};
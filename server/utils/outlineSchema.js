@@ -0,0 +1,112 @@
+export const difficulties = ["beginner", "intermediate", "advanced"];
+
+export const categories = [
+  "Programming",
+  "Design",
+  "Business",
+  "Data Science",
+  "Other",
+];
+
+export const TOPICS_MIN = 4;
+export const TOPICS_MAX = 6;
+
+// Longer courses get more modules, never fewer than 3 or more than 6
+export const moduleRange = (duration) => ({
+  min: duration >= 8 ? 4 : 3,
+  max: Math.min(6, Math.max(3, duration)),
+});
+
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+
+// Checks one outline module, errors are pushed with paths below `path`.
+// Non-strict checks only require at least one topic, for hand edited drafts.
+export const validateModule = (module, path = "", strict = true) => {
+  const errors = [];
+  const error = (at, message) =>
+    errors.push({ path: path ? `${path}.${at}` : at, message });
+
+  if (!module || typeof module !== "object") {
+    errors.push({ path, message: "must be an object" });
+    return errors;
+  }
+
+  if (!isText(module.title)) error("title", "must be a non-empty string");
+  if (!isText(module.description))
+    error("description", "must be a non-empty string");
+
+  if (!Array.isArray(module.topics)) {
+    error("topics", "must be an array of strings");
+    return errors;
+  }
+
+  if (strict) {
+    if (module.topics.length < TOPICS_MIN || module.topics.length > TOPICS_MAX)
+      error("topics", `must have ${TOPICS_MIN}-${TOPICS_MAX} topics`);
+  } else if (module.topics.length === 0)
+    error("topics", "must have at least one topic");
+
+  module.topics.forEach((topic, j) => {
+    if (!isText(topic)) error(`topics[${j}]`, "must be a non-empty string");
+  });
+
+  return errors;
+};
+
+// Checks a generated outline against the full course schema. Returns a list
+// of { path, message } errors, empty when the outline is valid. The module
+// and topic counts are only enforced when strict.
+export const validateOutline = (data, { duration, difficulty, strict = true }) => {
+  const errors = [];
+  const error = (path, message) => errors.push({ path, message });
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    error("", "must be a JSON object");
+    return errors;
+  }
+
+  if (!isText(data.title)) error("title", "must be a non-empty string");
+  if (!isText(data.description))
+    error("description", "must be a non-empty string");
+
+  if (Number(data.duration) !== Number(duration))
+    error("duration", `must be ${duration}`);
+
+  if (!difficulties.includes(data.difficulty))
+    error("difficulty", `must be one of ${difficulties.join(", ")}`);
+  else if (data.difficulty !== difficulty)
+    error("difficulty", `must be "${difficulty}"`);
+
+  if (!categories.includes(data.category))
+    error("category", `must be one of ${categories.join(", ")}`);
+
+  if (!Array.isArray(data.outline)) {
+    error("outline", "must be an array of modules");
+    return errors;
+  }
+
+  if (strict) {
+    const range = moduleRange(Number(duration));
+    if (data.outline.length < range.min || data.outline.length > range.max)
+      error(
+        "outline",
+        `must have ${range.min}-${range.max} modules for a ${duration} week course`
+      );
+  } else if (data.outline.length === 0)
+    error("outline", "must have at least one module");
+
+  data.outline.forEach((module, i) =>
+    errors.push(...validateModule(module, `outline[${i}]`, strict))
+  );
+
+  return errors;
+};
+
+export class OutlineValidationError extends Error {
+  constructor(message, errors = [], output = "") {
+    super(message);
+    this.name = "OutlineValidationError";
+    this.errors = errors;
+    this.output = output;
+  }
+}
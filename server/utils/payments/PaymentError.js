@@ -0,0 +1,15 @@
+// Errors raised by payment providers carry only a clean message, never the
+// request config, so logging them cannot leak gateway keys. `status` is the
+// HTTP status worth answering with: 400 for a bad request or signature, 503
+// when the provider is not configured, 502 when the gateway failed.
+export class PaymentError extends Error {
+  constructor(message, { provider, status = 502 } = {}) {
+    super(message);
+    this.name = "PaymentError";
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+export const missingConfig = (provider, name) =>
+  new PaymentError(`${name} is not configured`, { provider, status: 503 });
@@ -0,0 +1,50 @@
+import { PaymentError } from "./PaymentError.js";
+import { createRazorpayProvider } from "./razorpay.js";
+import { createStripeProvider } from "./stripe.js";
+import { createMockProvider } from "./mock.js";
+
+export { PaymentError };
+
+// Every provider has the same shape:
+//   name
+//   clientConfig()                     public settings the browser checkout needs
+//   createOrder({ amount, currency, receipt })
+//                                      -> { id, amount, currency, clientSecret? }
+//   verifyPayment(orderId, body)       what the browser reports after paying
+//                                      -> { status: "paid" | "failed" | "pending",
+//                                           paymentId?, signature?, reason? }
+//   refund(paymentId, amount)          -> { id }
+//   parseWebhook(rawBody, headers)     checks the signature, returns null for
+//                                      events we do not use or
+//                                      { type, orderId, paymentId, amount, ... }
+//                                      with the Razorpay event names as types
+// Amounts are in the currency's smallest unit, e.g. paise.
+const providers = {
+  razorpay: createRazorpayProvider,
+  stripe: createStripeProvider,
+  mock: createMockProvider,
+};
+
+// Payment_Provider selects the gateway for new orders. Existing orders keep
+// the provider they were created with (Order.provider), so switching does not
+// break their verification, webhooks or refunds.
+export const getPaymentProvider = (
+  name = process.env.Payment_Provider || "razorpay"
+) => {
+  const factory = providers[name];
+
+  if (!factory)
+    throw new PaymentError(`Unknown payment provider "${name}"`, {
+      status: 404,
+    });
+
+  // the mock gateway is unsigned, anyone could mark an order paid with it, so
+  // it (and its webhook) only exists where Payment_Provider=mock chose it
+  if (name === "mock" && process.env.Payment_Provider !== "mock")
+    throw new PaymentError("The mock payment provider is disabled", {
+      provider: name,
+      status: 503,
+    });
+
+  return factory();
+};
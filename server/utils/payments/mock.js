@@ -0,0 +1,38 @@
+import crypto from "crypto";
+
+const mockId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+
+// Offline gateway for development and tests, no account or network needed.
+// The checkout shows "Pay" and "Fail" buttons that report the outcome
+// straight to the verification, and webhooks are posted as the already
+// parsed events, e.g. { "type": "refund.processed", "orderId": ... }.
+// getPaymentProvider refuses it unless Payment_Provider is "mock".
+export const createMockProvider = () => ({
+  name: "mock",
+  clientConfig: () => ({ name: "mock" }),
+
+  async createOrder({ amount, currency }) {
+    return { id: mockId("mock_order"), amount, currency };
+  },
+
+  async verifyPayment(orderId, { outcome }) {
+    if (outcome === "failed")
+      return { status: "failed", reason: "Declined by the mock gateway" };
+
+    // the same id every time, a repeated verification is recognized
+    return {
+      status: "paid",
+      paymentId: orderId.replace("mock_order", "mock_pay"),
+    };
+  },
+
+  async refund() {
+    return { id: mockId("mock_refund") };
+  },
+
+  parseWebhook(rawBody) {
+    const event = JSON.parse(rawBody.toString());
+
+    return event.type ? event : null;
+  },
+});
@@ -0,0 +1,122 @@
+import Razorpay from "razorpay";
+import { PaymentError, missingConfig } from "./PaymentError.js";
+import { hmacHex, sameSignature } from "./signature.js";
+
+// The Razorpay SDK rejects with { statusCode, error: { description } }
+const fromRazorpayError = (error) =>
+  new PaymentError(
+    `Razorpay request failed${
+      error.statusCode ? ` (${error.statusCode})` : ""
+    }: ${error.error?.description || error.message || "request failed"}`,
+    { provider: "razorpay" }
+  );
+
+export const createRazorpayProvider = () => {
+  const keyId = process.env.Razorpay_Key;
+  const keySecret = process.env.Razorpay_Secret;
+
+  const client = () => {
+    if (!keyId) throw missingConfig("razorpay", "Razorpay_Key");
+    if (!keySecret) throw missingConfig("razorpay", "Razorpay_Secret");
+
+    return new Razorpay({ key_id: keyId, key_secret: keySecret });
+  };
+
+  return {
+    name: "razorpay",
+    clientConfig: () => ({ name: "razorpay", key: keyId }),
+
+    async createOrder({ amount, currency, receipt }) {
+      const razorpay = client();
+
+      try {
+        const order = await razorpay.orders.create({
+          amount,
+          currency,
+          receipt,
+        });
+
+        return { id: order.id, amount: order.amount, currency: order.currency };
+      } catch (error) {
+        throw fromRazorpayError(error);
+      }
+    },
+
+    // the checkout popup hands the browser a signature of order|payment
+    async verifyPayment(orderId, { razorpay_payment_id, razorpay_signature }) {
+      if (!keySecret) throw missingConfig("razorpay", "Razorpay_Secret");
+
+      const expected = hmacHex(keySecret, `${orderId}|${razorpay_payment_id}`);
+
+      if (!razorpay_payment_id || !sameSignature(expected, razorpay_signature))
+        return { status: "failed", reason: "Invalid payment signature" };
+
+      return {
+        status: "paid",
+        paymentId: razorpay_payment_id,
+        signature: razorpay_signature,
+      };
+    },
+
+    async refund(paymentId, amount) {
+      const razorpay = client();
+
+      try {
+        const refund = await razorpay.payments.refund(paymentId, { amount });
+
+        return { id: refund.id };
+      } catch (error) {
+        throw fromRazorpayError(error);
+      }
+    },
+
+    // Razorpay signs the raw body with the webhook secret
+    parseWebhook(rawBody, headers) {
+      const secret = process.env.Razorpay_Webhook_Secret;
+
+      if (!secret) throw missingConfig("razorpay", "Razorpay_Webhook_Secret");
+
+      if (
+        !sameSignature(
+          hmacHex(secret, rawBody),
+          headers["x-razorpay-signature"]
+        )
+      )
+        throw new PaymentError("Invalid signature", {
+          provider: "razorpay",
+          status: 400,
+        });
+
+      const event = JSON.parse(rawBody.toString());
+      const payment = event.payload?.payment?.entity;
+      const refund = event.payload?.refund?.entity;
+
+      switch (event.event) {
+        case "payment.captured":
+          return {
+            type: "payment.captured",
+            orderId: payment.order_id,
+            paymentId: payment.id,
+            amount: payment.amount,
+            currency: payment.currency,
+          };
+        case "payment.failed":
+          return {
+            type: "payment.failed",
+            orderId: payment.order_id,
+            paymentId: payment.id,
+            reason: payment.error_description,
+          };
+        case "refund.processed":
+          return {
+            type: "refund.processed",
+            orderId: payment?.order_id,
+            paymentId: refund.payment_id,
+            amount: refund.amount,
+          };
+        default:
+          return null;
+      }
+    },
+  };
+};
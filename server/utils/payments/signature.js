@@ -0,0 +1,10 @@
+import crypto from "crypto";
+
+export const hmacHex = (secret, payload) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+// constant time, a wrong signature takes as long to reject as a nearly right one
+export const sameSignature = (expected, actual) =>
+  typeof actual === "string" &&
+  actual.length === expected.length &&
+  crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected));
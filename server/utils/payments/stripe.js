@@ -0,0 +1,161 @@
+import axios from "axios";
+import { PaymentError, missingConfig } from "./PaymentError.js";
+import { hmacHex, sameSignature } from "./signature.js";
+
+const apiUrl = "https://api.stripe.com/v1";
+
+// signed webhooks older than this are rejected as replays
+const webhookToleranceSeconds = 300;
+
+const fromAxiosError = (error) => {
+  const status = error.response?.status;
+  const detail =
+    error.response?.data?.error?.message || error.code || "request failed";
+
+  return new PaymentError(
+    `Stripe request failed${status ? ` (${status})` : ""}: ${detail}`,
+    { provider: "stripe" }
+  );
+};
+
+// An order is a PaymentIntent, paid in the browser with Stripe.js through its
+// client secret. The intent id is both the order and the payment id.
+export const createStripeProvider = () => {
+  const secretKey = process.env.Stripe_Secret_Key;
+
+  const request = async (method, path, params) => {
+    if (!secretKey) throw missingConfig("stripe", "Stripe_Secret_Key");
+
+    try {
+      const { data } = await axios({
+        method,
+        url: `${apiUrl}${path}`,
+        // Stripe takes form encoded bodies
+        data: params && new URLSearchParams(params).toString(),
+        headers: {
+          Authorization: `Bearer ${secretKey}`,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+      });
+
+      return data;
+    } catch (error) {
+      throw fromAxiosError(error);
+    }
+  };
+
+  return {
+    name: "stripe",
+    clientConfig: () => ({
+      name: "stripe",
+      key: process.env.Stripe_Publishable_Key,
+    }),
+
+    async createOrder({ amount, currency, receipt }) {
+      const intent = await request("post", "/payment_intents", {
+        amount,
+        currency: currency.toLowerCase(),
+        "automatic_payment_methods[enabled]": "true",
+        "metadata[receipt]": receipt,
+      });
+
+      return {
+        id: intent.id,
+        amount: intent.amount,
+        currency: intent.currency.toUpperCase(),
+        clientSecret: intent.client_secret,
+      };
+    },
+
+    // the browser only says it is done, the intent itself is asked
+    async verifyPayment(orderId) {
+      const intent = await request(
+        "get",
+        `/payment_intents/${encodeURIComponent(orderId)}`
+      );
+
+      if (intent.status === "succeeded")
+        return { status: "paid", paymentId: intent.id };
+
+      if (intent.status === "canceled")
+        return { status: "failed", reason: "Payment was canceled" };
+
+      if (intent.status === "requires_payment_method")
+        return {
+          status: "failed",
+          reason:
+            intent.last_payment_error?.message || "Payment was not completed",
+        };
+
+      // processing, or waiting for the bank, the webhook finishes it
+      return { status: "pending" };
+    },
+
+    async refund(paymentId, amount) {
+      const refund = await request("post", "/refunds", {
+        payment_intent: paymentId,
+        amount,
+      });
+
+      return { id: refund.id };
+    },
+
+    // Stripe-Signature is "t=<timestamp>,v1=<signature>[,v1=...]" over
+    // "<timestamp>.<raw body>"
+    parseWebhook(rawBody, headers) {
+      const secret = process.env.Stripe_Webhook_Secret;
+
+      if (!secret) throw missingConfig("stripe", "Stripe_Webhook_Secret");
+
+      const parts = String(headers["stripe-signature"] || "")
+        .split(",")
+        .map((part) => part.split("="));
+      const timestamp = parts.find(([key]) => key === "t")?.[1];
+      const expected = hmacHex(secret, `${timestamp}.${rawBody}`);
+
+      if (
+        !timestamp ||
+        Math.abs(Date.now() / 1000 - Number(timestamp)) >
+          webhookToleranceSeconds ||
+        !parts.some(
+          ([key, value]) => key === "v1" && sameSignature(expected, value)
+        )
+      )
+        throw new PaymentError("Invalid signature", {
+          provider: "stripe",
+          status: 400,
+        });
+
+      const event = JSON.parse(rawBody.toString());
+      const object = event.data?.object;
+
+      switch (event.type) {
+        case "payment_intent.succeeded":
+          return {
+            type: "payment.captured",
+            orderId: object.id,
+            paymentId: object.id,
+            amount: object.amount_received,
+            currency: object.currency.toUpperCase(),
+          };
+        case "payment_intent.payment_failed":
+          return {
+            type: "payment.failed",
+            orderId: object.id,
+            paymentId: object.id,
+            reason: object.last_payment_error?.message,
+          };
+        // a charge, amount_refunded adds up every refund of it
+        case "charge.refunded":
+          return {
+            type: "refund.processed",
+            orderId: object.payment_intent,
+            paymentId: object.payment_intent,
+            amount: object.amount_refunded,
+          };
+        default:
+          return null;
+      }
+    },
+  };
+};
@@ -0,0 +1,85 @@
+import { Role } from "../models/Role.js";
+
+// Every permission a role can grant, with the label shown in the role editor
+export const permissionList = {
+  "course:create": "Create courses and publish AI drafts",
+  "course:manage": "Manage their own courses, lectures, sections and quizzes",
+  "course:manage:any": "Manage every course and see all lectures",
+  "stats:view": "See dashboard numbers of their own courses",
+  "stats:view:any": "See dashboard numbers of the whole platform",
+  "user:view": "List users",
+  "user:manage": "Change user roles",
+  "role:manage": "Edit role permissions",
+  "ai:manage": "See AI usage and set AI quotas",
+  "payment:refund": "Refund payments",
+};
+
+// Seeded once, superadmins edit them afterwards
+export const defaultRoles = {
+  user: [],
+  instructor: ["course:create", "course:manage", "stats:view"],
+  admin: [
+    "course:create",
+    "course:manage",
+    "course:manage:any",
+    "stats:view",
+    "stats:view:any",
+    "user:view",
+    "ai:manage",
+    "payment:refund",
+  ],
+};
+
+// Roles are read on nearly every request and change rarely. The cache expires
+// so every server process picks up an edit within a minute.
+const cacheMs = 60 * 1000;
+let cache = null;
+let loadedAt = 0;
+
+const rolePermissions = async () => {
+  if (!cache || Date.now() - loadedAt > cacheMs) {
+    const roles = await Role.find();
+
+    cache = {
+      ...defaultRoles,
+      ...Object.fromEntries(roles.map((role) => [role.name, role.permissions])),
+    };
+    loadedAt = Date.now();
+  }
+
+  return cache;
+};
+
+export const clearPermissionCache = () => {
+  cache = null;
+};
+
+export const roleNames = async () => Object.keys(await rolePermissions());
+
+// The superadmin (User.mainrole) always has every permission, so no edit can
+// lock everyone out of the role editor
+export const getPermissions = async (user) => {
+  if (!user) return [];
+
+  if (user.mainrole === "superadmin") return Object.keys(permissionList);
+
+  return (await rolePermissions())[user.role] || [];
+};
+
+export const hasPermission = async (user, permission) =>
+  (await getPermissions(user)).includes(permission);
+
+// Creates the default roles that are missing, existing mappings are kept
+export const seedRoles = async () => {
+  await Promise.all(
+    Object.entries(defaultRoles).map(([name, permissions]) =>
+      Role.updateOne(
+        { name },
+        { $setOnInsert: { permissions } },
+        { upsert: true }
+      )
+    )
+  );
+
+  clearPermissionCache();
+};
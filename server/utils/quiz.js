@@ -0,0 +1,143 @@
+import { questionTypes } from "../models/Quiz.js";
+
+const normalize = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+const isIndex = (value, options) =>
+  Number.isInteger(value) && value >= 0 && value < options.length;
+
+// Returns the cleaned question list, or throws with a message that points at
+// the offending question.
+export const validateQuestions = (questions) => {
+  if (!Array.isArray(questions) || questions.length === 0)
+    throw new Error("A quiz needs at least one question");
+
+  return questions.map((question, index) => {
+    const label = `Question ${index + 1}`;
+    const type = question.type;
+
+    if (!questionTypes.includes(type))
+      throw new Error(`${label}: unknown question type "${type}"`);
+
+    if (!question.prompt || !String(question.prompt).trim())
+      throw new Error(`${label}: prompt is required`);
+
+    const points = question.points === undefined ? 1 : Number(question.points);
+    if (!(points > 0)) throw new Error(`${label}: points must be positive`);
+
+    const cleaned = {
+      type,
+      prompt: String(question.prompt).trim(),
+      points,
+      explanation: question.explanation ? String(question.explanation) : "",
+      options: [],
+      correctOptions: [],
+      acceptedAnswers: [],
+    };
+
+    if (type === "short-answer") {
+      cleaned.acceptedAnswers = (question.acceptedAnswers || [])
+        .map((answer) => String(answer).trim())
+        .filter(Boolean);
+
+      if (cleaned.acceptedAnswers.length === 0)
+        throw new Error(`${label}: at least one accepted answer is required`);
+
+      return cleaned;
+    }
+
+    cleaned.options =
+      type === "true-false"
+        ? ["True", "False"]
+        : (question.options || []).map((option) => String(option).trim());
+
+    if (cleaned.options.length < 2 || cleaned.options.some((o) => !o))
+      throw new Error(`${label}: at least two non-empty options are required`);
+
+    cleaned.correctOptions = [
+      ...new Set((question.correctOptions || []).map(Number)),
+    ];
+
+    if (!cleaned.correctOptions.every((i) => isIndex(i, cleaned.options)))
+      throw new Error(`${label}: correct option out of range`);
+
+    if (type === "multi-select" && cleaned.correctOptions.length === 0)
+      throw new Error(`${label}: select at least one correct option`);
+
+    if (type !== "multi-select" && cleaned.correctOptions.length !== 1)
+      throw new Error(`${label}: exactly one correct option is required`);
+
+    return cleaned;
+  });
+};
+
+// option answers are indexes, "1" from a form field included. Number() would
+// turn "", [], null and false into 0, a valid index.
+const isOptionIndex = (answer) =>
+  Number.isInteger(answer) ||
+  (typeof answer === "string" && /^\d+$/.test(answer.trim()));
+
+const isCorrect = (question, answer) => {
+  if (answer === undefined || answer === null) return false;
+
+  if (question.type === "short-answer")
+    return question.acceptedAnswers.some(
+      (accepted) => normalize(accepted) === normalize(answer)
+    );
+
+  if (question.type === "multi-select") {
+    if (!Array.isArray(answer)) return false;
+
+    if (!answer.every(isOptionIndex)) return false;
+
+    const given = [...new Set(answer.map(Number))].sort((a, b) => a - b);
+    const expected = [...question.correctOptions].sort((a, b) => a - b);
+
+    return (
+      given.length === expected.length &&
+      given.every((value, i) => value === expected[i])
+    );
+  }
+
+  return isOptionIndex(answer) && Number(answer) === question.correctOptions[0];
+};
+
+// answers: { [questionId]: answer }
+export const scoreAttempt = (quiz, answers = {}) => {
+  let score = 0;
+  let maxScore = 0;
+
+  const results = quiz.questions.map((question) => {
+    const answer = answers[question._id.toString()];
+    const correct = isCorrect(question, answer);
+
+    maxScore += question.points;
+    if (correct) score += question.points;
+
+    return { question: question._id, answer, correct };
+  });
+
+  const percentage = maxScore ? Math.round((score * 100) / maxScore) : 0;
+
+  return {
+    answers: results,
+    score,
+    maxScore,
+    percentage,
+    passed: percentage >= quiz.passingScore,
+  };
+};
+
+// what a learner gets to see before answering
+export const stripAnswers = (quiz) => {
+  const data = quiz.toObject();
+
+  data.questions = data.questions.map(
+    ({ correctOptions, acceptedAnswers, explanation, ...question }) => question
+  );
+
+  return data;
+};
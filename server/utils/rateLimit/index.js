@@ -0,0 +1,121 @@
+import crypto from "crypto";
+import { createMemoryStore } from "./memory.js";
+
+// A store keeps expiring values by key:
+//   get(key), set(key, value, ttlMs), delete(key)
+//   increment(key, ttlMs) -> { count, expiresAt }
+// Every method may return a promise, so a Redis or database backend can be
+// added here next to the memory one.
+const stores = {
+  memory: createMemoryStore,
+};
+
+let store;
+
+// Rate_Limit_Store selects the backend, created on first use
+export const getStore = () => {
+  if (!store) {
+    const name = process.env.Rate_Limit_Store || "memory";
+    const factory = stores[name];
+
+    if (!factory) throw new Error(`Unknown rate limit store "${name}"`);
+
+    store = factory();
+  }
+
+  return store;
+};
+
+// replaces the configured store, e.g. with one built outside this module
+export const setStore = (custom) => {
+  store = custom;
+};
+
+// Reads a "max/seconds" limit from Rate_Limit_<Name>, e.g.
+// Rate_Limit_Login=20/900 allows 20 tries per IP every 15 minutes
+export const readLimit = (name, fallback) => {
+  const [max, seconds] = String(process.env[`Rate_Limit_${name}`] || "")
+    .split("/")
+    .map(Number);
+
+  return {
+    max: max || fallback.max,
+    windowMs: (seconds || fallback.seconds) * 1000,
+  };
+};
+
+// keeps emails and tokens out of the store
+export const hashKey = (value) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      String(value ?? "")
+        .trim()
+        .toLowerCase()
+    )
+    .digest("hex");
+
+export const waitMessage = (retryAfter) => {
+  const minutes = Math.ceil(retryAfter / 60);
+
+  return retryAfter < 60 ? `${retryAfter} second(s)` : `${minutes} minute(s)`;
+};
+
+// Sends the 429 with a Retry-After header, retryAfter is in seconds
+export const tooManyRequests = (res, message, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+
+  return res.status(429).json({
+    message: `${message}, try again in ${waitMessage(retryAfter)}`,
+    retryAfter,
+  });
+};
+
+// Counts a hit and returns the seconds to wait when it went over the limit
+export const hit = async (key, { max, windowMs }) => {
+  const { count, expiresAt } = await getStore().increment(key, windowMs);
+
+  if (count <= max) return 0;
+
+  return Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000));
+};
+
+// Progressive lockout: after Login_Lockout_Threshold failures the account is
+// locked, the lock doubles with every further failure up to an hour. The
+// failures are forgotten a day after the first one or on a successful login.
+const lockoutSettings = () => ({
+  threshold: Number(process.env.Login_Lockout_Threshold) || 5,
+  baseMs: (Number(process.env.Login_Lockout_Seconds) || 60) * 1000,
+  maxMs: 60 * 60 * 1000,
+  windowMs: 24 * 60 * 60 * 1000,
+});
+
+// seconds left on the account's lock, 0 when it is not locked
+export const lockedFor = async (account) => {
+  const until = await getStore().get(`lock:${hashKey(account)}`);
+
+  return until && until > Date.now()
+    ? Math.ceil((until - Date.now()) / 1000)
+    : 0;
+};
+
+export const recordFailure = async (account) => {
+  const { threshold, baseMs, maxMs, windowMs } = lockoutSettings();
+  const key = hashKey(account);
+
+  const { count } = await getStore().increment(`fail:${key}`, windowMs);
+
+  if (count < threshold) return 0;
+
+  const lockMs = Math.min(baseMs * 2 ** (count - threshold), maxMs);
+  await getStore().set(`lock:${key}`, Date.now() + lockMs, lockMs);
+
+  return Math.ceil(lockMs / 1000);
+};
+
+export const clearFailures = async (account) => {
+  const key = hashKey(account);
+
+  await getStore().delete(`fail:${key}`);
+  await getStore().delete(`lock:${key}`);
+};
@@ -0,0 +1,53 @@
+// Keeps the counters in this process. Fine for a single server, several
+// instances behind a load balancer need a shared store.
+export const createMemoryStore = () => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+
+    return entry;
+  };
+
+  // expired keys nobody asks for again would pile up otherwise
+  const sweep = setInterval(() => {
+    const now = Date.now();
+
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    // fixed window, the first hit starts it
+    async increment(key, ttlMs) {
+      const entry = live(key) || { value: 0, expiresAt: Date.now() + ttlMs };
+
+      entry.value += 1;
+      entries.set(key, entry);
+
+      return { count: entry.value, expiresAt: entry.expiresAt };
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+};
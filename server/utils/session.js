@@ -0,0 +1,135 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { Session } from "../models/Session.js";
+
+// a refresh token replayed within this window after rotation is a second tab
+// refreshing at the same time, not a stolen token
+const reuseGraceMs = 30 * 1000;
+
+const refreshDays = () => Number(process.env.Refresh_Token_Days || 15);
+
+const refreshExpiry = () =>
+  new Date(Date.now() + refreshDays() * 24 * 60 * 60 * 1000);
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+export const signAccessToken = (session) =>
+  jwt.sign(
+    { _id: session.user.toString(), sid: session._id.toString() },
+    process.env.Jwt_Sec,
+    { expiresIn: process.env.Access_Token_Expiry || "15m" }
+  );
+
+// behind a proxy set express' "trust proxy" so req.ip is the client's
+const clientIp = (req) => req.ip || "";
+
+export const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: String(req.headers["user-agent"] || "").slice(0, 300),
+    ip: clientIp(req),
+    expiresAt: refreshExpiry(),
+  });
+
+  return { session, refreshToken, token: signAccessToken(session) };
+};
+
+// Swaps a refresh token for a new pair. refreshToken is null when a parallel
+// refresh already rotated it, the caller keeps the token it has by then.
+// Throws when the token is unknown, revoked or replayed.
+export const rotateSession = async (refreshToken) => {
+  const hash = hashToken(refreshToken);
+  const now = new Date();
+
+  const next = newRefreshToken();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      tokenHash: hashToken(next),
+      previousTokenHash: hash,
+      rotatedAt: now,
+      lastUsedAt: now,
+      expiresAt: refreshExpiry(),
+    },
+    { new: true }
+  );
+
+  if (session)
+    return { session, refreshToken: next, token: signAccessToken(session) };
+
+  const rotated = await Session.findOne({
+    previousTokenHash: hash,
+    revokedAt: null,
+  });
+
+  if (!rotated) throw new Error("Invalid refresh token");
+
+  if (now - rotated.rotatedAt < reuseGraceMs)
+    return {
+      session: rotated,
+      refreshToken: null,
+      token: signAccessToken(rotated),
+    };
+
+  // an old token came back after the grace window, end the session for
+  // whoever holds either token
+  rotated.revokedAt = now;
+  await rotated.save();
+
+  throw new Error("Refresh token reused, session revoked");
+};
+
+export const revokeSessions = (filter) =>
+  Session.updateMany({ ...filter, revokedAt: null }, { revokedAt: new Date() });
+
+// Refresh tokens travel in an httpOnly cookie when Refresh_Cookie is "true",
+// otherwise in the response body for the client to store. The strict cookie
+// needs the frontend and the API on the same site.
+export const useRefreshCookie = () => process.env.Refresh_Cookie === "true";
+
+const cookieName = "refreshToken";
+
+export const setRefreshCookie = (res, refreshToken) =>
+  res.cookie(cookieName, refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+    path: "/api/user",
+    maxAge: refreshDays() * 24 * 60 * 60 * 1000,
+  });
+
+export const clearRefreshCookie = (res) =>
+  res.clearCookie(cookieName, { path: "/api/user" });
+
+export const readCookie = (req, name) => {
+  const cookie = (req.headers.cookie || "")
+    .split(";")
+    .map((part) => part.trim().split("="))
+    .find(([key]) => key === name);
+
+  return cookie ? decodeURIComponent(cookie[1]) : null;
+};
+
+export const readRefreshToken = (req) => {
+  if (req.body && req.body.refreshToken) return req.body.refreshToken;
+
+  return readCookie(req, cookieName);
+};
+
+// Adds the tokens to a login/refresh response in the configured transport
+export const sendTokens = (res, { token, refreshToken }, body = {}) => {
+  if (refreshToken && useRefreshCookie()) setRefreshCookie(res, refreshToken);
+
+  res.json({
+    ...body,
+    token,
+    ...(refreshToken && !useRefreshCookie() ? { refreshToken } : {}),
+  });
+};
@@ -0,0 +1,30 @@
+import jwt from "jsonwebtoken";
+
+const secret = () => process.env.Stream_Secret || process.env.Jwt_Sec;
+
+// Signed URLs let a plain <video src> reach the stream route, which cannot
+// carry the usual `token` header.
+export const signStreamToken = (lectureId, userId) =>
+  jwt.sign(
+    { lecture: lectureId.toString(), user: userId.toString() },
+    secret(),
+    { expiresIn: process.env.Stream_Url_Expiry || "30m" }
+  );
+
+export const signStreamUrl = (lectureId, userId) =>
+  `/api/lecture/${lectureId}/stream?token=${signStreamToken(lectureId, userId)}`;
+
+// any file of the transcoder's output, the master playlist by default
+export const signHlsUrl = (lectureId, userId, file = "master.m3u8") =>
+  `/api/lecture/${lectureId}/hls/${file}?token=${signStreamToken(
+    lectureId,
+    userId
+  )}`;
+
+export const verifyStreamToken = (token, lectureId) => {
+  const data = jwt.verify(token, secret());
+
+  if (data.lecture !== lectureId) throw new Error("Invalid stream token");
+
+  return data;
+};
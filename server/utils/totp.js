@@ -0,0 +1,77 @@
+import crypto from "crypto";
+
+// RFC 6238 time based one-time passwords, the 6 digit / 30 second / SHA-1
+// flavour every authenticator app supports
+const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const stepSeconds = 30;
+const digits = 6;
+
+const base32Encode = (buffer) =>
+  [...buffer]
+    .map((byte) => byte.toString(2).padStart(8, "0"))
+    .join("")
+    .match(/.{1,5}/g)
+    .map((chunk) => alphabet[parseInt(chunk.padEnd(5, "0"), 2)])
+    .join("");
+
+const base32Decode = (text) =>
+  Buffer.from(
+    text
+      .toUpperCase()
+      .replace(/[^A-Z2-7]/g, "")
+      .split("")
+      .map((char) => alphabet.indexOf(char).toString(2).padStart(5, "0"))
+      .join("")
+      .match(/.{8}/g)
+      .map((byte) => parseInt(byte, 2))
+  );
+
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = () => Math.floor(Date.now() / 1000 / stepSeconds);
+
+export const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+
+  return String(code).padStart(digits, "0");
+};
+
+// Returns the time step the code belongs to, null when it is wrong. One step
+// of clock drift is accepted either way, steps up to lastStep were already
+// used and are refused so a code cannot be replayed.
+export const verifyCode = (secret, code, lastStep = -1) => {
+  const given = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(given)) return null;
+
+  const now = currentStep();
+
+  for (const step of [now - 1, now, now + 1]) {
+    if (
+      step > lastStep &&
+      crypto.timingSafeEqual(
+        Buffer.from(generateCode(secret, step)),
+        Buffer.from(given)
+      )
+    )
+      return step;
+  }
+
+  return null;
+};
+
+export const otpauthUrl = (secret, email) => {
+  const issuer = process.env.Totp_Issuer || "E-Learning";
+
+  return `otpauth://totp/${encodeURIComponent(
+    `${issuer}:${email}`
+  )}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&digits=${digits}&period=${stepSeconds}`;
+};
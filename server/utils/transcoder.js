@@ -0,0 +1,262 @@
+import { spawn } from "child_process";
+import fs from "fs";
+import path from "path";
+import { Lecture } from "../models/Lecture.js";
+
+const ffmpegPath = () => process.env.FFMPEG_PATH || "ffmpeg";
+const ffprobePath = () => process.env.FFPROBE_PATH || "ffprobe";
+
+export const hlsRoot = path.join("uploads", "hls");
+
+// renditions larger than the source are skipped
+const renditions = [
+  { name: "360p", height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { name: "480p", height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { name: "720p", height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: "1080p", height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+];
+
+const spriteColumns = 10;
+const spriteWidth = 160;
+
+const run = (command, args) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    let stdout = "";
+    let stderr = "";
+
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stderr.on("data", (chunk) => {
+      // only the tail is useful for error reporting
+      stderr = (stderr + chunk).slice(-2000);
+    });
+
+    child.on("error", (error) =>
+      reject(
+        error.code === "ENOENT" ? new Error(`${command} not found`) : error
+      )
+    );
+
+    child.on("close", (code) => {
+      if (code === 0) return resolve(stdout);
+      reject(new Error(`${command} exited with code ${code}: ${stderr}`));
+    });
+  });
+
+const even = (value) => Math.round(value / 2) * 2;
+
+export const probeVideo = async (file) => {
+  const output = await run(ffprobePath(), [
+    "-v",
+    "error",
+    "-print_format",
+    "json",
+    "-show_format",
+    "-show_streams",
+    file,
+  ]);
+
+  const data = JSON.parse(output);
+  const video = data.streams.find((stream) => stream.codec_type === "video");
+
+  if (!video) throw new Error("No video stream found");
+
+  return {
+    duration: Math.round(Number(data.format.duration) || 0),
+    width: video.width,
+    height: video.height,
+  };
+};
+
+const transcodeRendition = (file, outDir, rendition, width) => {
+  const dir = path.join(outDir, rendition.name);
+  fs.mkdirSync(dir, { recursive: true });
+
+  return run(ffmpegPath(), [
+    "-y",
+    "-i",
+    file,
+    "-map",
+    "0:v:0",
+    "-map",
+    "0:a:0?",
+    "-vf",
+    `scale=${width}:${rendition.height}`,
+    "-c:v",
+    "libx264",
+    "-preset",
+    "veryfast",
+    "-profile:v",
+    "main",
+    "-b:v",
+    `${rendition.videoBitrate}k`,
+    "-maxrate",
+    `${Math.round(rendition.videoBitrate * 1.07)}k`,
+    "-bufsize",
+    `${rendition.videoBitrate * 2}k`,
+    "-g",
+    "48",
+    "-keyint_min",
+    "48",
+    "-sc_threshold",
+    "0",
+    "-c:a",
+    "aac",
+    "-ac",
+    "2",
+    "-b:a",
+    `${rendition.audioBitrate}k`,
+    "-hls_time",
+    "6",
+    "-hls_playlist_type",
+    "vod",
+    "-hls_segment_filename",
+    path.join(dir, "segment_%03d.ts"),
+    path.join(dir, "index.m3u8"),
+  ]);
+};
+
+const createSprite = async (file, outDir, info) => {
+  // at most one 10x10 tile sheet per lecture
+  const interval = Math.max(1, Math.ceil(info.duration / 100));
+  const rows = Math.max(
+    1,
+    Math.ceil(Math.ceil(info.duration / interval) / spriteColumns)
+  );
+
+  await run(ffmpegPath(), [
+    "-y",
+    "-i",
+    file,
+    "-vf",
+    `fps=1/${interval},scale=${spriteWidth}:-2,tile=${spriteColumns}x${Math.min(
+      rows,
+      10
+    )}`,
+    "-frames:v",
+    "1",
+    "-q:v",
+    "5",
+    path.join(outDir, "sprite.jpg"),
+  ]);
+
+  return {
+    sprite: path.join(outDir, "sprite.jpg"),
+    interval,
+    columns: spriteColumns,
+    width: spriteWidth,
+    height: even((spriteWidth * info.height) / info.width),
+  };
+};
+
+export const transcodeLecture = async (lecture) => {
+  const outDir = path.join(hlsRoot, lecture._id.toString());
+
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const info = await probeVideo(lecture.video);
+
+  let targets = renditions.filter((r) => r.height <= info.height);
+  if (targets.length === 0)
+    targets = [{ ...renditions[0], name: `${info.height}p`, height: info.height }];
+
+  let master = "#EXTM3U\n#EXT-X-VERSION:3\n";
+
+  for (const rendition of targets) {
+    const width = even((rendition.height * info.width) / info.height);
+
+    await transcodeRendition(lecture.video, outDir, rendition, width);
+
+    const bandwidth = (rendition.videoBitrate + rendition.audioBitrate) * 1000;
+    master += `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${width}x${rendition.height}\n`;
+    master += `${rendition.name}/index.m3u8\n`;
+  }
+
+  fs.writeFileSync(path.join(outDir, "master.m3u8"), master);
+
+  const thumbnails = await createSprite(lecture.video, outDir, info);
+
+  return {
+    hls: path.join(outDir, "master.m3u8"),
+    duration: info.duration,
+    thumbnails,
+  };
+};
+
+export const removeHlsOutput = (lectureId) => {
+  fs.rm(
+    path.join(hlsRoot, lectureId.toString()),
+    { recursive: true, force: true },
+    () => {}
+  );
+};
+
+// Single worker in-process queue, ffmpeg is heavy enough that running more
+// than one job at a time only slows every job down.
+const queue = [];
+let running = false;
+
+const processNext = async () => {
+  if (running) return;
+
+  const lectureId = queue.shift();
+  if (!lectureId) return;
+
+  running = true;
+
+  try {
+    const lecture = await Lecture.findById(lectureId);
+
+    // the lecture may have been turned into a text lesson since
+    if (lecture && lecture.type !== "text") {
+      lecture.processingStatus = "processing";
+      lecture.processingError = "";
+      await lecture.save();
+
+      try {
+        const result = await transcodeLecture(lecture);
+
+        // the video may have been replaced while this job was running
+        const current = await Lecture.findById(lectureId);
+        if (current && current.video === lecture.video) {
+          current.hls = result.hls;
+          current.duration = result.duration;
+          current.thumbnails = result.thumbnails;
+          current.processingStatus = "ready";
+          await current.save();
+        }
+      } catch (error) {
+        console.log("Transcoding failed:", error.message);
+
+        await Lecture.updateOne(
+          { _id: lectureId, video: lecture.video },
+          { processingStatus: "failed", processingError: error.message }
+        );
+      }
+    }
+  } catch (error) {
+    console.log(error);
+  }
+
+  running = false;
+  processNext();
+};
+
+export const enqueueTranscode = (lectureId) => {
+  const id = lectureId.toString();
+
+  if (!queue.includes(id)) queue.push(id);
+
+  processNext();
+};
+
+// picks up jobs that were queued or running when the server stopped
+export const resumeTranscodes = async () => {
+  const lectures = await Lecture.find({
+    type: { $ne: "text" },
+    processingStatus: { $in: ["pending", "processing"] },
+  }).select("_id");
+
+  lectures.forEach((lecture) => enqueueTranscode(lecture._id));
+};
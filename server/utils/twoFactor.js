@@ -0,0 +1,62 @@
+import crypto from "crypto";
+import { hashToken } from "./session.js";
+import { verifyCode } from "./totp.js";
+
+export const twoFactorFields =
+  "+twoFactorSecret +twoFactorPendingSecret +twoFactorLastStep +recoveryCodes";
+
+// Roles that cannot use permission protected routes without 2FA,
+// Require_2FA_Roles is a comma separated list
+const requiredRoles = () =>
+  (process.env.Require_2FA_Roles ?? "admin,superadmin")
+    .split(",")
+    .map((role) => role.trim())
+    .filter(Boolean);
+
+export const twoFactorRequired = (user) => {
+  const roles = requiredRoles();
+
+  return (
+    roles.includes(user.role) ||
+    (user.mainrole === "superadmin" && roles.includes("superadmin"))
+  );
+};
+
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[^0-9a-f]/g, "");
+
+// Returns the plain codes to show once, the hashes go on the user
+export const generateRecoveryCodes = (count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+};
+
+// Accepts an authenticator code or an unused recovery code and saves the user
+// so neither can be used again. The user must be loaded with twoFactorFields.
+export const checkSecondFactor = async (user, code) => {
+  const step = verifyCode(user.twoFactorSecret, code, user.twoFactorLastStep);
+
+  if (step !== null) {
+    user.twoFactorLastStep = step;
+    await user.save();
+    return true;
+  }
+
+  const hash = hashToken(normalizeRecoveryCode(code));
+  const index = user.recoveryCodes.indexOf(hash);
+
+  if (index === -1) return false;
+
+  user.recoveryCodes.splice(index, 1);
+  await user.save();
+  return true;
+};